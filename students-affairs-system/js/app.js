@@ -7,98 +7,294 @@ import { Student } from './modules/Student.js';
 import { Course } from './modules/Course.js';
 import { Instructor } from './modules/Instructor.js';
 import { Employee } from './modules/Employee.js';
+import { Enrollment } from './modules/Enrollment.js';
+import { AcademicTerm } from './modules/AcademicTerm.js';
+import { Offering } from './modules/Offering.js';
+import { Room } from './modules/Room.js';
+import { RoomBooking } from './modules/RoomBooking.js';
+import { ClassSession } from './modules/ClassSession.js';
+import { IssuedDocument } from './modules/IssuedDocument.js';
+import { AuditLog } from './modules/AuditLog.js';
+import { Auth } from './modules/Auth.js';
+import { Config } from './modules/Config.js';
+import { Offline } from './modules/Offline.js';
+import { Toast } from './modules/Toast.js';
+import { Html } from './modules/Html.js';
+import { Dashboard } from './modules/Dashboard.js';
+import { Timetable } from './modules/Timetable.js';
+import { TeachingLoadReport } from './modules/TeachingLoadReport.js';
+import { Router } from './modules/Router.js';
+import { TermScope } from './modules/TermScope.js';
 
 // Global state
 let currentModule = null;
-let currentPage = 'students';
+let currentPage = 'dashboard';
 
-// Page configurations
+// Keeps the page and table state in the URL hash
+const router = new Router(handleRoute);
+
+// Page configurations (`resource`: what the user's role must be able to read,
+// `nav`: the navigation link of a page reached from another page)
 const pageConfig = {
+    dashboard: {
+        title: 'Dashboard',
+        subtitle: 'Overview and analytics across all modules',
+        icon: '🏠'
+    },
     students: {
         title: 'Students Management',
         subtitle: 'View, add, edit, and manage all student records',
-        icon: '👨‍🎓'
+        icon: '👨‍🎓',
+        resource: 'students'
     },
     courses: {
         title: 'Courses Management',
         subtitle: 'Manage course catalog and course information',
-        icon: '📚'
+        icon: '📚',
+        resource: 'courses'
     },
     instructors: {
         title: 'Instructors Management',
         subtitle: 'Manage faculty and instructor information',
-        icon: '👨‍🏫'
+        icon: '👨‍🏫',
+        resource: 'instructors'
+    },
+    'teaching-load': {
+        title: 'Teaching Load',
+        subtitle: 'Courses and credit hours each instructor carries',
+        icon: '⚖️',
+        resource: 'instructors',
+        nav: 'instructors'
     },
     employees: {
         title: 'Employees Management',
         subtitle: 'Manage staff and employee records',
-        icon: '👔'
+        icon: '👔',
+        resource: 'employees'
+    },
+    enrollments: {
+        title: 'Enrollments Management',
+        subtitle: 'Register students in courses and track their status',
+        icon: '📝',
+        resource: 'enrollments'
+    },
+    terms: {
+        title: 'Academic Terms',
+        subtitle: 'Manage terms, their registration windows and the current term',
+        icon: '🗓️',
+        resource: 'terms'
+    },
+    offerings: {
+        title: 'Course Offerings',
+        subtitle: 'Choose the courses given in each term and who teaches them',
+        icon: '🏫',
+        resource: 'offerings'
+    },
+    rooms: {
+        title: 'Rooms & Facilities',
+        subtitle: 'Manage classrooms, labs and halls with their capacity and equipment',
+        icon: '🚪',
+        resource: 'rooms'
+    },
+    bookings: {
+        title: 'Room Bookings',
+        subtitle: 'Book rooms for classes, exams and events without double-booking them',
+        icon: '📌',
+        resource: 'bookings'
+    },
+    sessions: {
+        title: 'Class Sessions & Attendance',
+        subtitle: 'Record class meetings and who attended them',
+        icon: '✅',
+        resource: 'sessions'
+    },
+    timetable: {
+        title: 'Weekly Timetable',
+        subtitle: 'When and where the classes of a term meet',
+        icon: '📅',
+        resource: 'offerings'
+    },
+    documents: {
+        title: 'Issued Documents',
+        subtitle: 'Transcripts and enrollment certificates issued to students',
+        icon: '📄',
+        resource: 'documents'
+    },
+    history: {
+        title: 'Change History',
+        subtitle: 'Every create, update and delete, with the fields that changed',
+        icon: '🕘'
     }
 };
 
 /**
- * Initialize the application
+ * Initialize the application. Without the server it starts offline,
+ * on the data cached by earlier visits (unless the data lives in the browser).
  */
-function init() {
+async function init(isRunning) {
     console.log('🚀 Students Affairs System initialized!');
     
-    // Setup navigation
-    setupNavigation();
+    Offline.setOnline(isRunning);
+    
+    const user = await Auth.load();
+    if (!user) {
+        if (Offline.isOnline()) {
+            showLogin();
+        } else {
+            showError(
+                'Cannot connect to the server. Please make sure the API server is running.\n\n' +
+                'Run: npm start'
+            );
+        }
+        return;
+    }
+    
+    setupUserMenu(user);
+    setupOfflineStatus();
+    setupTermSelector();
+    applyNavPermissions();
+    
+    // Changes made offline are recorded by their table once sent
+    Offline.setTables(createTables());
     
-    // Load initial page (students)
-    loadPage('students');
+    if (Offline.isOnline() && !Config.isLocal()) await Offline.replay();
+    
+    // Load the page (dashboard by default) and the term from the URL
+    const route = router.start();
+    await TermScope.load(route.state.term);
+    
+    const page = canOpenPage(route.page) ? route.page : 'dashboard';
+    router.replace(page, withTerm(route.state));
+    loadPage(page, route.state);
 }
 
 /**
- * Setup navigation event listeners
+ * A table of every resource records can be added to and edited in
  */
-function setupNavigation() {
-    const navLinks = document.querySelectorAll('.nav-link');
-    
-    navLinks.forEach(link => {
-        link.addEventListener('click', (e) => {
-            e.preventDefault();
-            
-            const page = link.dataset.page;
-            
-            // Update active state
-            navLinks.forEach(l => l.classList.remove('active'));
-            link.classList.add('active');
-            
-            // Load page
-            loadPage(page);
-        });
+function createTables() {
+    return [new Student(), new Course(), new Instructor(), new Employee(), new Enrollment(), new AcademicTerm(), new Offering(), new Room(), new RoomBooking(), new ClassSession()];
+}
+
+/**
+ * Check if the page exists and the user's role can view it
+ */
+function canOpenPage(page) {
+    const config = pageConfig[page];
+    return Boolean(config) && (!config.resource || Auth.canRead(config.resource));
+}
+
+/**
+ * Hide the navigation links of pages the user's role cannot view
+ */
+function applyNavPermissions() {
+    document.querySelectorAll('.nav-link').forEach(link => {
+        link.style.display = canOpenPage(link.dataset.page) ? '' : 'none';
     });
 }
 
+/**
+ * Handle a URL change (navigation links, back/forward, edited links)
+ */
+function handleRoute(page, state) {
+    if (!canOpenPage(page)) page = 'dashboard';
+    
+    // A link naming another term switches to it; links without one keep the selected term
+    const termChanged = state.term !== TermScope.getParam() && TermScope.restore(state.term);
+    if (termChanged) document.getElementById('termSelect').value = TermScope.getTermId() || '';
+    router.replace(page, withTerm(state));
+    
+    // Same table page: only the table state changed
+    if (!termChanged && page === currentPage && currentModule && currentModule.restoreState) {
+        currentModule.restoreState(state);
+        return;
+    }
+    
+    loadPage(page, state);
+}
+
+/**
+ * Write the current module's table state to the URL
+ */
+function syncUrl(state) {
+    router.update(currentPage, withTerm(state));
+}
+
+/**
+ * Go to a page with some state, keeping the selected term
+ */
+function navigate(page, state = {}) {
+    router.navigate(page, withTerm(state));
+}
+
+/**
+ * A route state with the selected term, which every URL carries
+ */
+function withTerm(state) {
+    return { ...state, term: TermScope.getParam() };
+}
+
 /**
  * Load a specific page/module
  */
-function loadPage(page) {
+function loadPage(page, state = null) {
     currentPage = page;
     
-    // Update page header
+    // Update page header and navigation
     updatePageHeader(page);
+    updateActiveNav(page);
     
     // Clean up previous module
     if (currentModule) {
-        // Cleanup if needed
+        currentModule.destroy();
         currentModule = null;
     }
     
     // Initialize the appropriate module
     switch (page) {
+        case 'dashboard':
+            initDashboardModule();
+            break;
         case 'students':
-            initStudentsModule();
+            initStudentsModule(state);
             break;
         case 'courses':
-            initCoursesModule();
+            initCoursesModule(state);
             break;
         case 'instructors':
-            initInstructorsModule();
+            initInstructorsModule(state);
+            break;
+        case 'teaching-load':
+            initTeachingLoadModule(state);
             break;
         case 'employees':
-            initEmployeesModule();
+            initEmployeesModule(state);
+            break;
+        case 'enrollments':
+            initEnrollmentsModule(state);
+            break;
+        case 'terms':
+            initTermsModule(state);
+            break;
+        case 'offerings':
+            initOfferingsModule(state);
+            break;
+        case 'rooms':
+            initRoomsModule(state);
+            break;
+        case 'bookings':
+            initBookingsModule(state);
+            break;
+        case 'sessions':
+            initSessionsModule(state);
+            break;
+        case 'timetable':
+            initTimetableModule(state);
+            break;
+        case 'documents':
+            initDocumentsModule(state);
+            break;
+        case 'history':
+            initHistoryModule(state);
             break;
         default:
             console.error('Unknown page:', page);
@@ -117,15 +313,43 @@ function updatePageHeader(page) {
     }
 }
 
+/**
+ * Highlight the navigation link of the current page
+ */
+function updateActiveNav(page) {
+    const navPage = pageConfig[page] && pageConfig[page].nav ? pageConfig[page].nav : page;
+    
+    document.querySelectorAll('.nav-link').forEach(link => {
+        link.classList.toggle('active', link.dataset.page === navPage);
+    });
+}
+
+/**
+ * Initialize Dashboard Module
+ */
+function initDashboardModule() {
+    console.log('🏠 Loading Dashboard...');
+    
+    try {
+        currentModule = new Dashboard((page, filters = {}) => navigate(page, { filters }));
+        currentModule.init();
+        console.log('✅ Dashboard loaded successfully!');
+    } catch (error) {
+        console.error('❌ Error loading Dashboard:', error);
+        showError('Failed to load Dashboard. Please refresh the page.');
+    }
+}
+
 /**
  * Initialize Students Module
  */
-function initStudentsModule() {
+function initStudentsModule(state) {
     console.log('📚 Loading Students Module...');
     
     try {
         currentModule = new Student();
-        currentModule.init();
+        currentModule.onStateChange = syncUrl;
+        currentModule.init(state);
         console.log('✅ Students Module loaded successfully!');
     } catch (error) {
         console.error('❌ Error loading Students Module:', error);
@@ -136,12 +360,13 @@ function initStudentsModule() {
 /**
  * Initialize Courses Module
  */
-function initCoursesModule() {
+function initCoursesModule(state) {
     console.log('📖 Loading Courses Module...');
     
     try {
         currentModule = new Course();
-        currentModule.init();
+        currentModule.onStateChange = syncUrl;
+        currentModule.init(state);
         console.log('✅ Courses Module loaded successfully!');
     } catch (error) {
         console.error('❌ Error loading Courses Module:', error);
@@ -152,12 +377,13 @@ function initCoursesModule() {
 /**
  * Initialize Instructors Module
  */
-function initInstructorsModule() {
+function initInstructorsModule(state) {
     console.log('👨‍🏫 Loading Instructors Module...');
     
     try {
         currentModule = new Instructor();
-        currentModule.init();
+        currentModule.onStateChange = syncUrl;
+        currentModule.init(state);
         console.log('✅ Instructors Module loaded successfully!');
     } catch (error) {
         console.error('❌ Error loading Instructors Module:', error);
@@ -165,15 +391,33 @@ function initInstructorsModule() {
     }
 }
 
+/**
+ * Initialize Teaching Load Module (report under the Instructors page)
+ */
+function initTeachingLoadModule(state) {
+    console.log('⚖️ Loading Teaching Load...');
+    
+    try {
+        currentModule = new TeachingLoadReport(navigate);
+        currentModule.onStateChange = syncUrl;
+        currentModule.init(state);
+        console.log('✅ Teaching Load loaded successfully!');
+    } catch (error) {
+        console.error('❌ Error loading Teaching Load:', error);
+        showError('Failed to load Teaching Load. Please refresh the page.');
+    }
+}
+
 /**
  * Initialize Employees Module
  */
-function initEmployeesModule() {
+function initEmployeesModule(state) {
     console.log('👔 Loading Employees Module...');
     
     try {
         currentModule = new Employee();
-        currentModule.init();
+        currentModule.onStateChange = syncUrl;
+        currentModule.init(state);
         console.log('✅ Employees Module loaded successfully!');
     } catch (error) {
         console.error('❌ Error loading Employees Module:', error);
@@ -181,6 +425,268 @@ function initEmployeesModule() {
     }
 }
 
+/**
+ * Initialize Enrollments Module
+ */
+function initEnrollmentsModule(state) {
+    console.log('📝 Loading Enrollments Module...');
+    
+    try {
+        currentModule = new Enrollment();
+        currentModule.onStateChange = syncUrl;
+        currentModule.init(state);
+        console.log('✅ Enrollments Module loaded successfully!');
+    } catch (error) {
+        console.error('❌ Error loading Enrollments Module:', error);
+        showError('Failed to load Enrollments module. Please refresh the page.');
+    }
+}
+
+/**
+ * Initialize Academic Terms Module
+ */
+function initTermsModule(state) {
+    console.log('🗓️ Loading Academic Terms Module...');
+    
+    try {
+        currentModule = new AcademicTerm();
+        currentModule.onStateChange = syncUrl;
+        currentModule.init(state);
+        console.log('✅ Academic Terms Module loaded successfully!');
+    } catch (error) {
+        console.error('❌ Error loading Academic Terms Module:', error);
+        showError('Failed to load Academic Terms module. Please refresh the page.');
+    }
+}
+
+/**
+ * Initialize Offerings Module
+ */
+function initOfferingsModule(state) {
+    console.log('🏫 Loading Offerings Module...');
+    
+    try {
+        currentModule = new Offering();
+        currentModule.onStateChange = syncUrl;
+        currentModule.init(state);
+        console.log('✅ Offerings Module loaded successfully!');
+    } catch (error) {
+        console.error('❌ Error loading Offerings Module:', error);
+        showError('Failed to load Offerings module. Please refresh the page.');
+    }
+}
+
+/**
+ * Initialize Rooms Module
+ */
+function initRoomsModule(state) {
+    console.log('🚪 Loading Rooms Module...');
+    
+    try {
+        currentModule = new Room();
+        currentModule.onStateChange = syncUrl;
+        currentModule.init(state);
+        console.log('✅ Rooms Module loaded successfully!');
+    } catch (error) {
+        console.error('❌ Error loading Rooms Module:', error);
+        showError('Failed to load Rooms module. Please refresh the page.');
+    }
+}
+
+/**
+ * Initialize Room Bookings Module
+ */
+function initBookingsModule(state) {
+    console.log('📌 Loading Room Bookings Module...');
+    
+    try {
+        currentModule = new RoomBooking();
+        currentModule.onStateChange = syncUrl;
+        currentModule.init(state);
+        console.log('✅ Room Bookings Module loaded successfully!');
+    } catch (error) {
+        console.error('❌ Error loading Room Bookings Module:', error);
+        showError('Failed to load Room Bookings module. Please refresh the page.');
+    }
+}
+
+/**
+ * Initialize Class Sessions Module
+ */
+function initSessionsModule(state) {
+    console.log('✅ Loading Class Sessions Module...');
+    
+    try {
+        currentModule = new ClassSession();
+        currentModule.onStateChange = syncUrl;
+        currentModule.init(state);
+        console.log('✅ Class Sessions Module loaded successfully!');
+    } catch (error) {
+        console.error('❌ Error loading Class Sessions Module:', error);
+        showError('Failed to load Class Sessions module. Please refresh the page.');
+    }
+}
+
+/**
+ * Initialize Timetable Module
+ */
+function initTimetableModule(state) {
+    console.log('📅 Loading Timetable...');
+    
+    try {
+        currentModule = new Timetable(navigate);
+        currentModule.onStateChange = syncUrl;
+        currentModule.init(state);
+        console.log('✅ Timetable loaded successfully!');
+    } catch (error) {
+        console.error('❌ Error loading Timetable:', error);
+        showError('Failed to load Timetable. Please refresh the page.');
+    }
+}
+
+/**
+ * Initialize Issued Documents Module
+ */
+function initDocumentsModule(state) {
+    console.log('📄 Loading Issued Documents...');
+    
+    try {
+        currentModule = new IssuedDocument();
+        currentModule.onStateChange = syncUrl;
+        currentModule.init(state);
+        console.log('✅ Issued Documents loaded successfully!');
+    } catch (error) {
+        console.error('❌ Error loading Issued Documents:', error);
+        showError('Failed to load Issued Documents. Please refresh the page.');
+    }
+}
+
+/**
+ * Initialize Change History Module
+ */
+function initHistoryModule(state) {
+    console.log('🕘 Loading Change History...');
+    
+    try {
+        currentModule = new AuditLog();
+        currentModule.onStateChange = syncUrl;
+        currentModule.init(state);
+        console.log('✅ Change History loaded successfully!');
+    } catch (error) {
+        console.error('❌ Error loading Change History:', error);
+        showError('Failed to load Change History. Please refresh the page.');
+    }
+}
+
+/**
+ * Show the login screen; a successful login reloads the app with the session
+ */
+function showLogin() {
+    const loginView = document.getElementById('loginView');
+    const loginForm = document.getElementById('loginForm');
+    const loginError = document.getElementById('loginError');
+    const loginBtn = document.getElementById('loginBtn');
+    
+    loginView.style.display = 'flex';
+    document.getElementById('loginUsername').focus();
+    
+    loginForm.addEventListener('submit', async (e) => {
+        e.preventDefault();
+        const formData = new FormData(loginForm);
+        
+        loginBtn.disabled = true;
+        loginError.textContent = '';
+        
+        try {
+            await Auth.login(formData.get('username'), formData.get('password'));
+            // Responses cached for whoever used this browser before
+            await Offline.clear(['responses']);
+            window.location.reload();
+        } catch (error) {
+            console.error('Login failed:', error);
+            loginError.textContent = error.message;
+            loginBtn.disabled = false;
+        }
+    });
+}
+
+/**
+ * Show who is logged in (and recorded as the author of changes) and the logout button
+ */
+function setupUserMenu(user) {
+    document.getElementById('userName').textContent = user.name;
+    document.getElementById('userRole').textContent = user.roleLabel;
+    
+    // Browser-only data has no login to end
+    const logoutBtn = document.getElementById('logoutBtn');
+    logoutBtn.style.display = Config.isLocal() ? 'none' : '';
+    
+    logoutBtn.addEventListener('click', async () => {
+        const pending = await Offline.getPendingCount();
+        if (pending > 0 && !confirm(`${pending} change(s) made offline ${pending === 1 ? 'has' : 'have'} not been saved yet. They will be sent the next time you log in on this browser. Log out anyway?`)) return;
+        
+        // Queued changes stay for their author's next login (see Offline.replay)
+        await Auth.logout();
+        await Offline.clear(['responses']);
+        window.location.reload();
+    });
+}
+
+/**
+ * Fill the header's term selector whenever the terms are (re)loaded, and
+ * show the current page again for the term the user picks
+ */
+function setupTermSelector() {
+    const termSelect = document.getElementById('termSelect');
+    
+    TermScope.onLoad(terms => {
+        termSelect.style.display = terms.length > 0 ? '' : 'none';
+        termSelect.innerHTML = '<option value="">All terms</option>' + terms.map(term =>
+            `<option value="${term.id}">${Html.escape(term.name)}${term.isCurrent ? ' (current)' : ''}</option>`
+        ).join('');
+        termSelect.value = TermScope.getTermId() || '';
+    });
+    
+    termSelect.addEventListener('change', () => TermScope.select(termSelect.value));
+    
+    TermScope.onChange(() => {
+        // Tables start again on their first page; the dashboard is rebuilt
+        if (currentModule && currentModule.loadData) {
+            currentModule.currentPage = 1;
+            currentModule.loadData();
+        } else {
+            loadPage(currentPage);
+        }
+        
+        // The URL carries the new term (back goes to the previous one)
+        syncUrl(currentModule && currentModule.getState ? currentModule.getState() : {});
+    });
+}
+
+/**
+ * Show the offline state and the number of queued changes in the header,
+ * and refresh the page once the server is back
+ */
+function setupOfflineStatus() {
+    const syncStatus = document.getElementById('syncStatus');
+    let wasOnline = Offline.isOnline();
+    
+    Offline.onStatusChange(({ online, pending }) => {
+        syncStatus.style.display = online && pending === 0 ? 'none' : '';
+        syncStatus.classList.toggle('offline', !online);
+        syncStatus.textContent = `${online ? '⏳' : '📴 Offline'}${pending > 0 ? ` · ${pending} pending` : ''}`;
+        
+        // Replace the offline copy on screen with fresh data
+        if (online && !wasOnline && currentModule && currentModule.loadData) currentModule.loadData();
+        wasOnline = online;
+    });
+    
+    Offline.onSynced(sent => {
+        if (sent > 0) Toast.show(`${sent} change(s) made offline ${sent === 1 ? 'was' : 'were'} saved`);
+        if (currentModule && currentModule.loadData) currentModule.loadData();
+    });
+}
+
 /**
  * Show "Coming Soon" message for modules not yet implemented
  */
@@ -227,48 +733,39 @@ function showError(message) {
 }
 
 /**
- * Check if json-server is running
+ * Check if the API server is running (any answer counts, logged in or not).
+ * Browser-only data (?source=local) needs no server.
  */
 async function checkServerStatus() {
+    if (Config.isLocal()) {
+        console.log('💾 Using data stored in this browser');
+        return true;
+    }
+    
     try {
-        const response = await fetch('http://localhost:3000/students?_limit=1');
-        if (response.ok) {
-            console.log('✅ json-server is running');
-            return true;
-        }
+        await fetch(`${Config.getApiBaseUrl()}/auth/me`, { credentials: 'include' });
+        console.log('✅ API server is running');
+        return true;
     } catch (error) {
-        console.error('❌ json-server is not running!');
-        console.log('💡 Start it with: json-server --watch data/db.json --port 3000');
-        
-        showError(
-            'Cannot connect to the server. Please make sure json-server is running.\n\n' +
-            'Run: json-server --watch data/db.json --port 3000'
-        );
+        console.error('❌ API server is not running, starting offline');
+        console.log('💡 Start it with: npm start');
         return false;
     }
-    return false;
 }
 
 // Initialize app when DOM is ready
 if (document.readyState === 'loading') {
     document.addEventListener('DOMContentLoaded', () => {
-        checkServerStatus().then(isRunning => {
-            if (isRunning) {
-                init();
-            }
-        });
+        checkServerStatus().then(init);
     });
 } else {
-    checkServerStatus().then(isRunning => {
-        if (isRunning) {
-            init();
-        }
-    });
+    checkServerStatus().then(init);
 }
 
 // Export for debugging in console
 window.app = {
     loadPage,
+    router,
     currentPage: () => currentPage,
     currentModule: () => currentModule
 };
@@ -0,0 +1,231 @@
+/**
+ * AcademicTerm Class - Manages the academic terms (semesters)
+ * Extends DataTable for reusable functionality
+ *
+ * Exactly one term is marked as current: marking another one clears the flag
+ * on the previous term. The header's term selector (TermScope) starts on it.
+ */
+
+import { DataTable } from './DataTable.js';
+import { Validator } from './Validator.js';
+import { DataSource } from './DataSource.js';
+import { TermScope } from './TermScope.js';
+import { Html } from './Html.js';
+
+export class AcademicTerm extends DataTable {
+    constructor() {
+        // Configuration for academic terms
+        const config = {
+            resource: 'terms',
+            entityName: 'Academic Term',
+            defaultSort: { column: 'startDate', order: 'desc' },
+            columns: [
+                { key: 'id', label: 'ID' },
+                { key: 'name', label: 'Name' },
+                { key: 'startDate', label: 'Starts' },
+                { key: 'endDate', label: 'Ends' },
+                {
+                    key: 'registrationStart',
+                    label: 'Registration',
+                    filter: false,
+                    render: record => record.registrationStart ? `${record.registrationStart} → ${record.registrationEnd}` : ''
+                },
+                {
+                    key: 'isCurrent',
+                    label: 'Current',
+                    render: record => record.isCurrent ? '✓' : ''
+                }
+            ],
+            formFields: [
+                {
+                    name: 'name',
+                    label: 'Term Name',
+                    type: 'text',
+                    required: true,
+                    rules: {
+                        minLength: 4,
+                        unique: true,
+                        messages: { unique: 'A term with this name already exists' }
+                    }
+                },
+                {
+                    name: 'startDate',
+                    label: 'Start Date',
+                    type: 'date',
+                    required: true
+                },
+                {
+                    name: 'endDate',
+                    label: 'End Date',
+                    type: 'date',
+                    required: true
+                },
+                {
+                    name: 'registrationStart',
+                    label: 'Registration Opens',
+                    type: 'date',
+                    required: true
+                },
+                {
+                    name: 'registrationEnd',
+                    label: 'Registration Closes',
+                    type: 'date',
+                    required: true
+                },
+                {
+                    name: 'isCurrent',
+                    label: 'Current Term',
+                    type: 'select',
+                    required: true,
+                    options: [
+                        { value: 'true', label: 'Yes' },
+                        { value: 'false', label: 'No' }
+                    ]
+                }
+            ]
+        };
+        
+        super(config);
+    }
+    
+    /**
+     * Initialize academic term module
+     */
+    init(state = null) {
+        super.init(state);
+    }
+    
+    /**
+     * Get all terms, newest first
+     */
+    async getAllTerms() {
+        try {
+            return await this.repository.findAll({ deleted: false }, { sort: 'startDate', order: 'desc' });
+        } catch (error) {
+            console.error('Error fetching all terms:', error);
+            return [];
+        }
+    }
+    
+    /**
+     * Get term by ID
+     */
+    async getTermById(id) {
+        try {
+            return await this.repository.get(id);
+        } catch (error) {
+            console.error('Error fetching term:', error);
+            return null;
+        }
+    }
+    
+    /**
+     * Get the term marked as current
+     */
+    async getCurrentTerm() {
+        try {
+            const terms = await this.repository.findAll({ deleted: false, isCurrent: true });
+            return terms[0] || null;
+        } catch (error) {
+            console.error('Error fetching the current term:', error);
+            return null;
+        }
+    }
+    
+    /**
+     * Name a term after itself in the change history
+     */
+    getRecordLabel(term) {
+        return term.name;
+    }
+    
+    /**
+     * Validate the fields, then check that the dates are in order
+     */
+    async validateRecord(data, id = null) {
+        const validation = await super.validateRecord(data, id);
+        if (!validation.isValid) return validation;
+        
+        if (data.endDate <= data.startDate) {
+            return Validator.result({ endDate: 'The term must end after it starts' });
+        }
+        
+        if (data.registrationEnd < data.registrationStart) {
+            return Validator.result({ registrationEnd: 'Registration must close after it opens' });
+        }
+        
+        if (data.registrationEnd > data.endDate) {
+            return Validator.result({ registrationEnd: 'Registration must close before the term ends' });
+        }
+        
+        return validation;
+    }
+    
+    /**
+     * Store the current flag as a boolean
+     */
+    prepareRecord(data) {
+        data.isCurrent = data.isCurrent === true || data.isCurrent === 'true';
+        return data;
+    }
+    
+    /**
+     * Keep a single current term, and refresh the header's term selector
+     */
+    async afterChange(action, before, after) {
+        if ((action === 'create' || action === 'update') && after.isCurrent && !(before && before.isCurrent)) {
+            const previous = (await this.repository.findAll({ deleted: false, isCurrent: true }))
+                .filter(term => String(term.id) !== String(after.id));
+            
+            for (const term of previous) {
+                try {
+                    const updated = await this.repository.patch(term.id, { isCurrent: false, ...this.nextVersion(term) });
+                    await this.logChange('update', term, updated);
+                } catch (error) {
+                    console.error('Error clearing the previous current term:', error);
+                }
+            }
+        }
+        
+        await TermScope.load();
+    }
+    
+    /**
+     * Detail drawer: the courses offered in this term
+     */
+    async getRelatedSections(term) {
+        const offerings = await DataSource.repository('offerings').findAll({ deleted: false, termId: term.id }, { expand: ['course', 'instructor'] });
+        
+        if (offerings.length === 0) {
+            return [{ title: 'Offerings', html: '<p class="info-empty">No courses offered in this term yet.</p>' }];
+        }
+        
+        let html = '<table class="info-table"><thead><tr><th>Code</th><th>Course</th><th>Instructor</th></tr></thead><tbody>';
+        offerings.forEach(offering => {
+            html += `<tr>
+                <td>${Html.escape(offering.course ? offering.course.code : '')}</td>
+                <td>${Html.escape(offering.course ? offering.course.name : '')}</td>
+                <td>${Html.escape(offering.instructor ? offering.instructor.name : '')}</td>
+            </tr>`;
+        });
+        html += '</tbody></table>';
+        
+        return [{ title: `Offerings (${offerings.length} courses)`, html }];
+    }
+    
+    /**
+     * Prevent deleting a term that still has offerings or enrollments
+     */
+    async getDeleteBlocker(id) {
+        const [offerings, enrollments] = await Promise.all([
+            DataSource.repository('offerings').findAll({ deleted: false, termId: id }),
+            DataSource.repository('enrollments').findAll({ deleted: false, termId: id })
+        ]);
+        
+        if (offerings.length > 0 || enrollments.length > 0) {
+            return `This term still has ${offerings.length} offering(s) and ${enrollments.length} enrollment(s). Delete them before deleting the term.`;
+        }
+        
+        return null;
+    }
+}
@@ -0,0 +1,99 @@
+/**
+ * Attendance Class - Attendance marks of class sessions and attendance rates
+ *
+ * Each class session stores a mark per student: `attendance: [{ studentId, status }]`.
+ * A student's attendance rate in a course is the share of the sessions they
+ * were marked present or late in, out of those marked present, late or absent
+ * (excused sessions do not count). Students absent from more than
+ * ABSENCE_LIMIT percent of the counted sessions are flagged.
+ */
+
+// Marks, in the order of the attendance sheet
+const STATUSES = ['Present', 'Late', 'Absent', 'Excused'];
+
+// Marks counted as attending
+const ATTENDED = ['Present', 'Late'];
+
+// Share of the counted sessions (%) a student can miss before being flagged
+const ABSENCE_LIMIT = 25;
+
+export class Attendance {
+    /**
+     * Marks a student can get in a session
+     */
+    static getStatuses() {
+        return STATUSES;
+    }
+    
+    /**
+     * Highest share of missed sessions (%) before a student is flagged
+     */
+    static getAbsenceLimit() {
+        return ABSENCE_LIMIT;
+    }
+    
+    /**
+     * Marks of a session (older sessions have none)
+     */
+    static getMarks(session) {
+        return session && Array.isArray(session.attendance) ? session.attendance : [];
+    }
+    
+    /**
+     * A student's mark in a session, or null when none was taken
+     */
+    static getMark(session, studentId) {
+        const mark = Attendance.getMarks(session).find(item => String(item.studentId) === String(studentId));
+        return mark ? mark.status : null;
+    }
+    
+    /**
+     * Count a student's marks over sessions and work out their attendance rate
+     * (a whole percentage, or null before any counted session)
+     */
+    static summarize(sessions, studentId) {
+        const summary = { Present: 0, Late: 0, Absent: 0, Excused: 0 };
+        
+        sessions.forEach(session => {
+            const status = Attendance.getMark(session, studentId);
+            if (status in summary) summary[status]++;
+        });
+        
+        const attended = ATTENDED.reduce((sum, status) => sum + summary[status], 0);
+        const counted = attended + summary.Absent;
+        
+        return {
+            ...summary,
+            rate: counted > 0 ? Math.round(attended / counted * 100) : null
+        };
+    }
+    
+    /**
+     * Whether an attendance rate means the student missed too many sessions
+     */
+    static isFlagged(rate) {
+        return rate !== null && rate !== undefined && rate !== '' && 100 - Number(rate) > ABSENCE_LIMIT;
+    }
+    
+    /**
+     * Attendance rate as text, e.g. "92%", or "⚠ 60%" when flagged ('' without one)
+     */
+    static formatRate(rate) {
+        if (rate === null || rate === undefined || rate === '') return '';
+        return `${Attendance.isFlagged(rate) ? '⚠ ' : ''}${rate}%`;
+    }
+    
+    /**
+     * Marks of a session as text, e.g. "3 present, 1 absent", or "Not taken yet"
+     */
+    static describe(session) {
+        const marks = Attendance.getMarks(session);
+        if (marks.length === 0) return 'Not taken yet';
+        
+        return STATUSES
+            .map(status => ({ status, count: marks.filter(mark => mark.status === status).length }))
+            .filter(item => item.count > 0)
+            .map(item => `${item.count} ${item.status.toLowerCase()}`)
+            .join(', ');
+    }
+}
@@ -0,0 +1,98 @@
+/**
+ * Audit Class - Writes and reads the change history kept in /auditLog
+ *
+ * Entry shape:
+ *   { entity, recordId, recordLabel, action: 'create' | 'update' | 'delete' | 'restore' | 'purge',
+ *     actor, timestamp (ISO), date (local 'YYYY-MM-DD', used by the date filter),
+ *     changes: [{ field, label, before, after }] }
+ *
+ * The server records the logged-in user as the actor of entries it accepts.
+ */
+
+import { Auth } from './Auth.js';
+import { DataSource } from './DataSource.js';
+
+const ACTION_LABELS = { create: 'Created', update: 'Updated', delete: 'Deleted', restore: 'Restored', purge: 'Deleted permanently' };
+
+export class Audit {
+    /**
+     * Name recorded as the author of changes: the logged-in user
+     */
+    static getActor() {
+        const user = Auth.getUser();
+        return user ? user.name : 'Guest';
+    }
+    
+    /**
+     * List the form fields whose value differs between two versions of a record.
+     * Pass an empty object as `before` for creations and as `after` for deletions.
+     */
+    static diff(fields, before, after) {
+        const normalize = value => value === undefined || value === null ? '' : String(value);
+        
+        return fields
+            .filter(field => normalize(before[field.name]) !== normalize(after[field.name]))
+            .map(field => ({
+                field: field.name,
+                label: field.label,
+                before: before[field.name] ?? null,
+                after: after[field.name] ?? null
+            }));
+    }
+    
+    /**
+     * Append an entry to the log. Failures are only reported in the console
+     * so a broken log never blocks the change itself.
+     */
+    static async log({ entity, recordId, recordLabel, action, changes }) {
+        // Saving a form without touching anything is not a change
+        if (action === 'update' && changes.length === 0) return null;
+        
+        const now = new Date();
+        const month = String(now.getMonth() + 1).padStart(2, '0');
+        const day = String(now.getDate()).padStart(2, '0');
+        
+        try {
+            return await DataSource.repository('auditLog').create({
+                entity,
+                recordId,
+                recordLabel,
+                action,
+                actor: Audit.getActor(),
+                timestamp: now.toISOString(),
+                date: `${now.getFullYear()}-${month}-${day}`,
+                changes
+            });
+        } catch (error) {
+            console.error('Error writing audit log entry:', error);
+            return null;
+        }
+    }
+    
+    /**
+     * Past-tense label of an action ('update' -> 'Updated')
+     */
+    static actionLabel(action) {
+        return ACTION_LABELS[action] || action;
+    }
+    
+    /**
+     * One-line text for a field change, e.g. "GPA: 3.2 → 3.5"
+     */
+    static describeChange(change) {
+        const show = value => value === null || value === undefined || value === '' ? '(empty)' : value;
+        return `${change.label}: ${show(change.before)} → ${show(change.after)}`;
+    }
+    
+    /**
+     * Get the history of one record, newest first
+     */
+    static async getHistory(entity, recordId) {
+        try {
+            return await DataSource.repository('auditLog').findAll({ entity, recordId }, { sort: 'timestamp', order: 'desc' });
+        } catch (error) {
+            console.error('Error fetching record history:', error);
+            return [];
+        }
+    }
+}
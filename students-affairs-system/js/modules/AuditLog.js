@@ -0,0 +1,80 @@
+/**
+ * AuditLog Class - Read-only feed of every change recorded in /auditLog
+ * Extends DataTable for reusable functionality
+ */
+
+import { DataTable } from './DataTable.js';
+import { Audit } from './Audit.js';
+import { Html } from './Html.js';
+
+export class AuditLog extends DataTable {
+    constructor() {
+        // Configuration for the change feed
+        const config = {
+            resource: 'auditLog',
+            entityName: 'Change',
+            readOnly: true,
+            defaultSort: { column: 'timestamp', order: 'desc' },
+            columns: [
+                { key: 'date', label: 'Date', filter: 'dateRange' },
+                {
+                    key: 'timestamp',
+                    label: 'Time',
+                    render: entry => new Date(entry.timestamp).toLocaleTimeString()
+                },
+                { key: 'actor', label: 'Actor', filter: 'text' },
+                {
+                    key: 'action',
+                    label: 'Action',
+                    filter: 'select',
+                    options: ['create', 'update', 'delete', 'restore', 'purge'].map(action => ({ value: action, label: Audit.actionLabel(action) })),
+                    render: entry => Audit.actionLabel(entry.action)
+                },
+                {
+                    key: 'entity',
+                    label: 'Entity',
+                    filter: 'select',
+                    options: ['Student', 'Course', 'Instructor', 'Employee', 'Enrollment', 'Academic Term', 'Offering', 'Room', 'Room Booking', 'Class Session']
+                },
+                { key: 'recordId', label: 'Record ID', filter: 'exact' },
+                { key: 'recordLabel', label: 'Record' },
+                {
+                    key: 'changes',
+                    label: 'Changes',
+                    render: entry => entry.action === 'update'
+                        ? entry.changes.map(change => Audit.describeChange(change)).join('; ')
+                        : `${entry.changes.length} fields`
+                }
+            ],
+            formFields: []
+        };
+        
+        super(config);
+    }
+    
+    /**
+     * Initialize the change feed
+     */
+    init(state = null) {
+        super.init(state);
+    }
+    
+    /**
+     * Detail drawer: every field of the change with its old and new value
+     */
+    async getRelatedSections(entry) {
+        if (entry.changes.length === 0) return [];
+        
+        let html = '<table class="info-table"><thead><tr><th>Field</th><th>Before</th><th>After</th></tr></thead><tbody>';
+        entry.changes.forEach(change => {
+            html += `<tr>
+                <td>${Html.escape(change.label)}</td>
+                <td>${Html.escape(change.before) || '-'}</td>
+                <td>${Html.escape(change.after) || '-'}</td>
+            </tr>`;
+        });
+        html += '</tbody></table>';
+        
+        return [{ title: 'Changed Fields', html }];
+    }
+}
@@ -0,0 +1,130 @@
+/**
+ * Auth Class - The logged-in user and what their role allows
+ *
+ * The server (server.js) enforces the same permissions; these checks only
+ * decide which pages, buttons and fields the UI offers. Without a server
+ * (?source=local) there is no login: the browser's user may do everything.
+ */
+
+import { Config } from './Config.js';
+
+// The user of a standalone demo that keeps its data in the browser
+const LOCAL_USER = {
+    id: 0,
+    username: 'local',
+    name: 'Local User',
+    role: 'admin',
+    roleLabel: 'Administrator',
+    permissions: {
+        read: ['students', 'courses', 'instructors', 'employees', 'enrollments', 'terms', 'offerings', 'rooms', 'bookings', 'sessions', 'documents'],
+        write: ['students', 'courses', 'instructors', 'employees', 'enrollments', 'terms', 'offerings', 'rooms', 'bookings', 'sessions', 'documents'],
+        readOnlyFields: {}
+    }
+};
+
+// The last user who logged in on this browser, used when the server cannot be reached
+const LAST_USER_KEY = 'lastUser';
+
+// { id, username, name, role, roleLabel, permissions: { read, write, readOnlyFields } }
+let currentUser = null;
+
+export class Auth {
+    /**
+     * Ask the server who is logged in (null when nobody is). Offline, the
+     * last user of this browser is assumed so cached pages can still be used.
+     */
+    static async load() {
+        if (Config.isLocal()) {
+            currentUser = LOCAL_USER;
+            return currentUser;
+        }
+        
+        try {
+            const response = await fetch(`${Auth.getApiUrl()}/me`, { credentials: 'include' });
+            currentUser = response.ok ? await response.json() : null;
+            Auth.remember(currentUser);
+        } catch (error) {
+            console.error('Error checking the login:', error);
+            currentUser = JSON.parse(localStorage.getItem(LAST_USER_KEY) || 'null');
+        }
+        return currentUser;
+    }
+    
+    /**
+     * Base URL of the login endpoints
+     */
+    static getApiUrl() {
+        return `${Config.getApiBaseUrl()}/auth`;
+    }
+    
+    /**
+     * Keep (or forget) the user for offline starts
+     */
+    static remember(user) {
+        if (user) {
+            localStorage.setItem(LAST_USER_KEY, JSON.stringify(user));
+        } else {
+            localStorage.removeItem(LAST_USER_KEY);
+        }
+    }
+    
+    /**
+     * Log in; throws an Error with the server's message when refused
+     */
+    static async login(username, password) {
+        const response = await fetch(`${Auth.getApiUrl()}/login`, {
+            method: 'POST',
+            credentials: 'include',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({ username, password })
+        });
+        const body = await response.json().catch(() => ({}));
+        
+        if (!response.ok) throw new Error(body.error || `HTTP error! status: ${response.status}`);
+        currentUser = body;
+        Auth.remember(currentUser);
+        return currentUser;
+    }
+    
+    /**
+     * End the session on the server
+     */
+    static async logout() {
+        try {
+            await fetch(`${Auth.getApiUrl()}/logout`, { method: 'POST', credentials: 'include' });
+        } catch (error) {
+            console.error('Error logging out:', error);
+        }
+        currentUser = null;
+        Auth.remember(null);
+    }
+    
+    /**
+     * The logged-in user, or null
+     */
+    static getUser() {
+        return currentUser;
+    }
+    
+    /**
+     * Check if the user may view a resource (e.g. 'students')
+     */
+    static canRead(resource) {
+        return Boolean(currentUser) && currentUser.permissions.read.includes(resource);
+    }
+    
+    /**
+     * Check if the user may add, edit or delete records of a resource
+     */
+    static canWrite(resource) {
+        return Boolean(currentUser) && currentUser.permissions.write.includes(resource);
+    }
+    
+    /**
+     * Check if the user may change one field of a resource they can write
+     */
+    static canEditField(resource, field) {
+        const locked = currentUser ? currentUser.permissions.readOnlyFields[resource] || [] : [];
+        return Auth.canWrite(resource) && !locked.includes(field);
+    }
+}
@@ -0,0 +1,138 @@
+/**
+ * Chart Class - Dependency-free SVG bar charts for the dashboard
+ * Every bar segment carries data-category / data-series attributes
+ * so callers can make it clickable
+ */
+
+import { Html } from './Html.js';
+
+export class Chart {
+    /**
+     * Render a (stacked) bar chart as an SVG string
+     * @param {Object} options
+     * @param {string[]} options.categories - Label of each bar
+     * @param {Array<{name: string, values: number[]}>} options.series - One value per category
+     * @param {boolean} [options.horizontal] - Horizontal bars (better for long labels)
+     */
+    static bar({ categories, series, horizontal = false }) {
+        const totals = categories.map((_, index) =>
+            series.reduce((sum, item) => sum + (item.values[index] || 0), 0)
+        );
+        
+        if (categories.length === 0 || Math.max(...totals) === 0) {
+            return '<p class="chart-empty">No data yet</p>';
+        }
+        
+        const svg = horizontal
+            ? Chart.horizontalBars(categories, series, totals)
+            : Chart.verticalBars(categories, series, totals);
+        
+        return svg + (series.length > 1 ? Chart.legend(series) : '');
+    }
+    
+    /**
+     * Columns with the value axis on the left
+     */
+    static verticalBars(categories, series, totals) {
+        const width = 480;
+        const height = 260;
+        const margin = { top: 20, right: 12, bottom: 40, left: 36 };
+        const plotWidth = width - margin.left - margin.right;
+        const plotHeight = height - margin.top - margin.bottom;
+        const { max, ticks } = Chart.scale(Math.max(...totals));
+        const slot = plotWidth / categories.length;
+        const barWidth = Math.min(slot * 0.7, 60);
+        const y = value => margin.top + plotHeight - (value / max) * plotHeight;
+        
+        let svg = `<svg class="chart" viewBox="0 0 ${width} ${height}" role="img">`;
+        
+        ticks.forEach(tick => {
+            svg += `<line class="chart-grid" x1="${margin.left}" x2="${width - margin.right}" y1="${y(tick)}" y2="${y(tick)}"/>`;
+            svg += `<text class="chart-axis" x="${margin.left - 6}" y="${y(tick) + 4}" text-anchor="end">${tick}</text>`;
+        });
+        
+        categories.forEach((category, index) => {
+            const x = margin.left + slot * index + (slot - barWidth) / 2;
+            let offset = 0;
+            
+            series.forEach((item, seriesIndex) => {
+                const value = item.values[index] || 0;
+                if (value === 0) return;
+                
+                svg += `<rect class="chart-segment chart-series-${seriesIndex}" data-category="${index}" data-series="${seriesIndex}" x="${x}" y="${y(offset + value)}" width="${barWidth}" height="${y(offset) - y(offset + value)}">`;
+                svg += `<title>${Html.escape(category)}${series.length > 1 ? ` · ${Html.escape(item.name)}` : ''}: ${value}</title></rect>`;
+                offset += value;
+            });
+            
+            if (totals[index] > 0) {
+                svg += `<text class="chart-value" x="${x + barWidth / 2}" y="${y(totals[index]) - 4}" text-anchor="middle">${totals[index]}</text>`;
+            }
+            svg += `<text class="chart-label" x="${x + barWidth / 2}" y="${height - margin.bottom + 16}" text-anchor="middle">${Html.escape(category)}</text>`;
+        });
+        
+        return svg + '</svg>';
+    }
+    
+    /**
+     * One row per category with the label on the left
+     */
+    static horizontalBars(categories, series, totals) {
+        const width = 480;
+        const rowHeight = 28;
+        const margin = { top: 8, right: 36, bottom: 8, left: 150 };
+        const height = margin.top + margin.bottom + rowHeight * categories.length;
+        const plotWidth = width - margin.left - margin.right;
+        const max = Math.max(...totals);
+        const barHeight = rowHeight * 0.65;
+        
+        let svg = `<svg class="chart" viewBox="0 0 ${width} ${height}" role="img">`;
+        
+        categories.forEach((category, index) => {
+            const y = margin.top + rowHeight * index + (rowHeight - barHeight) / 2;
+            const label = category.length > 22 ? `${category.slice(0, 21)}…` : category;
+            let offset = 0;
+            
+            svg += `<text class="chart-label" x="${margin.left - 8}" y="${y + barHeight / 2 + 4}" text-anchor="end">${Html.escape(label)}<title>${Html.escape(category)}</title></text>`;
+            
+            series.forEach((item, seriesIndex) => {
+                const value = item.values[index] || 0;
+                if (value === 0) return;
+                
+                const x = margin.left + (offset / max) * plotWidth;
+                svg += `<rect class="chart-segment chart-series-${seriesIndex}" data-category="${index}" data-series="${seriesIndex}" x="${x}" y="${y}" width="${(value / max) * plotWidth}" height="${barHeight}">`;
+                svg += `<title>${Html.escape(category)}${series.length > 1 ? ` · ${Html.escape(item.name)}` : ''}: ${value}</title></rect>`;
+                offset += value;
+            });
+            
+            svg += `<text class="chart-value" x="${margin.left + (totals[index] / max) * plotWidth + 6}" y="${y + barHeight / 2 + 4}">${totals[index]}</text>`;
+        });
+        
+        return svg + '</svg>';
+    }
+    
+    /**
+     * Legend for stacked charts
+     */
+    static legend(series) {
+        return `<div class="chart-legend">${series.map((item, index) =>
+            `<span class="chart-legend-item"><span class="chart-swatch chart-series-${index}"></span>${Html.escape(item.name)}</span>`
+        ).join('')}</div>`;
+    }
+    
+    /**
+     * Round the axis maximum up to a readable step (1, 2 or 5 × 10^n)
+     */
+    static scale(maxValue) {
+        const rough = Math.max(maxValue / 4, 1);
+        const magnitude = Math.pow(10, Math.floor(Math.log10(rough)));
+        const step = [1, 2, 5, 10].map(factor => factor * magnitude).find(value => value >= rough);
+        const max = Math.ceil(maxValue / step) * step;
+        
+        const ticks = [];
+        for (let tick = 0; tick <= max; tick += step) {
+            ticks.push(tick);
+        }
+        
+        return { max, ticks };
+    }
+}
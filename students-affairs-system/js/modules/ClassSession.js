@@ -0,0 +1,364 @@
+/**
+ * ClassSession Class - The class meetings of a course in a term and who attended them
+ * Extends DataTable for reusable functionality
+ *
+ * A session belongs to a course offered in a term and keeps an attendance
+ * mark for each of its students (see Attendance), taken on the attendance
+ * sheet. Saving marks recalculates the attendance rates of the course's
+ * enrollments.
+ */
+
+import { DataTable } from './DataTable.js';
+import { Validator } from './Validator.js';
+import { DataSource } from './DataSource.js';
+import { Attendance } from './Attendance.js';
+import { Course } from './Course.js';
+import { AcademicTerm } from './AcademicTerm.js';
+import { Offering } from './Offering.js';
+import { Enrollment } from './Enrollment.js';
+import { Auth } from './Auth.js';
+import { Html } from './Html.js';
+import { Toast } from './Toast.js';
+
+// Enrollment statuses of the students on a session's attendance sheet
+const ATTENDING_STATUSES = ['Enrolled', 'Completed'];
+
+export class ClassSession extends DataTable {
+    constructor() {
+        // Configuration for class sessions
+        const config = {
+            resource: 'sessions',
+            entityName: 'Class Session',
+            expand: ['course', 'term'],
+            termField: 'termId',
+            defaultSort: { column: 'date', order: 'desc' },
+            rowActions: [
+                { action: 'attendance', label: 'Attendance', resource: 'enrollments' }
+            ],
+            columns: [
+                { key: 'id', label: 'ID' },
+                { key: 'date', label: 'Date' },
+                {
+                    key: 'startTime',
+                    label: 'Time',
+                    filter: false,
+                    render: record => record.startTime && record.endTime ? `${record.startTime}–${record.endTime}` : ''
+                },
+                {
+                    key: 'courseId',
+                    label: 'Course',
+                    render: record => record.course ? `${record.course.code} - ${record.course.name}` : ''
+                },
+                {
+                    key: 'termId',
+                    label: 'Term',
+                    render: record => record.term ? record.term.name : ''
+                },
+                { key: 'topic', label: 'Topic', filter: 'text' },
+                {
+                    key: 'attendance',
+                    label: 'Attendance',
+                    filter: false,
+                    render: record => Attendance.describe(record)
+                }
+            ],
+            formFields: [
+                {
+                    name: 'courseId',
+                    label: 'Course',
+                    type: 'select',
+                    searchable: true,
+                    required: true,
+                    options: []
+                },
+                {
+                    name: 'termId',
+                    label: 'Term',
+                    type: 'select',
+                    required: true,
+                    options: []
+                },
+                {
+                    name: 'date',
+                    label: 'Date',
+                    type: 'date',
+                    required: true
+                },
+                {
+                    name: 'startTime',
+                    label: 'Starts At',
+                    type: 'time'
+                },
+                {
+                    name: 'endTime',
+                    label: 'Ends At',
+                    type: 'time'
+                },
+                {
+                    name: 'topic',
+                    label: 'Topic',
+                    type: 'text',
+                    placeholder: 'e.g. Loops and conditionals',
+                    rules: { maxLength: 150 }
+                }
+            ]
+        };
+        
+        super(config);
+    }
+    
+    /**
+     * Initialize class session module
+     */
+    async init(state = null) {
+        await this.loadPickerOptions();
+        super.init(state);
+    }
+    
+    /**
+     * Fill the course and term pickers from /courses and /terms
+     */
+    async loadPickerOptions() {
+        const [courses, terms] = await Promise.all([
+            new Course().getAllCourses(),
+            new AcademicTerm().getAllTerms()
+        ]);
+        
+        // Aliases let CSV imports refer to courses by code and terms by name
+        this.getFormField('courseId').options = courses.map(course => ({
+            value: course.id,
+            label: `${course.code} - ${course.name}`,
+            aliases: [course.code]
+        }));
+        
+        this.getFormField('termId').options = terms.map(term => ({
+            value: term.id,
+            label: term.name,
+            aliases: [term.name]
+        }));
+    }
+    
+    /**
+     * Name a session after its course and date in the change history
+     */
+    getRecordLabel(session) {
+        const course = this.getFormField('courseId').options.find(option => String(option.value) === String(session.courseId));
+        return `${course ? course.aliases[0] : `Course #${session.courseId}`} (${session.date})`;
+    }
+    
+    /**
+     * Get the sessions of a course in a term, oldest first
+     */
+    async getSessionsByOffering(courseId, termId) {
+        try {
+            return await this.repository.findAll({ deleted: false, courseId, termId }, { sort: 'date', order: 'asc' });
+        } catch (error) {
+            console.error('Error fetching class sessions:', error);
+            return [];
+        }
+    }
+    
+    /**
+     * Validate the fields, then check that the course is offered in the term, that the
+     * session falls within the term, ends after it starts and is not entered twice
+     */
+    async validateRecord(data, id = null) {
+        const validation = await super.validateRecord(data, id);
+        if (!validation.isValid) return validation;
+        
+        if (data.startTime && data.endTime && data.endTime <= data.startTime) {
+            return Validator.result({ endTime: 'The session must end after it starts' });
+        }
+        
+        try {
+            const [offering, term, sameDay] = await Promise.all([
+                new Offering().findOffering(data.termId, data.courseId),
+                new AcademicTerm().getTermById(data.termId),
+                this.repository.findAll({ deleted: false, courseId: data.courseId, termId: data.termId, date: data.date })
+            ]);
+            
+            if (!offering) {
+                return Validator.result({ courseId: 'This course is not offered in the selected term' });
+            }
+            
+            if (term && (data.date < term.startDate || data.date > term.endDate)) {
+                return Validator.result({ date: `The date must fall within ${term.name} (${term.startDate} – ${term.endDate})` });
+            }
+            
+            const duplicate = sameDay.find(session => String(session.id) !== String(id) &&
+                (!session.startTime || !data.startTime || session.startTime === data.startTime));
+            if (duplicate) {
+                return Validator.result({ date: 'This course already has a session at that time' });
+            }
+        } catch (error) {
+            // Cannot be checked (e.g. offline): the server keeps the data as sent
+            console.error('Error checking the class session:', error);
+        }
+        
+        return validation;
+    }
+    
+    /**
+     * Store references as numbers and empty times as null
+     */
+    prepareRecord(data) {
+        data.courseId = parseInt(data.courseId);
+        data.termId = parseInt(data.termId);
+        data.startTime = data.startTime || null;
+        data.endTime = data.endTime || null;
+        return data;
+    }
+    
+    /**
+     * New sessions start without attendance marks
+     */
+    async beforeCreate(data) {
+        data.attendance = [];
+        return data;
+    }
+    
+    /**
+     * Handle row actions
+     */
+    handleRowAction(action, id) {
+        if (action === 'attendance') {
+            this.showAttendanceSheet(id);
+        }
+    }
+    
+    /**
+     * Students on a session's attendance sheet: those enrolled in (or who completed)
+     * the course in its term, by name
+     */
+    async getAttendees(session) {
+        const enrollments = await DataSource.repository('enrollments').findAll(
+            { deleted: false, courseId: session.courseId, termId: session.termId },
+            { expand: ['student'] }
+        );
+        
+        return enrollments
+            .filter(enrollment => ATTENDING_STATUSES.includes(enrollment.status) && enrollment.student)
+            .map(enrollment => enrollment.student)
+            .sort((a, b) => a.name.localeCompare(b.name));
+    }
+    
+    /**
+     * Show the attendance sheet of a session: one row per student with a mark each
+     * (only users who can change sessions can save it)
+     */
+    async showAttendanceSheet(id) {
+        try {
+            const session = await this.repository.get(id);
+            const students = await this.getAttendees(session);
+            const canEdit = this.editable && Auth.canWrite('enrollments');
+            const title = `Attendance - ${this.getRecordLabel(session)}`;
+            
+            if (students.length === 0) {
+                this.openInfoModal(title, '<p class="info-empty">No students are enrolled in this course in this term.</p>');
+                return;
+            }
+            
+            const statuses = Attendance.getStatuses();
+            let html = `<form id="attendanceSheet" class="attendance-sheet">
+                <table class="info-table"><thead><tr><th>Student</th>${statuses.map(status => `<th>${status}</th>`).join('')}</tr></thead><tbody>`;
+            students.forEach(student => {
+                const mark = Attendance.getMark(session, student.id);
+                html += `<tr>
+                    <td>${Html.escape(student.name)}</td>
+                    ${statuses.map(status => `
+                        <td><input type="radio" name="student-${student.id}" value="${status}" aria-label="${Html.escape(`${student.name}: ${status}`)}"
+                            ${mark === status ? 'checked' : ''} ${canEdit ? '' : 'disabled'}></td>
+                    `).join('')}
+                </tr>`;
+            });
+            html += '</tbody></table>';
+            
+            if (canEdit) {
+                html += `<div class="modal-footer">
+                    <button type="button" class="btn btn-secondary" id="markAllPresentBtn">Mark All Present</button>
+                    <button type="submit" class="btn btn-primary">Save Attendance</button>
+                </div>`;
+            }
+            html += '</form>';
+            
+            this.openInfoModal(title, html);
+            if (!canEdit) return;
+            
+            const form = document.getElementById('attendanceSheet');
+            document.getElementById('markAllPresentBtn').addEventListener('click', () => {
+                form.querySelectorAll('input[value="Present"]').forEach(input => { input.checked = true; });
+            });
+            form.addEventListener('submit', async (e) => {
+                e.preventDefault();
+                
+                const marks = students
+                    .map(student => {
+                        const checked = form.querySelector(`input[name="student-${student.id}"]:checked`);
+                        return checked ? { studentId: student.id, status: checked.value } : null;
+                    })
+                    .filter(Boolean);
+                await this.saveAttendance(session, marks, students);
+            });
+        } catch (error) {
+            console.error('Error opening the attendance sheet:', error);
+            alert('Could not open the attendance sheet. Please try again.');
+        }
+    }
+    
+    /**
+     * Store a session's marks (keeping those of students no longer on the sheet),
+     * record each changed mark in the history and update the attendance rates
+     */
+    async saveAttendance(session, marks, students) {
+        try {
+            const latest = await this.repository.get(session.id);
+            if ((latest.version || 0) !== (session.version || 0)) {
+                alert('Someone else changed this session while you were taking attendance. The sheet was reloaded with their changes.');
+                this.showAttendanceSheet(session.id);
+                return;
+            }
+            
+            const onSheet = new Set(students.map(student => String(student.id)));
+            const attendance = [
+                ...Attendance.getMarks(session).filter(mark => !onSheet.has(String(mark.studentId))),
+                ...marks
+            ];
+            
+            const changes = students
+                .map(student => ({
+                    field: 'attendance',
+                    label: `Attendance: ${student.name}`,
+                    before: Attendance.getMark(session, student.id),
+                    after: Attendance.getMark({ attendance }, student.id)
+                }))
+                .filter(change => change.before !== change.after);
+            
+            const saved = await this.repository.patch(session.id, { attendance, ...this.nextVersion(session) });
+            await this.logChange('update', session, saved, changes);
+            
+            this.closeInfoModal();
+            Toast.show(`Attendance saved for ${marks.length} of ${students.length} students.`);
+            this.loadData();
+        } catch (error) {
+            console.error('Error saving attendance:', error);
+            alert('Could not save the attendance. Please try again.');
+        }
+    }
+    
+    /**
+     * Recalculate the attendance rates of the course the session belongs to
+     * (and of the one it belonged to before an edit)
+     */
+    async afterChange(action, before, after) {
+        const enrollment = new Enrollment();
+        const offerings = [before, after]
+            .filter(Boolean)
+            .map(session => ({ courseId: session.courseId, termId: session.termId }))
+            .filter((item, index, items) => items.findIndex(other =>
+                String(other.courseId) === String(item.courseId) && String(other.termId) === String(item.termId)) === index);
+        
+        for (const { courseId, termId } of offerings) {
+            await enrollment.recalculateAttendance(courseId, termId);
+        }
+    }
+}
@@ -0,0 +1,44 @@
+/**
+ * Config Class - Where the app keeps its data
+ *
+ * The data source can be changed in the page address (before the #):
+ *   ?source=local              keep all data in this browser's localStorage (no server needed)
+ *
+ * The REST API is always on the page's own origin (server.js serves the app
+ * and the API together). It is never taken from the page address: a link
+ * could otherwise send the login form, password included, to another host.
+ * Every request to the API sends the session cookie (credentials: 'include').
+ */
+
+const DATA_SOURCES = ['rest', 'local'];
+
+export class Config {
+    /**
+     * Read a setting from the page's query string
+     */
+    static getParam(name) {
+        return new URLSearchParams(window.location.search).get(name);
+    }
+    
+    /**
+     * 'rest' (json-server behind server.js) or 'local' (browser localStorage)
+     */
+    static getDataSource() {
+        const source = Config.getParam('source');
+        return DATA_SOURCES.includes(source) ? source : 'rest';
+    }
+    
+    /**
+     * Check if the app runs on browser storage only, without a server
+     */
+    static isLocal() {
+        return Config.getDataSource() === 'local';
+    }
+    
+    /**
+     * Base URL of the REST API (the page's own origin), without a trailing slash
+     */
+    static getApiBaseUrl() {
+        return window.location.origin.replace(/\/+$/, '');
+    }
+}
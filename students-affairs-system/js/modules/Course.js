@@ -4,39 +4,97 @@
  */
 
 import { DataTable } from './DataTable.js';
+import { Enrollment } from './Enrollment.js';
+import { Instructor } from './Instructor.js';
+import { Student } from './Student.js';
+import { Offering } from './Offering.js';
+import { Auth } from './Auth.js';
+import { Html } from './Html.js';
+import { Validator } from './Validator.js';
+import { TermScope } from './TermScope.js';
+import { Schedule } from './Schedule.js';
+import { TeachingLoad } from './TeachingLoad.js';
+
+// Course codes such as CS101; prerequisites are a comma-separated list of them
+const CODE = '[A-Z]{2,4}\\d{3}';
+const CODE_PATTERN = new RegExp(`^${CODE}$`, 'i');
+const CODE_LIST_PATTERN = new RegExp(`^${CODE}(\\s*,\\s*${CODE})*$`, 'i');
 
 export class Course extends DataTable {
     constructor() {
         // Configuration for courses
         const config = {
-            apiUrl: 'http://localhost:3000/courses',
+            resource: 'courses',
             entityName: 'Course',
+            expand: ['instructor'],
             columns: [
                 { key: 'id', label: 'ID' },
                 { key: 'code', label: 'Course Code' },
                 { key: 'name', label: 'Course Name' },
                 { key: 'credits', label: 'Credits' },
+                {
+                    key: 'capacity',
+                    label: 'Seats',
+                    render: record => this.formatSeats(record)
+                },
                 { key: 'department', label: 'Department' },
-                { key: 'instructor', label: 'Instructor' }
+                {
+                    key: 'instructorId',
+                    label: 'Instructor',
+                    render: record => record.instructor ? record.instructor.name : ''
+                },
+                {
+                    key: 'prerequisites',
+                    label: 'Prerequisites',
+                    filter: 'text',
+                    render: record => Course.getPrerequisites(record).join(', ')
+                }
+            ],
+            rowActions: [
+                { action: 'roster', label: 'Roster', resource: 'enrollments' }
             ],
             formFields: [
                 {
                     name: 'code',
                     label: 'Course Code',
                     type: 'text',
-                    required: true
+                    required: true,
+                    rules: {
+                        pattern: CODE_PATTERN,
+                        unique: true,
+                        messages: { pattern: 'Course code must be in format: CS101, ENG201, BUS301, etc.' }
+                    }
                 },
                 {
                     name: 'name',
                     label: 'Course Name',
                     type: 'text',
-                    required: true
+                    required: true,
+                    rules: { minLength: 5 }
                 },
                 {
                     name: 'credits',
                     label: 'Credit Hours',
                     type: 'number',
-                    required: true
+                    required: true,
+                    rules: {
+                        min: 1,
+                        max: 6,
+                        integer: true,
+                        messages: { range: 'Credit hours must be between 1 and 6' }
+                    }
+                },
+                {
+                    name: 'capacity',
+                    label: 'Capacity (seats per term)',
+                    type: 'number',
+                    placeholder: 'Leave empty for no limit',
+                    rules: {
+                        min: 1,
+                        max: 500,
+                        integer: true,
+                        messages: { range: 'Capacity must be between 1 and 500 seats' }
+                    }
                 },
                 {
                     name: 'department',
@@ -57,22 +115,72 @@ export class Course extends DataTable {
                     ]
                 },
                 {
-                    name: 'instructor',
-                    label: 'Instructor Name',
+                    name: 'instructorId',
+                    label: 'Instructor',
+                    type: 'select',
+                    searchable: true,
+                    required: true,
+                    options: []
+                },
+                {
+                    name: 'prerequisites',
+                    label: 'Prerequisites',
                     type: 'text',
-                    required: true
+                    placeholder: 'Course codes, e.g. CS101, MATH101',
+                    rules: {
+                        pattern: CODE_LIST_PATTERN,
+                        messages: { pattern: 'List course codes separated by commas, e.g. CS101, MATH101' }
+                    }
                 }
             ]
         };
         
         super(config);
+        
+        // Seats taken per course id in the term shown ({ term, enrolled, waitlisted })
+        this.seats = new Map();
     }
     
     /**
      * Initialize course module
      */
-    init() {
-        this.loadData();
+    async init(state = null) {
+        const instructors = await new Instructor().getAllInstructors();
+        this.getFormField('instructorId').options = instructors.map(instructor => ({
+            value: instructor.id,
+            label: instructor.name
+        }));
+        super.init(state);
+    }
+    
+    /**
+     * Seats of a course per term, or null when it has no limit
+     */
+    static getCapacity(course) {
+        const capacity = course ? parseInt(course.capacity) : NaN;
+        return isNaN(capacity) ? null : capacity;
+    }
+    
+    /**
+     * Prerequisite codes of a course (older records have none)
+     */
+    static getPrerequisites(course) {
+        return course && Array.isArray(course.prerequisites) ? course.prerequisites : [];
+    }
+    
+    /**
+     * Turn a typed or imported list ("cs101, MATH101") into unique upper-case codes
+     */
+    static parsePrerequisites(value) {
+        const codes = Array.isArray(value) ? value : String(value || '').split(',');
+        return [...new Set(codes.map(code => String(code).trim().toUpperCase()).filter(Boolean))];
+    }
+    
+    /**
+     * Name a course by its code and title in the change history
+     */
+    getRecordLabel(course) {
+        return `${course.code} - ${course.name}`;
     }
     
     /**
@@ -80,9 +188,7 @@ export class Course extends DataTable {
      */
     async getAllCourses() {
         try {
-            const response = await fetch(this.apiUrl);
-            if (!response.ok) throw new Error('Failed to fetch courses');
-            return await response.json();
+            return await this.repository.findAll({ deleted: false });
         } catch (error) {
             console.error('Error fetching all courses:', error);
             return [];
@@ -94,9 +200,7 @@ export class Course extends DataTable {
      */
     async getCourseById(id) {
         try {
-            const response = await fetch(`${this.apiUrl}/${id}`);
-            if (!response.ok) throw new Error('Failed to fetch course');
-            return await response.json();
+            return await this.repository.get(id);
         } catch (error) {
             console.error('Error fetching course:', error);
             return null;
@@ -108,9 +212,7 @@ export class Course extends DataTable {
      */
     async getCourseByCode(code) {
         try {
-            const response = await fetch(`${this.apiUrl}?code=${encodeURIComponent(code)}`);
-            if (!response.ok) throw new Error('Failed to fetch course');
-            const courses = await response.json();
+            const courses = await this.repository.findAll({ deleted: false, code });
             return courses.length > 0 ? courses[0] : null;
         } catch (error) {
             console.error('Error fetching course by code:', error);
@@ -123,9 +225,7 @@ export class Course extends DataTable {
      */
     async searchCourses(query) {
         try {
-            const response = await fetch(`${this.apiUrl}?q=${encodeURIComponent(query)}`);
-            if (!response.ok) throw new Error('Failed to search courses');
-            return await response.json();
+            return await this.repository.findAll({ deleted: false }, { q: query });
         } catch (error) {
             console.error('Error searching courses:', error);
             return [];
@@ -137,9 +237,7 @@ export class Course extends DataTable {
      */
     async filterByDepartment(department) {
         try {
-            const response = await fetch(`${this.apiUrl}?department=${encodeURIComponent(department)}`);
-            if (!response.ok) throw new Error('Failed to filter courses');
-            return await response.json();
+            return await this.repository.findAll({ deleted: false, department });
         } catch (error) {
             console.error('Error filtering courses:', error);
             return [];
@@ -147,13 +245,11 @@ export class Course extends DataTable {
     }
     
     /**
-     * Filter courses by instructor
+     * Filter courses by instructor ID
      */
-    async filterByInstructor(instructor) {
+    async filterByInstructor(instructorId) {
         try {
-            const response = await fetch(`${this.apiUrl}?instructor=${encodeURIComponent(instructor)}`);
-            if (!response.ok) throw new Error('Failed to filter courses');
-            return await response.json();
+            return await this.repository.findAll({ deleted: false, instructorId });
         } catch (error) {
             console.error('Error filtering courses by instructor:', error);
             return [];
@@ -165,9 +261,7 @@ export class Course extends DataTable {
      */
     async getCoursesByCredits(credits) {
         try {
-            const response = await fetch(`${this.apiUrl}?credits=${credits}`);
-            if (!response.ok) throw new Error('Failed to fetch courses');
-            return await response.json();
+            return await this.repository.findAll({ deleted: false, credits });
         } catch (error) {
             console.error('Error fetching courses by credits:', error);
             return [];
@@ -175,100 +269,279 @@ export class Course extends DataTable {
     }
     
     /**
-     * Validate course data before saving
+     * Follow prerequisites from some codes until `target` is reached;
+     * returns the codes on the way (ending with target) or null
+     */
+    findPrerequisitePath(codes, target, coursesByCode, visited = new Set()) {
+        for (const code of codes) {
+            if (code === target) return [code];
+            if (visited.has(code)) continue;
+            visited.add(code);
+            
+            const path = this.findPrerequisitePath(Course.getPrerequisites(coursesByCode.get(code)), target, coursesByCode, visited);
+            if (path) return [code, ...path];
+        }
+        return null;
+    }
+    
+    /**
+     * Check that the prerequisites are other existing courses and do not lead
+     * back to this course; returns an error message or null
      */
-    validateCourse(data) {
-        const errors = [];
+    async checkPrerequisites(data, id = null) {
+        const codes = Course.parsePrerequisites(data.prerequisites);
+        const code = String(data.code).trim().toUpperCase();
+        if (codes.length === 0) return null;
         
-        // Course code validation
-        const codeRegex = /^[A-Z]{2,4}\d{3}$/;
-        if (!data.code || !codeRegex.test(data.code.toUpperCase())) {
-            errors.push('Course code must be in format: CS101, ENG201, BUS301, etc.');
+        if (codes.includes(code)) return 'A course cannot be its own prerequisite';
+        
+        let courses;
+        try {
+            courses = await this.repository.findAll({ deleted: false });
+        } catch (error) {
+            // Cannot be checked (e.g. offline): the server keeps the data as sent
+            console.error('Error checking prerequisites:', error);
+            return null;
         }
         
-        // Course name validation
-        if (!data.name || data.name.trim().length < 5) {
-            errors.push('Course name must be at least 5 characters long');
+        // The course being edited takes part with its new code and prerequisites
+        const coursesByCode = new Map(courses
+            .filter(course => String(course.id) !== String(id))
+            .map(course => [course.code, course]));
+        
+        const unknown = codes.filter(prerequisite => !coursesByCode.has(prerequisite));
+        if (unknown.length > 0) return `Unknown course code${unknown.length > 1 ? 's' : ''}: ${unknown.join(', ')}`;
+        
+        const cycle = this.findPrerequisitePath(codes, code, coursesByCode);
+        if (cycle) return `These prerequisites would form a cycle: ${[code, ...cycle].join(' → ')}`;
+        
+        return null;
+    }
+    
+    /**
+     * Validate the fields, then check the prerequisites
+     */
+    async validateRecord(data, id = null) {
+        const validation = await super.validateRecord(data, id);
+        if (!validation.isValid) return validation;
+        
+        const error = await this.checkPrerequisites(data, id);
+        return error ? Validator.result({ prerequisites: error }) : validation;
+    }
+    
+    /**
+     * Render the prerequisites of some codes, and theirs, as a nested list
+     */
+    renderPrerequisiteChain(codes, coursesByCode, path = []) {
+        let html = '<ul class="prerequisite-chain">';
+        codes.forEach(code => {
+            const course = coursesByCode.get(code);
+            html += `<li><strong>${Html.escape(code)}</strong> `;
+            html += course ? Html.escape(course.name) : '<span class="prerequisite-missing">(no longer in the catalog)</span>';
+            
+            // A cycle left in older data is shown once instead of forever
+            const next = Course.getPrerequisites(course).filter(prerequisite => !path.includes(prerequisite));
+            if (next.length > 0) html += this.renderPrerequisiteChain(next, coursesByCode, [...path, code]);
+            html += '</li>';
+        });
+        html += '</ul>';
+        return html;
+    }
+    
+    /**
+     * Count the seats taken in the shown courses, in the selected term
+     * (or the current one when all terms are shown)
+     */
+    async loadRowDetails(courses) {
+        this.seats.clear();
+        
+        const term = TermScope.getTerm() || TermScope.getCurrentTerm();
+        if (!term || courses.length === 0 || !Auth.canRead('enrollments')) return;
+        
+        const enrollments = await new Enrollment().getEnrollmentsByTerm(term.id);
+        courses.forEach(course => {
+            const own = enrollments.filter(enrollment => String(enrollment.courseId) === String(course.id));
+            this.seats.set(String(course.id), {
+                term,
+                enrolled: own.filter(enrollment => enrollment.status === 'Enrolled').length,
+                waitlisted: own.filter(enrollment => enrollment.status === 'Waitlisted').length
+            });
+        });
+    }
+    
+    /**
+     * Seats column: "18/20 used · 2 left (Fall 2026)", plus the waitlist when there is one
+     */
+    formatSeats(course) {
+        const capacity = Course.getCapacity(course);
+        const seats = this.seats.get(String(course.id));
+        
+        if (!seats) return capacity === null ? 'No limit' : `${capacity} seats`;
+        
+        let text = capacity === null
+            ? `${seats.enrolled} used · no limit`
+            : `${seats.enrolled}/${capacity} used · ${Math.max(capacity - seats.enrolled, 0)} left`;
+        if (seats.waitlisted > 0) text += ` · ${seats.waitlisted} waitlisted`;
+        return `${text} (${seats.term.name})`;
+    }
+    
+    /**
+     * Limit the table to the courses offered in the selected term
+     */
+    async getTermScope(termId) {
+        const offerings = await new Offering().getOfferingsByTerm(termId);
+        return offerings.length > 0 ? { id: offerings.map(offering => offering.courseId) } : null;
+    }
+    
+    /**
+     * Detail drawer: the prerequisite chain, the courses that require this one
+     * and the terms in which it is offered
+     */
+    async getRelatedSections(course) {
+        const [courses, offerings] = await Promise.all([
+            this.getAllCourses(),
+            new Offering().getOfferingsByCourse(course.id)
+        ]);
+        
+        const coursesByCode = new Map(courses.map(item => [item.code, item]));
+        const prerequisites = Course.getPrerequisites(course);
+        const requiredBy = courses.filter(item => Course.getPrerequisites(item).includes(course.code));
+        
+        let prerequisitesHtml = prerequisites.length > 0
+            ? this.renderPrerequisiteChain(prerequisites, coursesByCode, [course.code])
+            : '<p class="info-empty">No prerequisites.</p>';
+        if (requiredBy.length > 0) {
+            prerequisitesHtml += `<p class="prerequisite-required-by">Required for: ${requiredBy.map(item => Html.escape(item.code)).join(', ')}</p>`;
         }
         
-        // Credits validation
-        const credits = parseInt(data.credits);
-        if (isNaN(credits) || credits < 1 || credits > 6) {
-            errors.push('Credit hours must be between 1 and 6');
+        const sections = [{ title: 'Prerequisites', html: prerequisitesHtml }];
+        
+        if (offerings.length === 0) {
+            return [...sections, { title: 'Offerings', html: '<p class="info-empty">Not offered in any term yet.</p>' }];
         }
         
-        // Department validation
-        if (!data.department || data.department.trim() === '') {
-            errors.push('Please select a department');
+        offerings.sort((a, b) => String(b.term && b.term.startDate).localeCompare(String(a.term && a.term.startDate)));
+        
+        let html = '<table class="info-table"><thead><tr><th>Term</th><th>Instructor</th><th>Meets</th></tr></thead><tbody>';
+        offerings.forEach(offering => {
+            html += `<tr>
+                <td>${Html.escape(offering.term ? offering.term.name : '')}</td>
+                <td>${Html.escape(offering.instructor ? offering.instructor.name : '')}</td>
+                <td>${Html.escape([Schedule.format(offering), offering.room && offering.room.name].filter(Boolean).join(' · ') || '-')}</td>
+            </tr>`;
+        });
+        html += '</tbody></table>';
+        
+        return [...sections, { title: `Offerings (${offerings.length} terms)`, html }];
+    }
+    
+    /**
+     * Handle row actions
+     */
+    handleRowAction(action, id) {
+        if (action === 'roster') {
+            this.showCourseRoster(id);
         }
+    }
+    
+    /**
+     * Show the students enrolled in a course
+     */
+    async showCourseRoster(id) {
+        const [course, enrollments] = await Promise.all([
+            this.getCourseById(id),
+            new Enrollment().getEnrollmentsByCourse(id)
+        ]);
         
-        // Instructor validation
-        if (!data.instructor || data.instructor.trim().length < 3) {
-            errors.push('Instructor name must be at least 3 characters long');
+        const title = course ? `Roster - ${course.code} ${course.name}` : 'Course Roster';
+        
+        if (enrollments.length === 0) {
+            this.openInfoModal(title, '<p class="info-empty">No students are enrolled in this course yet.</p>');
+            return;
         }
         
-        return {
-            isValid: errors.length === 0,
-            errors: errors
-        };
+        let html = '<table class="info-table"><thead><tr><th>ID</th><th>Student</th><th>Department</th><th>Enrolled</th><th>Status</th></tr></thead><tbody>';
+        enrollments.forEach(enrollment => {
+            const student = enrollment.student || {};
+            html += `<tr>
+                <td>${Html.escape(student.id) || '-'}</td>
+                <td>${Html.escape(student.name) || '-'}</td>
+                <td>${Html.escape(student.department) || '-'}</td>
+                <td>${Html.escape(enrollment.enrollmentDate) || '-'}</td>
+                <td>${Html.escape(enrollment.status) || '-'}</td>
+            </tr>`;
+        });
+        html += '</tbody></table>';
+        
+        this.openInfoModal(title, html);
     }
     
     /**
-     * Override saveRecord to include validation
+     * Ask before a new instructor or more credits take the course's instructor
+     * over the maximum load of the catalog
      */
-    async saveRecord() {
-        try {
-            const formData = new FormData(this.recordForm);
-            const data = Object.fromEntries(formData.entries());
-            
-            // Validate data
-            const validation = this.validateCourse(data);
-            if (!validation.isValid) {
-                alert('Validation errors:\n' + validation.errors.join('\n'));
-                return;
-            }
-            
-            // Format course code to uppercase
-            data.code = data.code.toUpperCase();
-            
-            // Convert credits to number
-            data.credits = parseInt(data.credits);
-            
-            // Check if course code already exists (only for new courses)
-            if (!this.currentRecord) {
-                const existingCourse = await this.getCourseByCode(data.code);
-                if (existingCourse) {
-                    alert(`Course code ${data.code} already exists!`);
-                    return;
-                }
-            }
-            
-            let response;
-            
-            if (this.currentRecord) {
-                // Update existing record
-                response = await fetch(`${this.apiUrl}/${this.currentRecord.id}`, {
-                    method: 'PUT',
-                    headers: { 'Content-Type': 'application/json' },
-                    body: JSON.stringify({ ...data, id: this.currentRecord.id })
-                });
-            } else {
-                // Create new record
-                response = await fetch(this.apiUrl, {
-                    method: 'POST',
-                    headers: { 'Content-Type': 'application/json' },
-                    body: JSON.stringify(data)
-                });
+    async confirmSave(data, before) {
+        const assigned = !before || ['instructorId', 'credits'].some(field => String(before[field]) !== String(data[field]));
+        if (!assigned) return true;
+        
+        const warning = await TeachingLoad.getOverloadWarning({ id: before ? before.id : null, instructorId: data.instructorId, course: data });
+        return !warning || confirm(`${warning} Save anyway?`);
+    }
+    
+    /**
+     * Keep prerequisite lists pointing at a course whose code changed, move waitlisted
+     * students in when it gets more seats, and (GPAs being weighted by credits)
+     * recalculate its students' GPAs when its credits change
+     */
+    async afterChange(action, before, after) {
+        if (!before || !after) return;
+        
+        if (before.code !== after.code) await this.renamePrerequisite(before.code, after.code);
+        
+        const oldCapacity = Course.getCapacity(before);
+        const newCapacity = Course.getCapacity(after);
+        if (oldCapacity !== null && (newCapacity === null || newCapacity > oldCapacity)) {
+            await new Enrollment().fillWaitlists(after.id);
+        }
+        
+        if (before.credits === after.credits) return;
+        
+        const enrollments = await new Enrollment().getEnrollmentsByCourse(after.id);
+        const studentIds = new Set(enrollments.filter(enrollment => enrollment.grade).map(enrollment => String(enrollment.studentId)));
+        const student = new Student();
+        
+        for (const studentId of studentIds) {
+            await student.recalculateGpa(studentId);
+        }
+    }
+    
+    /**
+     * Replace a course's old code in the other courses' prerequisites
+     */
+    async renamePrerequisite(oldCode, newCode) {
+        const courses = (await this.getAllCourses()).filter(course => Course.getPrerequisites(course).includes(oldCode));
+        
+        for (const course of courses) {
+            try {
+                const prerequisites = Course.getPrerequisites(course).map(code => code === oldCode ? newCode : code);
+                const saved = await this.repository.patch(course.id, { prerequisites, ...this.nextVersion(course) });
+                await this.logChange('update', course, saved);
+            } catch (error) {
+                console.error('Error renaming a prerequisite:', error);
             }
-            
-            if (!response.ok) throw new Error('Failed to save course');
-            
-            this.closeModal();
-            this.loadData();
-            
-        } catch (error) {
-            console.error('Error saving course:', error);
-            alert('Failed to save course. Please try again.');
         }
     }
+    
+    /**
+     * Normalize code, credits, capacity (empty: no limit), instructor reference
+     * and prerequisites before saving
+     */
+    prepareRecord(data) {
+        data.code = data.code.toUpperCase();
+        data.credits = parseInt(data.credits);
+        data.instructorId = parseInt(data.instructorId);
+        data.prerequisites = Course.parsePrerequisites(data.prerequisites);
+        data.capacity = data.capacity === '' || data.capacity === undefined || data.capacity === null ? null : parseInt(data.capacity);
+        return data;
+    }
 }
@@ -0,0 +1,117 @@
+/**
+ * Csv Class - Helpers for reading and writing CSV files
+ * Follows RFC 4180 (quoted fields, doubled quotes, CRLF line endings)
+ */
+
+// Byte order mark so Excel opens the file as UTF-8 (keeps Arabic names intact)
+const BOM = '\uFEFF';
+
+// First characters that make a spreadsheet read a cell as a formula (also after
+// apostrophes). Such cells are written with one more leading apostrophe, which
+// spreadsheets show as text and parse removes again.
+const FORMULA_START = /^'*[=+\-@\t\r]/;
+const FORMULA_GUARD = /^'(?='*[=+\-@\t\r])/;
+
+export class Csv {
+    /**
+     * Quote a single value when it contains a delimiter, quote or line break,
+     * and keep a value that starts like a formula (=, +, -, @) from running as one
+     */
+    static escape(value) {
+        if (value === null || value === undefined) return '';
+        
+        const text = FORMULA_START.test(String(value)) ? `'${value}` : String(value);
+        if (/[",\r\n]/.test(text) || text !== text.trim() || text !== String(value)) {
+            return `"${text.replace(/"/g, '""')}"`;
+        }
+        return text;
+    }
+    
+    /**
+     * Convert an array of rows (arrays of values) into CSV text
+     */
+    static stringify(rows) {
+        return rows
+            .map(row => row.map(value => Csv.escape(value)).join(','))
+            .join('\r\n');
+    }
+    
+    /**
+     * Parse CSV text into an array of rows (arrays of strings).
+     * Handles quoted fields, escaped quotes, line breaks inside quotes,
+     * a leading BOM and semicolon-separated files (Excel in some locales).
+     */
+    static parse(text) {
+        const source = text.replace(/^\uFEFF/, '');
+        const delimiter = Csv.detectDelimiter(source);
+        const rows = [];
+        let row = [];
+        let field = '';
+        let inQuotes = false;
+        
+        for (let i = 0; i < source.length; i++) {
+            const char = source[i];
+            
+            if (inQuotes) {
+                if (char === '"' && source[i + 1] === '"') {
+                    field += '"';
+                    i++;
+                } else if (char === '"') {
+                    inQuotes = false;
+                } else {
+                    field += char;
+                }
+            } else if (char === '"') {
+                inQuotes = true;
+            } else if (char === delimiter) {
+                row.push(field);
+                field = '';
+            } else if (char === '\r' || char === '\n') {
+                if (char === '\r' && source[i + 1] === '\n') i++;
+                row.push(field);
+                rows.push(row);
+                row = [];
+                field = '';
+            } else {
+                field += char;
+            }
+        }
+        
+        if (field !== '' || row.length > 0) {
+            row.push(field);
+            rows.push(row);
+        }
+        
+        // Drop blank lines and the apostrophe escape puts before formula-like values
+        return rows
+            .filter(values => values.some(value => value.trim() !== ''))
+            .map(values => values.map(value => value.replace(FORMULA_GUARD, '')));
+    }
+    
+    /**
+     * Guess the delimiter from the header line
+     */
+    static detectDelimiter(text) {
+        const headerLine = text.split(/\r?\n/, 1)[0];
+        const semicolons = (headerLine.match(/;/g) || []).length;
+        const commas = (headerLine.match(/,/g) || []).length;
+        return semicolons > commas ? ';' : ',';
+    }
+    
+    /**
+     * Trigger a browser download of the given rows as a UTF-8 CSV file
+     */
+    static download(filename, rows) {
+        const blob = new Blob([BOM + Csv.stringify(rows) + '\r\n'], { type: 'text/csv;charset=utf-8' });
+        const url = URL.createObjectURL(blob);
+        
+        const link = document.createElement('a');
+        link.href = url;
+        link.download = filename;
+        document.body.appendChild(link);
+        link.click();
+        link.remove();
+        
+        URL.revokeObjectURL(url);
+    }
+}
@@ -0,0 +1,365 @@
+/**
+ * CsvImport Class - Bulk import wizard for a DataTable module
+ * Parses a CSV file, maps its headers to the module's form fields,
+ * validates every row and POSTs only the rows the user accepts
+ */
+
+import { Csv } from './Csv.js';
+import { Html } from './Html.js';
+
+export class CsvImport {
+    constructor(table) {
+        this.table = table;
+        
+        // Parsed file
+        this.headers = [];
+        this.rows = [];
+        this.mapping = [];
+        
+        // Validation results: { line, data, errors, accepted, imported }
+        this.results = [];
+        this.isImporting = false;
+        
+        // DOM Elements
+        this.modal = document.getElementById('importModal');
+        this.modalTitle = document.getElementById('importModalTitle');
+        this.modalOverlay = document.getElementById('importModalOverlay');
+        this.modalClose = document.getElementById('importModalClose');
+        this.cancelBtn = document.getElementById('importCancelBtn');
+        this.startBtn = document.getElementById('importStartBtn');
+        this.fileInput = document.getElementById('importFileInput');
+        this.mappingElement = document.getElementById('importMapping');
+        this.previewElement = document.getElementById('importPreview');
+        this.progressElement = document.getElementById('importProgress');
+        this.reportElement = document.getElementById('importReport');
+    }
+    
+    /**
+     * Attach event listeners (removed together with the table's listeners)
+     */
+    initEventListeners(signal) {
+        this.modalClose.addEventListener('click', () => this.close(), { signal });
+        this.modalOverlay.addEventListener('click', () => this.close(), { signal });
+        this.cancelBtn.addEventListener('click', () => this.close(), { signal });
+        this.startBtn.addEventListener('click', () => this.runImport(), { signal });
+        
+        this.fileInput.addEventListener('change', (e) => {
+            const file = e.target.files[0];
+            if (file) this.loadFile(file);
+        }, { signal });
+    }
+    
+    /**
+     * Open the wizard with a clean state
+     */
+    open() {
+        this.headers = [];
+        this.rows = [];
+        this.mapping = [];
+        this.results = [];
+        
+        this.modalTitle.textContent = `Import ${this.table.entityName}s from CSV`;
+        this.fileInput.value = '';
+        this.mappingElement.innerHTML = '';
+        this.previewElement.innerHTML = '';
+        this.progressElement.style.display = 'none';
+        this.reportElement.innerHTML = '';
+        this.updateStartButton();
+        
+        this.modal.classList.add('active');
+    }
+    
+    /**
+     * Close the wizard (not while rows are being posted)
+     */
+    close() {
+        if (this.isImporting) return;
+        this.modal.classList.remove('active');
+    }
+    
+    /**
+     * Read and parse the selected file
+     */
+    async loadFile(file) {
+        try {
+            const rows = Csv.parse(await file.text());
+            
+            if (rows.length < 2) {
+                this.previewElement.innerHTML = '<p class="info-empty">The file has no data rows.</p>';
+                return;
+            }
+            
+            this.headers = rows[0].map(header => header.trim());
+            this.rows = rows.slice(1);
+            this.mapping = this.headers.map(header => this.guessField(header));
+            this.reportElement.innerHTML = '';
+            
+            this.renderMapping();
+            await this.buildPreview();
+        
+        } catch (error) {
+            console.error('Error reading CSV file:', error);
+            alert('Failed to read the CSV file. Please check its format.');
+        }
+    }
+    
+    /**
+     * Normalize a header or label for loose matching ("Full Name" -> "fullname")
+     */
+    normalize(text) {
+        return String(text).toLowerCase().replace(/[^a-z0-9]/g, '');
+    }
+    
+    /**
+     * Form fields a CSV column can fill (not calculated or locked for the user's role)
+     */
+    getImportableFields() {
+        return this.table.formFields.filter(field => !this.table.isFieldLocked(field));
+    }
+    
+    /**
+     * Find the form field a CSV header refers to (by name, form label or column label)
+     */
+    guessField(header) {
+        const key = this.normalize(header);
+        
+        const field = this.getImportableFields().find(formField => {
+            const column = this.table.columns.find(col => col.key === formField.name);
+            return [formField.name, formField.label, column ? column.label : '']
+                .some(candidate => candidate && this.normalize(candidate) === key);
+        });
+        
+        return field ? field.name : '';
+    }
+    
+    /**
+     * Render the header -> field mapping controls
+     */
+    renderMapping() {
+        let html = '<h4 class="import-section-title">Column Mapping</h4><div class="import-mapping-grid">';
+        
+        this.headers.forEach((header, index) => {
+            html += `<label class="import-mapping-row">`;
+            html += `<span class="import-header">${Html.escape(header)}</span>`;
+            html += `<select class="filter-input" data-index="${index}">`;
+            html += `<option value="">Ignore column</option>`;
+            this.getImportableFields().forEach(field => {
+                const selected = this.mapping[index] === field.name ? 'selected' : '';
+                html += `<option value="${field.name}" ${selected}>${Html.escape(field.label)}</option>`;
+            });
+            html += `</select></label>`;
+        });
+        
+        html += '</div>';
+        this.mappingElement.innerHTML = html;
+        
+        this.mappingElement.querySelectorAll('select').forEach(select => {
+            select.addEventListener('change', (e) => {
+                this.mapping[parseInt(e.target.dataset.index)] = e.target.value;
+                this.buildPreview();
+            });
+        });
+    }
+    
+    /**
+     * Convert a raw CSV value to what the form would submit for a field.
+     * Select fields accept an option's value, label or alias (case-insensitive).
+     */
+    convertValue(field, rawValue) {
+        const value = rawValue.trim();
+        
+        if (field.type !== 'select' || value === '') return value;
+        
+        const needle = value.toLowerCase();
+        const option = field.options.find(opt => {
+            if (typeof opt !== 'object') return opt.toLowerCase() === needle;
+            return [opt.value, opt.label, ...(opt.aliases || [])]
+                .some(candidate => String(candidate).toLowerCase() === needle);
+        });
+        
+        if (!option) return value;
+        return typeof option === 'object' ? String(option.value) : option;
+    }
+    
+    /**
+     * Build the form-like data object for one CSV row
+     */
+    toRecord(row) {
+        const data = {};
+        
+        this.mapping.forEach((fieldName, index) => {
+            if (!fieldName) return;
+            const field = this.table.getFormField(fieldName);
+            data[fieldName] = this.convertValue(field, row[index] || '');
+        });
+        
+        return data;
+    }
+    
+    /**
+     * Validate every row with the module's validator and render the preview
+     */
+    async buildPreview() {
+        const mappedFields = new Set(this.mapping.filter(Boolean));
+        this.results = [];
+        
+        for (let i = 0; i < this.rows.length; i++) {
+            const data = this.toRecord(this.rows[i]);
+            const validation = await this.table.validateRecord({ ...data });
+            const errors = [...validation.errors];
+            
+            // Select values that did not match any option
+            mappedFields.forEach(fieldName => {
+                const field = this.table.getFormField(fieldName);
+                if (field.type === 'select' && data[fieldName] !== '' && !this.isKnownOption(field, data[fieldName])) {
+                    errors.push(`Unknown ${field.label}: "${data[fieldName]}"`);
+                }
+            });
+            
+            // Line numbers as shown in a spreadsheet (header is line 1)
+            this.results.push({ line: i + 2, data, errors, accepted: errors.length === 0, imported: false });
+        }
+        
+        this.renderPreview();
+    }
+    
+    /**
+     * Check whether a converted value is one of the field's options
+     */
+    isKnownOption(field, value) {
+        return field.options.some(option =>
+            String(typeof option === 'object' ? option.value : option) === String(value)
+        );
+    }
+    
+    /**
+     * Render the preview table, valid rows first
+     */
+    renderPreview() {
+        const fields = this.table.formFields.filter(field => this.mapping.includes(field.name));
+        const valid = this.results.filter(result => result.errors.length === 0);
+        const invalid = this.results.filter(result => result.errors.length > 0);
+        
+        let html = `<h4 class="import-section-title">Preview</h4>`;
+        html += `<p class="import-summary"><span class="badge badge-success">${valid.length} valid</span> <span class="badge badge-danger">${invalid.length} invalid</span></p>`;
+        html += '<div class="import-preview-scroll"><table class="info-table"><thead><tr>';
+        html += '<th><input type="checkbox" id="importToggleAll" checked title="Accept all valid rows"></th><th>Line</th>';
+        fields.forEach(field => {
+            html += `<th>${Html.escape(field.label)}</th>`;
+        });
+        html += '<th>Errors</th></tr></thead><tbody>';
+        
+        [...valid, ...invalid].forEach(result => {
+            const isValid = result.errors.length === 0;
+            html += `<tr class="${isValid ? '' : 'import-row-invalid'}">`;
+            html += `<td><input type="checkbox" class="import-accept" data-line="${result.line}" ${result.accepted ? 'checked' : ''} ${isValid && !result.imported ? '' : 'disabled'}></td>`;
+            html += `<td>${result.line}</td>`;
+            fields.forEach(field => {
+                html += `<td>${Html.escape(this.displayValue(field, result.data[field.name]))}</td>`;
+            });
+            html += `<td>${isValid ? (result.imported ? '✅ Imported' : '✅') : `<ul class="import-errors">${result.errors.map(error => `<li>${Html.escape(error)}</li>`).join('')}</ul>`}</td>`;
+            html += '</tr>';
+        });
+        
+        html += '</tbody></table></div>';
+        this.previewElement.innerHTML = html;
+        
+        this.previewElement.querySelectorAll('.import-accept').forEach(checkbox => {
+            checkbox.addEventListener('change', (e) => {
+                const result = this.results.find(item => item.line === parseInt(e.target.dataset.line));
+                result.accepted = e.target.checked;
+                this.updateStartButton();
+            });
+        });
+        
+        document.getElementById('importToggleAll').addEventListener('change', (e) => {
+            this.results
+                .filter(result => result.errors.length === 0 && !result.imported)
+                .forEach(result => { result.accepted = e.target.checked; });
+            this.renderPreview();
+        });
+        
+        this.updateStartButton();
+    }
+    
+    /**
+     * Show select values by their label in the preview
+     */
+    displayValue(field, value) {
+        if (field.type !== 'select' || value === undefined) return value;
+        
+        const option = field.options.find(opt => typeof opt === 'object' && String(opt.value) === String(value));
+        return option ? option.label : value;
+    }
+    
+    /**
+     * Enable the import button only when there is something to import
+     */
+    updateStartButton() {
+        const count = this.results.filter(result => result.accepted).length;
+        this.startBtn.disabled = count === 0 || this.isImporting;
+        this.startBtn.textContent = count > 0 ? `Import ${count} Row${count === 1 ? '' : 's'}` : 'Import';
+    }
+    
+    /**
+     * POST the accepted rows one by one, reporting progress and failures
+     */
+    async runImport() {
+        const accepted = this.results.filter(result => result.accepted);
+        if (accepted.length === 0) return;
+        
+        this.isImporting = true;
+        this.updateStartButton();
+        this.progressElement.style.display = 'block';
+        
+        const progressBar = this.progressElement.querySelector('progress');
+        const progressText = this.progressElement.querySelector('.import-progress-text');
+        progressBar.max = accepted.length;
+        
+        const failures = [];
+        let imported = 0;
+        
+        for (let i = 0; i < accepted.length; i++) {
+            const result = accepted[i];
+            progressBar.value = i;
+            progressText.textContent = `Importing ${i + 1} of ${accepted.length}...`;
+            
+            try {
+                // Validate again: earlier rows of this file may now conflict (e.g. duplicate codes)
+                const validation = await this.table.validateRecord({ ...result.data });
+                if (!validation.isValid) throw new Error(validation.errors.join('; '));
+                
+                await this.table.createRecord(this.table.prepareRecord({ ...result.data }));
+                imported++;
+                result.accepted = false;
+                result.imported = true;
+            } catch (error) {
+                console.error(`Error importing line ${result.line}:`, error);
+                failures.push({ line: result.line, reason: error.message });
+            }
+        }
+        
+        progressBar.value = accepted.length;
+        progressText.textContent = `Imported ${imported} of ${accepted.length} rows.`;
+        this.isImporting = false;
+        this.renderReport(imported, failures);
+        this.renderPreview();
+        this.table.loadData();
+    }
+    
+    /**
+     * Show which rows failed and why
+     */
+    renderReport(imported, failures) {
+        let html = `<p class="import-summary"><span class="badge badge-success">${imported} imported</span>`;
+        if (failures.length > 0) {
+            html += ` <span class="badge badge-danger">${failures.length} failed</span></p>`;
+            html += `<ul class="import-errors">${failures.map(failure =>
+                `<li>Line ${failure.line}: ${Html.escape(failure.reason)}</li>`
+            ).join('')}</ul>`;
+        } else {
+            html += '</p>';
+        }
+        this.reportElement.innerHTML = html;
+    }
+}
@@ -1,60 +1,309 @@
 /**
- * Dashboard Class - Main landing page with statistics and quick actions
+ * Dashboard Class - Main landing page with statistics, analytics and quick actions
+ *
+ * With a term picked in the header (see TermScope), the course, teaching and
+ * enrollment figures only cover that term.
  */
 
+import { Chart } from './Chart.js';
+import { Html } from './Html.js';
+import { Student } from './Student.js';
+import { Course } from './Course.js';
+import { Instructor } from './Instructor.js';
+import { Employee } from './Employee.js';
+import { Enrollment } from './Enrollment.js';
+import { Offering } from './Offering.js';
+import { Auth } from './Auth.js';
+import { TermScope } from './TermScope.js';
+
 export class Dashboard {
-    constructor() {
+    constructor(onNavigate) {
+        // Called with (page, filters) to open a (filtered) table
+        this.onNavigate = onNavigate;
+        
         this.statsData = {
             students: 0,
             courses: 0,
             instructors: 0,
             employees: 0
         };
+        
+        // Raw records the analytics widgets are computed from
+        this.records = {
+            students: [],
+            courses: [],
+            instructors: [],
+            employees: [],
+            offerings: [],
+            enrollments: []
+        };
+        
+        // The term the figures cover, or null for all terms
+        this.term = null;
+        
+        this.widgets = [];
+        this.isDestroyed = false;
+        
+        // DOM Elements
+        this.view = document.getElementById('dashboardView');
+        this.tableView = document.getElementById('tableView');
     }
     
     /**
      * Initialize dashboard
      */
     async init() {
+        this.tableView.style.display = 'none';
+        this.view.style.display = 'block';
+        this.view.innerHTML = '<div class="loading-spinner"><div class="spinner"></div><p>Loading dashboard...</p></div>';
+        
         await this.loadStatistics();
+        
+        // The user may have left the page while the data was loading
+        if (this.isDestroyed) return;
+        
+        this.widgets = this.buildWidgets().filter(widget => widget.resources.every(resource => Auth.canRead(resource)));
         this.render();
     }
     
+    /**
+     * Remove the dashboard and show the table view again (called when switching pages)
+     */
+    destroy() {
+        this.isDestroyed = true;
+        this.view.innerHTML = '';
+        this.view.style.display = 'none';
+        this.tableView.style.display = '';
+    }
+    
     /**
      * Load statistics from all endpoints
      */
     async loadStatistics() {
-        try {
-            const [students, courses, instructors, employees] = await Promise.all([
-                fetch('http://localhost:3000/students').then(r => r.json()),
-                fetch('http://localhost:3000/courses').then(r => r.json()),
-                fetch('http://localhost:3000/instructors').then(r => r.json()),
-                fetch('http://localhost:3000/employees').then(r => r.json())
-            ]);
+        // Resources the user's role cannot read are not requested at all
+        const loadIfReadable = (resource, load) => Auth.canRead(resource) ? load() : [];
+        const term = TermScope.getTerm();
+        
+        const [students, allCourses, instructors, employees, offerings, enrollments] = await Promise.all([
+            loadIfReadable('students', () => new Student().getAllStudents()),
+            loadIfReadable('courses', () => new Course().getAllCourses()),
+            loadIfReadable('instructors', () => new Instructor().getAllInstructors()),
+            loadIfReadable('employees', () => new Employee().getAllEmployees()),
+            loadIfReadable('offerings', () => term ? new Offering().getOfferingsByTerm(term.id) : []),
+            loadIfReadable('enrollments', () => term ? new Enrollment().getEnrollmentsByTerm(term.id) : new Enrollment().getAllEnrollments())
+        ]);
+        
+        // In a term, only the courses offered in it count
+        const courses = term && Auth.canRead('offerings')
+            ? allCourses.filter(course => offerings.some(offering => String(offering.courseId) === String(course.id)))
+            : allCourses;
+        
+        this.term = term && Auth.canRead('offerings') ? term : null;
+        this.records = { students, courses, instructors, employees, offerings, enrollments };
+        this.statsData = {
+            students: students.length,
+            courses: courses.length,
+            instructors: instructors.length,
+            employees: employees.length
+        };
+    }
+    
+    /**
+     * Describe every analytics widget: its chart data, the resources it
+     * needs and the table a click on a bar segment opens (page + column filters)
+     */
+    buildWidgets() {
+        const { students, courses, instructors, employees, offerings, enrollments } = this.records;
+        
+        // In a term, teaching comes from its offerings instead of the courses' instructors
+        const teaching = this.term
+            ? offerings.map(offering => ({ instructorId: offering.instructorId, credits: offering.course && offering.course.credits }))
+            : courses;
+        
+        const gpaBins = this.getGpaBins(students);
+        const studentDepartments = this.countBy(students, 'department');
+        const courseDepartments = this.countBy(courses, 'department');
+        const credits = this.getCreditsPerInstructor(teaching, instructors);
+        const courseEnrollments = this.getEnrollmentsPerCourse(courses, enrollments);
+        const hires = this.getHiresPerYear(instructors, employees);
+        
+        return [
+            {
+                title: 'GPA Distribution',
+                resources: ['students'],
+                icon: '🎓',
+                chart: {
+                    categories: gpaBins.map(bin => bin.label),
+                    series: [{ name: 'Students', values: gpaBins.map(bin => bin.count) }]
+                },
+                target: index => ({ page: 'students', filters: gpaBins[index].filters })
+            },
+            {
+                title: 'Students per Department',
+                resources: ['students'],
+                icon: '👨‍🎓',
+                chart: {
+                    categories: studentDepartments.map(item => item.label),
+                    series: [{ name: 'Students', values: studentDepartments.map(item => item.count) }],
+                    horizontal: true
+                },
+                target: index => ({ page: 'students', filters: { department: studentDepartments[index].label } })
+            },
+            {
+                title: 'Courses per Department',
+                resources: ['courses'],
+                icon: '📚',
+                chart: {
+                    categories: courseDepartments.map(item => item.label),
+                    series: [{ name: 'Courses', values: courseDepartments.map(item => item.count) }],
+                    horizontal: true
+                },
+                target: index => ({ page: 'courses', filters: { department: courseDepartments[index].label } })
+            },
+            {
+                title: 'Credits Taught per Instructor',
+                resources: this.term ? ['offerings', 'instructors'] : ['courses', 'instructors'],
+                icon: '👨‍🏫',
+                chart: {
+                    categories: credits.map(item => item.label),
+                    series: [{ name: 'Credits', values: credits.map(item => item.credits) }],
+                    horizontal: true
+                },
+                target: index => ({ page: this.term ? 'offerings' : 'courses', filters: { instructorId: String(credits[index].id) } })
+            },
+            {
+                title: 'Enrollments per Course',
+                resources: ['courses', 'enrollments'],
+                icon: '📝',
+                chart: {
+                    categories: courseEnrollments.map(item => item.label),
+                    series: [{ name: 'Enrollments', values: courseEnrollments.map(item => item.count) }],
+                    horizontal: true
+                },
+                target: index => ({ page: 'enrollments', filters: { courseId: String(courseEnrollments[index].id) } })
+            },
+            {
+                title: 'Hires per Year',
+                resources: ['instructors', 'employees'],
+                icon: '📅',
+                chart: {
+                    categories: hires.years.map(String),
+                    series: [
+                        { name: 'Instructors', values: hires.instructors },
+                        { name: 'Employees', values: hires.employees }
+                    ]
+                },
+                target: (index, seriesIndex) => ({
+                    page: seriesIndex === 0 ? 'instructors' : 'employees',
+                    filters: {
+                        hireDate_gte: `${hires.years[index]}-01-01`,
+                        hireDate_lte: `${hires.years[index]}-12-31`
+                    }
+                })
+            }
+        ];
+    }
+    
+    /**
+     * Count students per half-point GPA band (0.0-0.5 ... 3.5-4.0)
+     */
+    getGpaBins(students) {
+        const bins = [];
+        
+        for (let low = 0; low < 4; low += 0.5) {
+            const isLast = low === 3.5;
+            const high = low + 0.5;
             
-            this.statsData = {
-                students: students.length,
-                courses: courses.length,
-                instructors: instructors.length,
-                employees: employees.length
-            };
-        } catch (error) {
-            console.error('Error loading statistics:', error);
+            bins.push({
+                label: `${low.toFixed(1)}-${high.toFixed(1)}`,
+                count: students.filter(student => {
+                    const gpa = parseFloat(student.gpa);
+                    return gpa >= low && (isLast ? gpa <= high : gpa < high);
+                }).length,
+                // GPAs have two decimals; the table filter bounds are inclusive
+                filters: {
+                    gpa_gte: low.toFixed(2),
+                    gpa_lte: (isLast ? high : high - 0.01).toFixed(2)
+                }
+            });
         }
+        
+        return bins;
+    }
+    
+    /**
+     * Count records per value of a field, largest first
+     */
+    countBy(records, key) {
+        const counts = {};
+        
+        records.forEach(record => {
+            const value = record[key] || 'Unknown';
+            counts[value] = (counts[value] || 0) + 1;
+        });
+        
+        return Object.entries(counts)
+            .map(([label, count]) => ({ label, count }))
+            .sort((a, b) => b.count - a.count || a.label.localeCompare(b.label));
+    }
+    
+    /**
+     * Sum the credits each instructor teaches (courses or offerings:
+     * records with an instructorId and credits), largest first
+     */
+    getCreditsPerInstructor(teaching, instructors) {
+        return instructors
+            .map(instructor => ({
+                id: instructor.id,
+                label: instructor.name,
+                credits: teaching
+                    .filter(item => String(item.instructorId) === String(instructor.id))
+                    .reduce((sum, item) => sum + (parseInt(item.credits) || 0), 0)
+            }))
+            .sort((a, b) => b.credits - a.credits || a.label.localeCompare(b.label));
+    }
+    
+    /**
+     * Count the enrollments of each course, largest first
+     */
+    getEnrollmentsPerCourse(courses, enrollments) {
+        return courses
+            .map(course => ({
+                id: course.id,
+                label: course.code,
+                count: enrollments.filter(enrollment => String(enrollment.courseId) === String(course.id)).length
+            }))
+            .sort((a, b) => b.count - a.count || a.label.localeCompare(b.label));
+    }
+    
+    /**
+     * Count instructor and employee hires per calendar year
+     */
+    getHiresPerYear(instructors, employees) {
+        const yearOf = record => parseInt(String(record.hireDate).slice(0, 4));
+        const years = [...new Set([...instructors, ...employees].map(yearOf))]
+            .filter(year => !isNaN(year))
+            .sort((a, b) => a - b);
+        
+        return {
+            years,
+            instructors: years.map(year => instructors.filter(record => yearOf(record) === year).length),
+            employees: years.map(year => employees.filter(record => yearOf(record) === year).length)
+        };
     }
     
     /**
      * Render dashboard
      */
     render() {
-        const container = document.querySelector('.main-content .container');
-        
         const dashboardHTML = `
             <!-- Dashboard Hero -->
             <div class="dashboard-hero">
                 <div class="hero-content">
                     <h1 class="hero-title">Welcome to Students Affairs System</h1>
-                    <p class="hero-subtitle">Manage your university data efficiently and effectively</p>
+                    <p class="hero-subtitle">${this.term
+                        ? `Courses, teaching and enrollments of ${Html.escape(this.term.name)}`
+                        : 'Manage your university data efficiently and effectively'}</p>
                 </div>
                 <div class="hero-illustration">
                     <svg width="200" height="200" viewBox="0 0 200 200" fill="none">
@@ -81,7 +330,7 @@ export class Dashboard {
                     <div class="stat-icon">📚</div>
                     <div class="stat-content">
                         <h3 class="stat-number">${this.statsData.courses}</h3>
-                        <p class="stat-label">Courses</p>
+                        <p class="stat-label">${this.term ? 'Courses Offered' : 'Courses'}</p>
                     </div>
                     <div class="stat-action">→</div>
                 </div>
@@ -109,25 +358,25 @@ export class Dashboard {
             <div class="quick-actions-section">
                 <h2 class="section-title">Quick Actions</h2>
                 <div class="quick-actions-grid">
-                    <button class="action-card" data-action="add-student">
+                    <button class="action-card" data-action="add-student" data-page="students">
                         <div class="action-icon">➕</div>
                         <h3 class="action-title">Add Student</h3>
                         <p class="action-desc">Register a new student</p>
                     </button>
                     
-                    <button class="action-card" data-action="add-course">
+                    <button class="action-card" data-action="add-course" data-page="courses">
                         <div class="action-icon">📖</div>
                         <h3 class="action-title">Add Course</h3>
                         <p class="action-desc">Create a new course</p>
                     </button>
                     
-                    <button class="action-card" data-action="add-instructor">
+                    <button class="action-card" data-action="add-instructor" data-page="instructors">
                         <div class="action-icon">👤</div>
                         <h3 class="action-title">Add Instructor</h3>
                         <p class="action-desc">Register new instructor</p>
                     </button>
                     
-                    <button class="action-card" data-action="add-employee">
+                    <button class="action-card" data-action="add-employee" data-page="employees">
                         <div class="action-icon">💼</div>
                         <h3 class="action-title">Add Employee</h3>
                         <p class="action-desc">Register new employee</p>
@@ -135,36 +384,20 @@ export class Dashboard {
                 </div>
             </div>
             
-            <!-- System Overview -->
-            <div class="system-overview">
-                <h2 class="section-title">System Overview</h2>
-                <div class="overview-grid">
-                    <div class="overview-card">
-                        <div class="overview-header">
-                            <span class="overview-icon">📊</span>
-                            <h3>Total Records</h3>
-                        </div>
-                        <p class="overview-number">${this.statsData.students + this.statsData.courses + this.statsData.instructors + this.statsData.employees}</p>
-                        <p class="overview-label">Across all modules</p>
-                    </div>
-                    
-                    <div class="overview-card">
-                        <div class="overview-header">
-                            <span class="overview-icon">🎯</span>
-                            <h3>Most Active</h3>
+            <!-- Analytics -->
+            <div class="analytics-section">
+                <h2 class="section-title">Analytics</h2>
+                <p class="analytics-hint">Click a bar to open the matching records.</p>
+                <div class="analytics-grid">
+                    ${this.widgets.map((widget, index) => `
+                        <div class="chart-card" data-widget="${index}">
+                            <div class="chart-card-header">
+                                <span class="chart-card-icon">${widget.icon}</span>
+                                <h3>${Html.escape(widget.title)}</h3>
+                            </div>
+                            ${Chart.bar(widget.chart)}
                         </div>
-                        <p class="overview-number">${this.getMostActive()}</p>
-                        <p class="overview-label">Module with most records</p>
-                    </div>
-                    
-                    <div class="overview-card">
-                        <div class="overview-header">
-                            <span class="overview-icon">✅</span>
-                            <h3>Status</h3>
-                        </div>
-                        <p class="overview-number">Active</p>
-                        <p class="overview-label">All systems operational</p>
-                    </div>
+                    `).join('')}
                 </div>
             </div>
             
@@ -206,52 +439,52 @@ export class Dashboard {
             </div>
         `;
         
-        // Hide default page elements
-        document.querySelector('.page-header').style.display = 'none';
-        document.querySelector('.toolbar').style.display = 'none';
-        document.querySelector('.table-container').style.display = 'none';
-        document.querySelector('.pagination').style.display = 'none';
+        this.view.innerHTML = dashboardHTML;
         
-        // Insert dashboard
-        container.innerHTML = dashboardHTML;
+        // Only offer the pages the user's role can open and add to
+        this.view.querySelectorAll('.stat-card').forEach(card => {
+            if (!Auth.canRead(card.dataset.page)) card.style.display = 'none';
+        });
+        const actionCards = Array.from(this.view.querySelectorAll('.action-card'));
+        actionCards.forEach(button => {
+            if (!Auth.canWrite(button.dataset.page)) button.style.display = 'none';
+        });
+        if (actionCards.every(button => button.style.display === 'none')) {
+            this.view.querySelector('.quick-actions-section').style.display = 'none';
+        }
         
         // Add event listeners
         this.attachEventListeners();
     }
     
-    /**
-     * Get most active module name
-     */
-    getMostActive() {
-        const max = Math.max(
-            this.statsData.students,
-            this.statsData.courses,
-            this.statsData.instructors,
-            this.statsData.employees
-        );
-        
-        if (max === this.statsData.students) return 'Students';
-        if (max === this.statsData.courses) return 'Courses';
-        if (max === this.statsData.instructors) return 'Instructors';
-        if (max === this.statsData.employees) return 'Employees';
-        return 'None';
-    }
-    
     /**
      * Attach event listeners to dashboard elements
      */
     attachEventListeners() {
         // Stat cards click to navigate
-        document.querySelectorAll('.stat-card').forEach(card => {
+        this.view.querySelectorAll('.stat-card').forEach(card => {
             card.addEventListener('click', () => {
-                const page = card.dataset.page;
-                const navLink = document.querySelector(`.nav-link[data-page="${page}"]`);
-                if (navLink) navLink.click();
+                this.onNavigate(card.dataset.page);
+            });
+        });
+        
+        // Chart segments open the filtered table
+        this.view.querySelectorAll('.chart-card').forEach(card => {
+            const widget = this.widgets[parseInt(card.dataset.widget)];
+            
+            card.querySelectorAll('.chart-segment').forEach(segment => {
+                segment.addEventListener('click', () => {
+                    const { page, filters } = widget.target(
+                        parseInt(segment.dataset.category),
+                        parseInt(segment.dataset.series)
+                    );
+                    this.onNavigate(page, filters);
+                });
             });
         });
         
         // Quick action buttons
-        document.querySelectorAll('.action-card').forEach(button => {
+        this.view.querySelectorAll('.action-card').forEach(button => {
             button.addEventListener('click', () => {
                 const action = button.dataset.action;
                 this.handleQuickAction(action);
@@ -273,15 +506,13 @@ export class Dashboard {
         const page = actionMap[action];
         if (page) {
             // Navigate to the page
-            const navLink = document.querySelector(`.nav-link[data-page="${page}"]`);
-            if (navLink) {
-                navLink.click();
-                // Wait for page to load, then trigger add new
-                setTimeout(() => {
-                    const addBtn = document.getElementById('addNewBtn');
-                    if (addBtn) addBtn.click();
-                }, 300);
-            }
+            this.onNavigate(page);
+            
+            // Wait for page to load, then trigger add new
+            setTimeout(() => {
+                const addBtn = document.getElementById('addNewBtn');
+                if (addBtn) addBtn.click();
+            }, 300);
         }
     }
 }
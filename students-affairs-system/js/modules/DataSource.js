@@ -0,0 +1,30 @@
+/**
+ * DataSource Class - Hands out repositories on the adapter chosen in Config
+ * (json-server REST API by default, browser localStorage with ?source=local)
+ */
+
+import { Config } from './Config.js';
+import { Repository } from './Repository.js';
+import { RestAdapter } from './RestAdapter.js';
+import { LocalStorageAdapter } from './LocalStorageAdapter.js';
+
+let adapter = null;
+
+export class DataSource {
+    /**
+     * The adapter every repository shares
+     */
+    static getAdapter() {
+        if (!adapter) {
+            adapter = Config.isLocal() ? new LocalStorageAdapter() : new RestAdapter(Config.getApiBaseUrl());
+        }
+        return adapter;
+    }
+    
+    /**
+     * Repository for one resource, e.g. DataSource.repository('students')
+     */
+    static repository(resource) {
+        return new Repository(DataSource.getAdapter(), resource);
+    }
+}
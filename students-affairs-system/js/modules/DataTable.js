@@ -3,12 +3,43 @@
  * Handles: Rendering, Pagination, Search, Sort, CRUD operations
  */
 
+import { Csv } from './Csv.js';
+import { CsvImport } from './CsvImport.js';
+import { RecordMerge } from './RecordMerge.js';
+import { Html } from './Html.js';
+import { Validator } from './Validator.js';
+import { Audit } from './Audit.js';
+import { Toast } from './Toast.js';
+import { Auth } from './Auth.js';
+import { Offline } from './Offline.js';
+import { DataSource } from './DataSource.js';
+import { TermScope } from './TermScope.js';
+
 export class DataTable {
     constructor(config) {
-        this.apiUrl = config.apiUrl;
+        // API resource name (e.g. 'students'), also used for the role checks
+        this.resource = config.resource;
+        this.repository = DataSource.repository(this.resource);
         this.entityName = config.entityName;
         this.columns = config.columns;
         this.formFields = config.formFields;
+        this.expand = config.expand || [];
+        // Field tying records to an academic term (e.g. 'termId'); such tables
+        // only show the term picked in the header (see getTermScope)
+        this.termField = config.termField || null;
+        // Extra row buttons; one that shows another resource ({ resource: 'enrollments' })
+        // only appears when the user's role can read that resource (or change it, with `write: true`)
+        this.rowActions = (config.rowActions || []).filter(action => !action.resource ||
+            (action.write ? Auth.canWrite(action.resource) : Auth.canRead(action.resource)));
+        
+        // Read-only tables (e.g. the change feed) hide every editing control
+        this.readOnly = config.readOnly || false;
+        
+        // Whether the logged-in user's role may add, edit and delete records here
+        this.editable = !this.readOnly && Auth.canWrite(this.resource);
+        
+        // Sort used until the user picks a column, e.g. { column: 'timestamp', order: 'desc' }
+        this.defaultSort = config.defaultSort || null;
         
         // Pagination
         this.currentPage = 1;
@@ -23,10 +54,33 @@ export class DataTable {
         // Search
         this.searchQuery = '';
         
+        // Show the trash (soft-deleted records) instead of the live records
+        this.showTrash = false;
+        
+        // Column filters (repository filters, e.g. { department: 'Arts', gpa_gte: '3' })
+        this.filters = {};
+        
+        // The term the rows are limited to, or null when they are not
+        this.scopedTerm = null;
+        
         // Current data
         this.data = [];
         this.currentRecord = null;
         
+        // When the rows shown are an offline copy: the time they were cached (ISO string)
+        this.cachedAt = null;
+        
+        // Ids of the records open in the edit modal / detail drawer (kept in the URL)
+        this.editingId = null;
+        this.viewingId = null;
+        
+        // Called with getState() whenever the table state changes (set by the router)
+        this.onStateChange = null;
+        
+        // Row selection (id -> record), may span several pages
+        this.selectedRecords = new Map();
+        this.allMatchingSelected = false;
+        
         // DOM Elements
         this.tableElement = document.getElementById('dataTable');
         this.loadingSpinner = document.getElementById('loadingSpinner');
@@ -37,6 +91,21 @@ export class DataTable {
         this.nextBtn = document.getElementById('nextBtn');
         this.paginationInfo = document.getElementById('paginationInfo');
         this.addNewBtn = document.getElementById('addNewBtn');
+        this.filterBar = document.getElementById('filterBar');
+        this.exportBtn = document.getElementById('exportBtn');
+        this.importBtn = document.getElementById('importBtn');
+        this.trashBtn = document.getElementById('trashBtn');
+        this.trashBtnLabel = document.getElementById('trashBtnLabel');
+        
+        // Bulk Actions Bar
+        this.bulkBar = document.getElementById('bulkBar');
+        this.bulkCount = document.getElementById('bulkCount');
+        this.selectAllMatchingBtn = document.getElementById('selectAllMatchingBtn');
+        this.clearSelectionBtn = document.getElementById('clearSelectionBtn');
+        this.bulkFieldSelect = document.getElementById('bulkField');
+        this.bulkValueWrapper = document.getElementById('bulkValueWrapper');
+        this.bulkApplyBtn = document.getElementById('bulkApplyBtn');
+        this.bulkDeleteBtn = document.getElementById('bulkDeleteBtn');
         
         // Modal Elements
         this.formModal = document.getElementById('formModal');
@@ -52,97 +121,473 @@ export class DataTable {
         this.deleteModalClose = document.getElementById('deleteModalClose');
         this.deleteCancelBtn = document.getElementById('deleteCancelBtn');
         this.deleteConfirmBtn = document.getElementById('deleteConfirmBtn');
-        this.recordToDelete = null;
+        this.deleteMessage = this.deleteModal.querySelector('.delete-message');
+        this.defaultDeleteMessage = this.deleteMessage.textContent;
+        this.recordsToDelete = [];
+        this.isBulkDelete = false;
+        
+        // Info Modal (read-only lists such as rosters)
+        this.infoModal = document.getElementById('infoModal');
+        this.infoModalTitle = document.getElementById('infoModalTitle');
+        this.infoModalBody = document.getElementById('infoModalBody');
+        this.infoModalOverlay = document.getElementById('infoModalOverlay');
+        this.infoModalClose = document.getElementById('infoModalClose');
+        this.infoCloseBtn = document.getElementById('infoCloseBtn');
+        
+        // Detail Drawer (read-only record view)
+        this.detailDrawer = document.getElementById('detailDrawer');
+        this.detailDrawerTitle = document.getElementById('detailDrawerTitle');
+        this.detailDrawerBody = document.getElementById('detailDrawerBody');
+        this.detailDrawerOverlay = document.getElementById('detailDrawerOverlay');
+        this.detailDrawerClose = document.getElementById('detailDrawerClose');
+        this.detailEditBtn = document.getElementById('detailEditBtn');
+        this.detailDeleteBtn = document.getElementById('detailDeleteBtn');
+        
+        // Export Modal
+        this.exportModal = document.getElementById('exportModal');
+        this.exportModalOverlay = document.getElementById('exportModalOverlay');
+        this.exportModalClose = document.getElementById('exportModalClose');
+        this.exportCancelBtn = document.getElementById('exportCancelBtn');
+        this.exportPageBtn = document.getElementById('exportPageBtn');
+        this.exportAllBtn = document.getElementById('exportAllBtn');
+        
+        // CSV import wizard
+        this.csvImport = new CsvImport(this);
+        
+        // Merge dialog shown when a save conflicts with someone else's
+        this.recordMerge = new RecordMerge(this);
+        
+        // Listeners are attached in init() so modules can also be
+        // instantiated just to use their data helpers
+        this.listeners = null;
+    }
+    
+    /**
+     * Attach the page controls and load the first page of data,
+     * optionally restoring a state taken from the URL
+     */
+    init(state = null) {
+        if (state) this.applyState(state);
         
         this.initEventListeners();
+        this.renderFilterBar();
+        this.renderBulkFieldOptions();
+        this.toggleEditingControls();
+        
+        if (state && state.viewId) this.openDetail(state.viewId);
+        if (state && state.editId && this.editable) this.openEditModal(state.editId);
+        this.loadData();
+    }
+    
+    /**
+     * Show the shared page controls that change data only on tables the
+     * user's role may edit (and not while looking at the trash)
+     */
+    toggleEditingControls() {
+        const display = !this.editable || this.showTrash ? 'none' : '';
+        [this.addNewBtn, this.importBtn, this.detailEditBtn, this.detailDeleteBtn].forEach(element => {
+            element.style.display = display;
+        });
+        
+        this.trashBtn.style.display = this.editable ? '' : 'none';
+        this.trashBtn.classList.toggle('active', this.showTrash);
+        this.trashBtnLabel.textContent = this.showTrash ? 'Back to Records' : 'Trash';
+    }
+    
+    /**
+     * Switch between the live records and the trash
+     */
+    toggleTrash() {
+        this.showTrash = !this.showTrash;
+        this.currentPage = 1;
+        this.clearSelection();
+        this.closeDetail();
+        this.toggleEditingControls();
+        this.loadData();
+    }
+    
+    /**
+     * Get the table state that is stored in the URL
+     */
+    getState() {
+        return {
+            currentPage: this.currentPage,
+            itemsPerPage: this.itemsPerPage,
+            sortColumn: this.sortColumn,
+            sortOrder: this.sortOrder,
+            searchQuery: this.searchQuery,
+            trash: this.showTrash,
+            filters: { ...this.filters },
+            editId: this.editingId,
+            viewId: this.viewingId
+        };
+    }
+    
+    /**
+     * Apply a state taken from the URL and sync the page controls with it
+     */
+    applyState(state) {
+        this.currentPage = state.currentPage;
+        this.itemsPerPage = state.itemsPerPage;
+        this.sortColumn = state.sortColumn;
+        this.sortOrder = state.sortOrder;
+        this.searchQuery = state.searchQuery;
+        this.showTrash = this.editable && Boolean(state.trash);
+        this.filters = this.pickFilters(state.filters);
+        
+        this.searchInput.value = this.searchQuery;
+        this.itemsPerPageSelect.value = String(this.itemsPerPage);
+        
+        // Fall back to the default when the URL asks for a size the select does not offer
+        if (this.itemsPerPageSelect.value !== String(this.itemsPerPage)) {
+            this.itemsPerPage = 10;
+            this.itemsPerPageSelect.value = '10';
+        }
+    }
+    
+    /**
+     * Restore a state from the URL on the current page (back/forward, edited link)
+     */
+    restoreState(state) {
+        this.applyState(state);
+        this.clearSelection();
+        this.renderFilterBar();
+        this.toggleEditingControls();
+        
+        if (state.viewId && String(state.viewId) !== String(this.viewingId)) {
+            this.openDetail(state.viewId);
+        } else if (!state.viewId && this.viewingId !== null) {
+            this.closeDetail();
+        }
+        
+        if (state.editId && String(state.editId) !== String(this.editingId)) {
+            this.openEditModal(state.editId);
+        } else if (!state.editId && this.formModal.classList.contains('active')) {
+            this.closeModal();
+        }
+        
+        this.loadData();
+    }
+    
+    /**
+     * Report the current state to the router
+     */
+    notifyStateChange() {
+        if (this.onStateChange) {
+            this.onStateChange(this.getState());
+        }
+    }
+    
+    /**
+     * Detach all event listeners (called when switching pages)
+     */
+    destroy() {
+        if (this.listeners) {
+            this.listeners.abort();
+            this.listeners = null;
+        }
+        this.filterBar.innerHTML = '';
+        this.clearSelection();
+        
+        // Do not leave this page's form or drawer open on the next page
+        this.formModal.classList.remove('active');
+        this.recordMerge.close();
+        this.hideDetail();
     }
     
     /**
      * Initialize all event listeners
      */
     initEventListeners() {
+        this.listeners = new AbortController();
+        const { signal } = this.listeners;
+        
         // Search
         this.searchInput.addEventListener('input', (e) => {
             this.searchQuery = e.target.value;
             this.currentPage = 1;
+            this.clearSelection();
             this.loadData();
-        });
+        }, { signal });
         
         // Items per page
         this.itemsPerPageSelect.addEventListener('change', (e) => {
             this.itemsPerPage = parseInt(e.target.value);
             this.currentPage = 1;
             this.loadData();
-        });
+        }, { signal });
         
         // Pagination
-        this.prevBtn.addEventListener('click', () => this.previousPage());
-        this.nextBtn.addEventListener('click', () => this.nextPage());
+        this.prevBtn.addEventListener('click', () => this.previousPage(), { signal });
+        this.nextBtn.addEventListener('click', () => this.nextPage(), { signal });
         
         // Add New
-        this.addNewBtn.addEventListener('click', () => this.openAddModal());
+        this.addNewBtn.addEventListener('click', () => this.openAddModal(), { signal });
         
         // Modal Close
-        this.modalClose.addEventListener('click', () => this.closeModal());
-        this.modalOverlay.addEventListener('click', () => this.closeModal());
-        this.cancelBtn.addEventListener('click', () => this.closeModal());
+        this.modalClose.addEventListener('click', () => this.closeModal(), { signal });
+        this.modalOverlay.addEventListener('click', () => this.closeModal(), { signal });
+        this.cancelBtn.addEventListener('click', () => this.closeModal(), { signal });
         
         // Delete Modal
-        this.deleteModalClose.addEventListener('click', () => this.closeDeleteModal());
-        this.deleteModalOverlay.addEventListener('click', () => this.closeDeleteModal());
-        this.deleteCancelBtn.addEventListener('click', () => this.closeDeleteModal());
-        this.deleteConfirmBtn.addEventListener('click', () => this.confirmDelete());
+        this.deleteModalClose.addEventListener('click', () => this.closeDeleteModal(), { signal });
+        this.deleteModalOverlay.addEventListener('click', () => this.closeDeleteModal(), { signal });
+        this.deleteCancelBtn.addEventListener('click', () => this.closeDeleteModal(), { signal });
+        this.deleteConfirmBtn.addEventListener('click', () => this.confirmDelete(), { signal });
+        
+        // Detail Drawer
+        this.detailDrawerClose.addEventListener('click', () => this.closeDetail(), { signal });
+        this.detailDrawerOverlay.addEventListener('click', () => this.closeDetail(), { signal });
+        this.detailEditBtn.addEventListener('click', () => {
+            // Swap the drawer for the form in a single history entry
+            const id = this.viewingId;
+            this.hideDetail();
+            this.viewingId = null;
+            this.openEditModal(id);
+        }, { signal });
+        this.detailDeleteBtn.addEventListener('click', () => {
+            const id = this.viewingId;
+            this.closeDetail();
+            this.openDeleteModal(id);
+        }, { signal });
+        
+        // Info Modal
+        this.infoModalClose.addEventListener('click', () => this.closeInfoModal(), { signal });
+        this.infoModalOverlay.addEventListener('click', () => this.closeInfoModal(), { signal });
+        this.infoCloseBtn.addEventListener('click', () => this.closeInfoModal(), { signal });
+        
+        // Export
+        this.exportBtn.addEventListener('click', () => this.openExportModal(), { signal });
+        this.exportModalClose.addEventListener('click', () => this.closeExportModal(), { signal });
+        this.exportModalOverlay.addEventListener('click', () => this.closeExportModal(), { signal });
+        this.exportCancelBtn.addEventListener('click', () => this.closeExportModal(), { signal });
+        this.exportPageBtn.addEventListener('click', () => this.exportCsv('page'), { signal });
+        this.exportAllBtn.addEventListener('click', () => this.exportCsv('all'), { signal });
+        
+        // Bulk Actions
+        this.selectAllMatchingBtn.addEventListener('click', () => this.selectAllMatching(), { signal });
+        this.clearSelectionBtn.addEventListener('click', () => {
+            this.clearSelection();
+            this.renderTable();
+        }, { signal });
+        this.bulkFieldSelect.addEventListener('change', () => this.renderBulkValueInput(), { signal });
+        this.bulkApplyBtn.addEventListener('click', () => this.applyBulkUpdate(), { signal });
+        this.bulkDeleteBtn.addEventListener('click', () => this.openBulkDeleteModal(), { signal });
+        
+        // Import
+        this.importBtn.addEventListener('click', () => this.csvImport.open(), { signal });
+        
+        // Trash
+        this.trashBtn.addEventListener('click', () => this.toggleTrash(), { signal });
+        this.csvImport.initEventListeners(signal);
+        this.recordMerge.initEventListeners(signal);
         
         // Form Submit
         this.recordForm.addEventListener('submit', (e) => {
             e.preventDefault();
             this.saveRecord();
-        });
+        }, { signal });
     }
     
     /**
      * Load data from API
      */
     async loadData() {
+        this.notifyStateChange();
+        
         try {
             this.showLoading();
             this.hideError();
             
-            // Build query parameters
-            let url = `${this.apiUrl}?_page=${this.currentPage}&_limit=${this.itemsPerPage}`;
-            
-            if (this.searchQuery) {
-                url += `&q=${encodeURIComponent(this.searchQuery)}`;
-            }
-            
-            if (this.sortColumn) {
-                url += `&_sort=${this.sortColumn}&_order=${this.sortOrder}`;
-            }
-            
-            const response = await fetch(url);
-            
-            if (!response.ok) {
-                throw new Error(`HTTP error! status: ${response.status}`);
-            }
-            
-            this.data = await response.json();
+            // Served from the offline cache when the server cannot be reached
+            const query = await this.buildScopedQuery();
+            const { data, totalCount, cachedAt } = query
+                ? await this.repository.list({ ...query, page: this.currentPage, limit: this.itemsPerPage })
+                : { data: [], totalCount: 0, cachedAt: null };
             
-            // Get total count from headers
-            const totalCount = response.headers.get('X-Total-Count');
-            this.totalItems = totalCount ? parseInt(totalCount) : this.data.length;
+            await this.loadRowDetails(data);
+            this.data = data;
+            this.cachedAt = cachedAt;
+            this.totalItems = totalCount;
             this.totalPages = Math.ceil(this.totalItems / this.itemsPerPage);
             
             this.renderTable();
             this.updatePagination();
             this.hideLoading();
-            
+        
         } catch (error) {
             console.error('Error loading data:', error);
-            this.showError('Failed to load data. Please check if json-server is running.');
+            this.showError(Offline.isOnline() ? 'Failed to load data. Please check if the server is running.' : error.message);
             this.hideLoading();
         }
     }
     
+    /**
+     * Build the search, filter, sort and expand part of the repository query
+     */
+    buildQuery() {
+        // Soft-deleted records only show up in the trash
+        const filters = this.readOnly ? {} : { deleted: this.showTrash };
+        
+        Object.entries(this.filters).forEach(([param, value]) => {
+            if (value !== '') {
+                filters[param] = value;
+            }
+        });
+        
+        const sort = this.sortColumn
+            ? { sort: this.sortColumn, order: this.sortOrder }
+            : (this.defaultSort ? { sort: this.defaultSort.column, order: this.defaultSort.order } : {});
+        
+        // Embed referenced records (e.g. studentId -> student)
+        return { filters, q: this.searchQuery, ...sort, expand: this.expand };
+    }
+    
+    /**
+     * Load what the column renderers need besides the rows themselves
+     * (e.g. the seats taken in each course); nothing by default
+     */
+    async loadRowDetails(rows) {
+    }
+    
+    /**
+     * Build the repository query limited to the selected term,
+     * or null when no record can belong to it
+     */
+    async buildScopedQuery() {
+        const query = this.buildQuery();
+        const termId = TermScope.getTermId();
+        const scope = termId ? await this.getTermScope(termId) : {};
+        
+        this.scopedTerm = scope === null || Object.keys(scope).length > 0 ? TermScope.getTerm() : null;
+        if (scope === null) return null;
+        
+        return { ...query, filters: { ...query.filters, ...scope } };
+    }
+    
+    /**
+     * Filters limiting the table to a term: by `termField` by default, {} for
+     * tables that are not term-bound. Modules whose records reach the term
+     * through other records (e.g. courses through offerings) override this;
+     * null means none of them belongs to the term.
+     */
+    async getTermScope(termId) {
+        return this.termField ? { [this.termField]: termId } : {};
+    }
+    
+    /**
+     * Get the columns that can be filtered, with their filter type and options.
+     * A column can set `filter` explicitly ('select', 'range', 'dateRange', 'text',
+     * 'exact' or false); otherwise the type is derived from the matching form field.
+     */
+    getFilterableColumns() {
+        const filterTypes = { select: 'select', number: 'range', date: 'dateRange' };
+        
+        return this.columns
+            .map(column => {
+                const field = this.getFormField(column.key);
+                const type = column.filter !== undefined ? column.filter : (field ? filterTypes[field.type] : undefined);
+                return type ? { ...column, filter: type, options: column.options || (field && field.options) || [] } : null;
+            })
+            .filter(column => column !== null);
+    }
+    
+    /**
+     * Keep the filters of a URL that belong to a filterable column
+     * (e.g. `gpa_gte` for a range column), dropping any other parameter
+     */
+    pickFilters(filters = {}) {
+        const suffixes = { select: [''], exact: [''], range: ['_gte', '_lte'], dateRange: ['_gte', '_lte'], text: ['_like'] };
+        const params = this.getFilterableColumns()
+            .flatMap(column => (suffixes[column.filter] || []).map(suffix => `${column.key}${suffix}`));
+        
+        return Object.fromEntries(Object.entries(filters).filter(([param]) => params.includes(param)));
+    }
+    
+    /**
+     * Render the per-column filter bar
+     */
+    renderFilterBar() {
+        const columns = this.getFilterableColumns();
+        
+        if (columns.length === 0) {
+            this.filterBar.innerHTML = '';
+            this.filterBar.style.display = 'none';
+            return;
+        }
+        
+        let html = '';
+        
+        columns.forEach(column => {
+            html += `<div class="filter-group">`;
+            html += `<label class="filter-label">${Html.escape(column.label)}</label>`;
+            
+            if (column.filter === 'select') {
+                html += `<select class="filter-input" data-param="${column.key}">`;
+                html += `<option value="">All</option>`;
+                column.options.forEach(option => {
+                    const optionValue = typeof option === 'object' ? option.value : option;
+                    const optionLabel = typeof option === 'object' ? option.label : option;
+                    const selected = String(this.filters[column.key]) === String(optionValue) ? 'selected' : '';
+                    html += `<option value="${Html.escape(optionValue)}" ${selected}>${Html.escape(optionLabel)}</option>`;
+                });
+                html += `</select>`;
+            } else if (column.filter === 'range' || column.filter === 'dateRange') {
+                const inputType = column.filter === 'range' ? 'number' : 'date';
+                const step = inputType === 'number' ? 'step="any"' : '';
+                html += `<div class="filter-range">`;
+                html += `<input type="${inputType}" ${step} class="filter-input" data-param="${column.key}_gte" placeholder="Min" value="${Html.escape(this.filters[`${column.key}_gte`] || '')}" title="${Html.escape(column.label)} from">`;
+                html += `<input type="${inputType}" ${step} class="filter-input" data-param="${column.key}_lte" placeholder="Max" value="${Html.escape(this.filters[`${column.key}_lte`] || '')}" title="${Html.escape(column.label)} to">`;
+                html += `</div>`;
+            } else if (column.filter === 'text') {
+                html += `<input type="text" class="filter-input" data-param="${column.key}_like" placeholder="Contains..." value="${Html.escape(this.filters[`${column.key}_like`] || '')}">`;
+            } else if (column.filter === 'exact') {
+                html += `<input type="text" class="filter-input" data-param="${column.key}" placeholder="Equals..." value="${Html.escape(this.filters[column.key] || '')}">`;
+            }
+            
+            html += `</div>`;
+        });
+        
+        html += `<button type="button" class="btn btn-secondary btn-sm" id="clearFiltersBtn">Clear Filters</button>`;
+        
+        this.filterBar.innerHTML = html;
+        this.filterBar.style.display = 'flex';
+        
+        // Apply a filter whenever one of its inputs changes
+        this.filterBar.querySelectorAll('.filter-input').forEach(inputElement => {
+            inputElement.addEventListener('change', (e) => {
+                this.setFilter(e.target.dataset.param, e.target.value);
+            });
+        });
+        
+        document.getElementById('clearFiltersBtn').addEventListener('click', () => this.clearFilters());
+    }
+    
+    /**
+     * Set a single filter and reload from the first page
+     */
+    setFilter(param, value) {
+        if (value === '' || value === null || value === undefined) {
+            delete this.filters[param];
+        } else {
+            this.filters[param] = value;
+        }
+        this.currentPage = 1;
+        this.clearSelection();
+        this.loadData();
+    }
+    
+    /**
+     * Remove all filters
+     */
+    clearFilters() {
+        this.filters = {};
+        this.currentPage = 1;
+        this.clearSelection();
+        this.renderFilterBar();
+        this.loadData();
+    }
+    
     /**
      * Render table with data
      */
@@ -151,8 +596,8 @@ export class DataTable {
             this.tableElement.innerHTML = `
                 <tbody>
                     <tr>
-                        <td colspan="${this.columns.length + 1}" style="text-align: center; padding: 3rem; color: var(--text-secondary);">
-                            No records found. Click "Add New" to create one!
+                        <td colspan="${this.columns.length + 2}" style="text-align: center; padding: 3rem; color: var(--text-secondary);">
+                            ${this.showTrash ? 'The trash is empty.' : !this.editable ? 'No records found.' : 'No records found. Click "Add New" to create one!'}
                         </td>
                     </tr>
                 </tbody>
@@ -161,30 +606,48 @@ export class DataTable {
         }
         
         // Create table header
+        const pageSelected = this.data.every(record => this.selectedRecords.has(String(record.id)));
+        const hasActions = this.editable || this.rowActions.length > 0;
+        const selectable = this.editable && !this.showTrash;
         let headerHtml = '<thead><tr>';
+        if (selectable) {
+            headerHtml += `<th class="select-col"><input type="checkbox" id="selectPageCheckbox" title="Select this page" ${pageSelected ? 'checked' : ''}></th>`;
+        }
         this.columns.forEach(column => {
             const sortClass = this.sortColumn === column.key ? 
                 (this.sortOrder === 'asc' ? 'sorted-asc' : 'sorted-desc') : '';
             headerHtml += `<th class="sortable ${sortClass}" data-column="${column.key}">${column.label}</th>`;
         });
-        headerHtml += '<th>Actions</th></tr></thead>';
+        if (this.showTrash) {
+            const sortClass = this.sortColumn === 'deletedAt' ? 
+                (this.sortOrder === 'asc' ? 'sorted-asc' : 'sorted-desc') : '';
+            headerHtml += `<th class="sortable ${sortClass}" data-column="deletedAt">Deleted</th>`;
+        }
+        headerHtml += `${hasActions ? '<th>Actions</th>' : ''}</tr></thead>`;
         
         // Create table body
         let bodyHtml = '<tbody>';
         this.data.forEach(record => {
-            bodyHtml += '<tr>';
+            const isSelected = this.selectedRecords.has(String(record.id));
+            bodyHtml += `<tr class="clickable-row ${isSelected ? 'row-selected' : ''}" data-id="${record.id}">`;
+            if (selectable) {
+                bodyHtml += `<td class="select-col"><input type="checkbox" class="row-select" data-id="${record.id}" ${isSelected ? 'checked' : ''}></td>`;
+            }
             this.columns.forEach(column => {
-                const value = record[column.key] || '-';
-                bodyHtml += `<td>${value}</td>`;
+                bodyHtml += `<td>${Html.escape(this.getCellValue(column, record)) || '-'}</td>`;
             });
-            bodyHtml += `
-                <td>
-                    <div class="table-actions">
-                        <button class="action-btn edit-btn" data-id="${record.id}">Edit</button>
-                        <button class="action-btn delete-btn" data-id="${record.id}">Delete</button>
-                    </div>
-                </td>
-            `;
+            if (this.showTrash) {
+                bodyHtml += `<td>${record.deletedAt ? Html.escape(new Date(record.deletedAt).toLocaleString()) : '-'}</td>`;
+            }
+            if (hasActions) {
+                bodyHtml += `
+                    <td>
+                        <div class="table-actions">
+                            ${this.renderActionButtons(record)}
+                        </div>
+                    </td>
+                `;
+            }
             bodyHtml += '</tr>';
         });
         bodyHtml += '</tbody>';
@@ -213,180 +676,1169 @@ export class DataTable {
                 this.openDeleteModal(id);
             });
         });
+        
+        // Add event listeners for the trash buttons
+        this.tableElement.querySelectorAll('.restore-btn').forEach(btn => {
+            btn.addEventListener('click', (e) => {
+                this.restoreRecords([e.target.dataset.id]);
+            });
+        });
+        
+        this.tableElement.querySelectorAll('.purge-btn').forEach(btn => {
+            btn.addEventListener('click', (e) => {
+                this.purgeRecord(e.target.dataset.id);
+            });
+        });
+        
+        // Add event listeners for row selection
+        this.tableElement.querySelectorAll('.row-select').forEach(checkbox => {
+            checkbox.addEventListener('change', (e) => {
+                this.toggleRecordSelection(e.target.dataset.id, e.target.checked);
+            });
+        });
+        
+        if (selectable) {
+            document.getElementById('selectPageCheckbox').addEventListener('change', (e) => {
+                this.togglePageSelection(e.target.checked);
+            });
+        }
+        
+        this.updateBulkBar();
+        
+        // Add event listeners for module-specific row actions
+        this.tableElement.querySelectorAll('.view-btn').forEach(btn => {
+            btn.addEventListener('click', (e) => {
+                const { action, id } = e.target.dataset;
+                this.handleRowAction(action, id);
+            });
+        });
+        
+        // Clicking anywhere else on a row opens its detail drawer
+        this.tableElement.querySelectorAll('tbody tr.clickable-row').forEach(row => {
+            row.addEventListener('click', (e) => {
+                if (e.target.closest('button, input, a, .select-col')) return;
+                this.openDetail(row.dataset.id);
+            });
+        });
     }
     
     /**
-     * Sort table by column
+     * Buttons in a row's Actions cell: restore/purge in the trash,
+     * otherwise the module's row actions followed by edit/delete
      */
-    sortBy(column) {
-        if (this.sortColumn === column) {
-            // Toggle sort order
-            this.sortOrder = this.sortOrder === 'asc' ? 'desc' : 'asc';
-        } else {
-            this.sortColumn = column;
-            this.sortOrder = 'asc';
+    renderActionButtons(record) {
+        if (this.showTrash) {
+            return `<button class="action-btn restore-btn" data-id="${record.id}">Restore</button>` +
+                `<button class="action-btn purge-btn" data-id="${record.id}">Delete Forever</button>`;
         }
-        this.loadData();
+        
+        let html = this.rowActions.map(action => 
+            `<button class="action-btn view-btn" data-action="${action.action}" data-id="${record.id}">${action.label}</button>`
+        ).join('');
+        
+        if (this.editable) {
+            html += `<button class="action-btn edit-btn" data-id="${record.id}">Edit</button>` +
+                `<button class="action-btn delete-btn" data-id="${record.id}">Delete</button>`;
+        }
+        
+        return html;
     }
     
     /**
-     * Update pagination controls
+     * Select or deselect a single row
      */
-    updatePagination() {
-        // Update info text
-        const start = (this.currentPage - 1) * this.itemsPerPage + 1;
-        const end = Math.min(this.currentPage * this.itemsPerPage, this.totalItems);
-        this.paginationInfo.textContent = `Page ${this.currentPage} of ${this.totalPages}`;
-        
-        // Update button states
-        this.prevBtn.disabled = this.currentPage === 1;
-        this.nextBtn.disabled = this.currentPage === this.totalPages || this.totalPages === 0;
+    toggleRecordSelection(id, selected) {
+        if (selected) {
+            const record = this.data.find(item => String(item.id) === String(id));
+            this.selectedRecords.set(String(id), record);
+        } else {
+            this.selectedRecords.delete(String(id));
+            this.allMatchingSelected = false;
+        }
+        this.renderTable();
     }
     
     /**
-     * Go to previous page
+     * Select or deselect every row on the current page
      */
-    previousPage() {
-        if (this.currentPage > 1) {
-            this.currentPage--;
-            this.loadData();
-        }
+    togglePageSelection(selected) {
+        this.data.forEach(record => {
+            if (selected) {
+                this.selectedRecords.set(String(record.id), record);
+            } else {
+                this.selectedRecords.delete(String(record.id));
+            }
+        });
+        if (!selected) this.allMatchingSelected = false;
+        this.renderTable();
     }
     
     /**
-     * Go to next page
+     * Select every record matching the current search and filters, across all pages
      */
-    nextPage() {
-        if (this.currentPage < this.totalPages) {
-            this.currentPage++;
-            this.loadData();
+    async selectAllMatching() {
+        try {
+            const records = await this.fetchAllMatching();
+            records.forEach(record => this.selectedRecords.set(String(record.id), record));
+            this.allMatchingSelected = true;
+            this.renderTable();
+        } catch (error) {
+            console.error('Error selecting all records:', error);
+            alert('Failed to select all matching records. Please try again.');
         }
     }
     
     /**
-     * Open modal for adding new record
+     * Forget the current selection
      */
-    openAddModal() {
-        this.currentRecord = null;
-        this.modalTitle.textContent = `Add New ${this.entityName}`;
-        this.renderForm();
-        this.formModal.classList.add('active');
+    clearSelection() {
+        this.selectedRecords.clear();
+        this.allMatchingSelected = false;
+        this.updateBulkBar();
     }
     
     /**
-     * Open modal for editing record
+     * Show or hide the bulk actions bar for the current selection
      */
-    async openEditModal(id) {
-        try {
-            const response = await fetch(`${this.apiUrl}/${id}`);
-            if (!response.ok) throw new Error('Failed to fetch record');
-            
-            this.currentRecord = await response.json();
-            this.modalTitle.textContent = `Edit ${this.entityName}`;
-            this.renderForm(this.currentRecord);
-            this.formModal.classList.add('active');
-            
-        } catch (error) {
-            console.error('Error fetching record:', error);
-            alert('Failed to load record for editing');
+    updateBulkBar() {
+        const count = this.selectedRecords.size;
+        
+        if (count === 0) {
+            this.bulkBar.style.display = 'none';
+            return;
         }
+        
+        const pageSelected = this.data.length > 0 && this.data.every(record => this.selectedRecords.has(String(record.id)));
+        const canSelectMore = pageSelected && !this.allMatchingSelected && this.totalItems > count;
+        
+        this.bulkCount.textContent = this.allMatchingSelected ?
+            `All ${count} matching records selected` :
+            `${count} selected`;
+        this.selectAllMatchingBtn.textContent = `Select all ${this.totalItems} matching`;
+        this.selectAllMatchingBtn.style.display = canSelectMore ? 'inline' : 'none';
+        this.bulkBar.style.display = 'flex';
     }
     
     /**
-     * Render form fields
+     * Fill the bulk "set field" picker with the module's form fields
      */
-    renderForm(data = null) {
-        let formHtml = '';
-        
-        this.formFields.forEach(field => {
-            const value = data ? (data[field.name] || '') : '';
-            
-            formHtml += `<div class="form-group">`;
-            formHtml += `<label class="form-label" for="${field.name}">${field.label}</label>`;
+    renderBulkFieldOptions() {
+        let html = '<option value="">Set field...</option>';
+        this.formFields.filter(field => !this.isFieldLocked(field)).forEach(field => {
+            html += `<option value="${Html.escape(field.name)}">${Html.escape(field.label)}</option>`;
+        });
+        this.bulkFieldSelect.innerHTML = html;
+        this.renderBulkValueInput();
+    }
+    
+    /**
+     * Render a value input matching the chosen field's type
+     */
+    renderBulkValueInput() {
+        const field = this.getFormField(this.bulkFieldSelect.value);
+        
+        if (!field) {
+            this.bulkValueWrapper.innerHTML = '';
+            return;
+        }
+        
+        if (field.type === 'select') {
+            let html = '<select class="filter-input" name="bulkValue">';
+            field.options.forEach(option => {
+                const optionValue = typeof option === 'object' ? option.value : option;
+                const optionLabel = typeof option === 'object' ? option.label : option;
+                html += `<option value="${Html.escape(optionValue)}">${Html.escape(optionLabel)}</option>`;
+            });
+            html += '</select>';
+            this.bulkValueWrapper.innerHTML = html;
+        } else {
+            const inputType = ['number', 'date', 'email', 'tel'].includes(field.type) ? field.type : 'text';
+            this.bulkValueWrapper.innerHTML = `<input type="${inputType}" ${inputType === 'number' ? 'step="any"' : ''} class="filter-input" name="bulkValue" placeholder="New value">`;
+        }
+    }
+    
+    /**
+     * Convert a stored record into the string values a form would submit
+     */
+    toFormData(record) {
+        const data = {};
+        this.formFields.forEach(field => {
+            const value = record[field.name];
+            data[field.name] = value === null || value === undefined ? '' : String(value);
+        });
+        return data;
+    }
+    
+    /**
+     * Set one field to the same value on every selected record
+     */
+    async applyBulkUpdate() {
+        const field = this.getFormField(this.bulkFieldSelect.value);
+        if (!field) {
+            alert('Please choose a field to update.');
+            return;
+        }
+        
+        const value = this.bulkValueWrapper.querySelector('[name="bulkValue"]').value;
+        const records = Array.from(this.selectedRecords.values());
+        
+        if (!confirm(`Set "${field.label}" to "${value}" on ${records.length} record(s)?`)) return;
+        
+        const failures = [];
+        let updated = 0;
+        
+        for (const selected of records) {
+            try {
+                // Start from the latest version, the selection may be out of date
+                const record = await this.fetchRecord(selected.id);
+                if (!record || record.deleted) throw new Error('Record no longer exists');
+                
+                // Validate the record as it would look after the change
+                const data = { ...this.toFormData(record), [field.name]: value };
+                const validation = await this.validateRecord({ ...data }, record.id);
+                if (!validation.isValid) throw new Error(validation.errors.join('; '));
+                
+                const prepared = this.prepareRecord({ ...data });
+                const saved = await this.repository.patch(record.id, { [field.name]: prepared[field.name], ...this.nextVersion(record) });
+                await this.logChange('update', record, saved);
+                updated++;
+            
+            } catch (error) {
+                console.error(`Error updating record ${selected.id}:`, error);
+                failures.push({ id: selected.id, reason: error.message });
+            }
+        }
+        
+        this.clearSelection();
+        this.loadData();
+        this.reportBulkResult('Updated', updated, records.length, failures);
+    }
+    
+    /**
+     * Summarize a bulk operation, listing the records that failed
+     */
+    reportBulkResult(action, succeeded, total, failures) {
+        if (failures.length === 0) return;
+        
+        const shown = failures.slice(0, 10).map(failure => `#${failure.id}: ${failure.reason}`);
+        if (failures.length > shown.length) {
+            shown.push(`...and ${failures.length - shown.length} more`);
+        }
+        
+        alert(`${action} ${succeeded} of ${total} records.\n\n${failures.length} failed:\n${shown.join('\n')}`);
+    }
+    
+    /**
+     * Handle a module-specific row action (override in subclasses)
+     */
+    handleRowAction(action, id) {
+        console.warn(`Unhandled row action "${action}" for record ${id}`);
+    }
+    
+    /**
+     * Get the display value of a column for a record
+     */
+    getCellValue(column, record) {
+        const value = column.render ? column.render(record) : record[column.key];
+        return value === null || value === undefined ? '' : value;
+    }
+    
+    /**
+     * Fetch every record matching the current search, filters and sort,
+     * walking through all pages
+     */
+    async fetchAllMatching() {
+        const query = await this.buildScopedQuery();
+        if (!query) return [];
+        
+        const pageSize = 100;
+        let page = 1;
+        let records = [];
+        let total = 0;
+        
+        do {
+            const { data: batch, totalCount } = await this.repository.list({ ...query, page, limit: pageSize });
+            total = totalCount;
+            records = records.concat(batch);
+            
+            if (batch.length < pageSize) break;
+            page++;
+        } while (records.length < total);
+        
+        await this.loadRowDetails(records);
+        return records;
+    }
+    
+    /**
+     * Open export modal showing how many rows each scope contains
+     */
+    openExportModal() {
+        this.exportPageBtn.querySelector('.export-count').textContent = `${this.data.length} rows`;
+        this.exportAllBtn.querySelector('.export-count').textContent = `${this.totalItems} rows`;
+        this.exportModal.classList.add('active');
+    }
+    
+    /**
+     * Close export modal
+     */
+    closeExportModal() {
+        this.exportModal.classList.remove('active');
+    }
+    
+    /**
+     * Export the visible page ('page') or every matching record ('all') as CSV
+     */
+    async exportCsv(scope) {
+        try {
+            const records = scope === 'all' ? await this.fetchAllMatching() : this.data;
+            
+            const rows = [this.columns.map(column => column.label)];
+            records.forEach(record => {
+                rows.push(this.columns.map(column => this.getCellValue(column, record)));
+            });
+            
+            const date = new Date().toISOString().slice(0, 10);
+            Csv.download(`${this.resource}-${scope === 'all' ? 'all' : `page-${this.currentPage}`}-${date}.csv`, rows);
+            
+            this.closeExportModal();
+        
+        } catch (error) {
+            console.error('Error exporting data:', error);
+            alert('Failed to export data. Please try again.');
+        }
+    }
+    
+    /**
+     * Sort table by column
+     */
+    sortBy(column) {
+        if (this.sortColumn === column) {
+            // Toggle sort order
+            this.sortOrder = this.sortOrder === 'asc' ? 'desc' : 'asc';
+        } else {
+            this.sortColumn = column;
+            this.sortOrder = 'asc';
+        }
+        this.loadData();
+    }
+    
+    /**
+     * Update pagination controls
+     */
+    updatePagination() {
+        // Update info text
+        const start = (this.currentPage - 1) * this.itemsPerPage + 1;
+        const end = Math.min(this.currentPage * this.itemsPerPage, this.totalItems);
+        this.paginationInfo.textContent = `Page ${this.currentPage} of ${this.totalPages}` +
+            (this.scopedTerm ? ` · ${this.scopedTerm.name}` : '') +
+            (this.cachedAt ? ` · offline copy from ${new Date(this.cachedAt).toLocaleString()}` : '');
+        
+        // Update button states
+        this.prevBtn.disabled = this.currentPage === 1;
+        this.nextBtn.disabled = this.currentPage === this.totalPages || this.totalPages === 0;
+    }
+    
+    /**
+     * Go to previous page
+     */
+    previousPage() {
+        if (this.currentPage > 1) {
+            this.currentPage--;
+            this.loadData();
+        }
+    }
+    
+    /**
+     * Go to next page
+     */
+    nextPage() {
+        if (this.currentPage < this.totalPages) {
+            this.currentPage++;
+            this.loadData();
+        }
+    }
+    
+    /**
+     * Open the read-only detail drawer for a record
+     */
+    async openDetail(id) {
+        this.viewingId = id;
+        this.notifyStateChange();
+        
+        this.detailDrawerTitle.textContent = `${this.entityName} Details`;
+        this.detailDrawerBody.innerHTML = '<p class="info-empty">Loading...</p>';
+        this.detailDrawer.classList.add('active');
+        
+        try {
+            const record = await this.repository.get(id, { expand: this.expand });
+            if (!record) throw new Error('Record not found');
+            const [sections, history] = await Promise.all([
+                this.getRelatedSections(record),
+                this.readOnly ? null : Audit.getHistory(this.entityName, record.id)
+            ]);
+            
+            // Another record may have been opened meanwhile
+            if (String(this.viewingId) !== String(id)) return;
+            
+            this.renderDetail(record, history ? [...sections, this.renderHistorySection(record, history)] : sections);
+        
+        } catch (error) {
+            console.error('Error fetching record details:', error);
+            this.closeDetail();
+            alert('Failed to load record details');
+        }
+    }
+    
+    /**
+     * Render all fields of a record followed by its related sections
+     */
+    renderDetail(record, sections) {
+        const fields = [
+            ...this.columns,
+            ...this.formFields
+                .filter(field => !this.columns.some(column => column.key === field.name))
+                .map(field => ({ key: field.name, label: field.label }))
+        ];
+        
+        let html = '<dl class="detail-list">';
+        fields.forEach(column => {
+            html += `<dt>${Html.escape(column.label)}</dt><dd>${this.formatDetailValue(column, record)}</dd>`;
+        });
+        html += '</dl>';
+        
+        sections.forEach(section => {
+            html += `<section class="detail-section">`;
+            html += `<h4 class="detail-section-title">${Html.escape(section.title)}</h4>`;
+            html += section.html;
+            html += `</section>`;
+        });
+        
+        this.detailDrawerBody.innerHTML = html;
+    }
+    
+    /**
+     * Format a field for the detail drawer (HTML)
+     */
+    formatDetailValue(column, record) {
+        const field = this.getFormField(column.key);
+        let value = this.getCellValue(column, record);
+        
+        if (value === '') return '-';
+        
+        // Show select values by their label
+        if (field && field.type === 'select' && !column.render) {
+            value = this.getOptionLabel(field, value);
+        }
+        
+        if (field && field.type === 'date') {
+            const date = new Date(value);
+            if (!isNaN(date)) {
+                value = date.toLocaleDateString(undefined, { year: 'numeric', month: 'long', day: 'numeric' });
+            }
+        }
+        
+        if (field && field.type === 'email') {
+            return `<a href="mailto:${Html.escape(value)}">${Html.escape(value)}</a>`;
+        }
+        if (field && field.type === 'tel') {
+            return `<a href="tel:${Html.escape(value)}">${Html.escape(value)}</a>`;
+        }
+        
+        return Html.escape(value);
+    }
+    
+    /**
+     * Label of a select option, falling back to the raw value
+     */
+    getOptionLabel(field, value) {
+        const option = field.options.find(opt => typeof opt === 'object' && String(opt.value) === String(value));
+        return option ? option.label : value;
+    }
+    
+    /**
+     * Related records shown under the fields, as [{ title, html }] (override in subclasses)
+     */
+    async getRelatedSections(record) {
+        return [];
+    }
+    
+    /**
+     * Detail drawer: timeline of the record's audit log entries, newest first
+     */
+    renderHistorySection(record, entries) {
+        const feedLink = `#/history?f.entity=${encodeURIComponent(this.entityName)}&f.recordId=${encodeURIComponent(record.id)}`;
+        
+        if (entries.length === 0) {
+            return { title: 'History', html: '<p class="info-empty">No recorded changes yet.</p>' };
+        }
+        
+        let html = '<ol class="timeline">';
+        entries.forEach(entry => {
+            html += `<li class="timeline-item timeline-${Html.escape(entry.action)}">`;
+            html += `<div class="timeline-meta"><strong>${Html.escape(Audit.actionLabel(entry.action))}</strong> by ${Html.escape(entry.actor)} · ${Html.escape(new Date(entry.timestamp).toLocaleString())}</div>`;
+            if (entry.action === 'update') {
+                html += `<ul class="timeline-changes">${entry.changes.map(change => `<li>${Html.escape(Audit.describeChange(change))}</li>`).join('')}</ul>`;
+            }
+            html += '</li>';
+        });
+        html += '</ol>';
+        html += `<a class="timeline-link" href="${feedLink}">Open in change feed</a>`;
+        
+        return { title: 'History', html };
+    }
+    
+    /**
+     * Hide the detail drawer without touching the URL state
+     */
+    hideDetail() {
+        this.detailDrawer.classList.remove('active');
+        this.detailDrawerBody.innerHTML = '';
+    }
+    
+    /**
+     * Close the detail drawer
+     */
+    closeDetail() {
+        this.hideDetail();
+        
+        if (this.viewingId !== null) {
+            this.viewingId = null;
+            this.notifyStateChange();
+        }
+    }
+    
+    /**
+     * Open modal for adding new record
+     */
+    openAddModal() {
+        this.currentRecord = null;
+        this.modalTitle.textContent = `Add New ${this.entityName}`;
+        this.renderForm(this.getNewRecordDefaults());
+        this.formModal.classList.add('active');
+    }
+    
+    /**
+     * Values a new record starts with: the selected term for term-bound records
+     */
+    getNewRecordDefaults() {
+        const termId = TermScope.getTermId();
+        return this.termField && termId ? { [this.termField]: termId } : null;
+    }
+    
+    /**
+     * Open modal for editing record
+     */
+    async openEditModal(id) {
+        this.editingId = id;
+        this.notifyStateChange();
+        
+        try {
+            this.currentRecord = await this.fetchRecordForEdit(id);
+            this.modalTitle.textContent = `Edit ${this.entityName}`;
+            this.renderForm(this.currentRecord);
+            this.formModal.classList.add('active');
+        
+        } catch (error) {
+            console.error('Error fetching record:', error);
+            alert('Failed to load record for editing');
+            this.editingId = null;
+            this.notifyStateChange();
+        }
+    }
+    
+    /**
+     * Get the record to edit. Offline it comes from the cache or, failing
+     * that, from the rows on screen (without the expanded references).
+     */
+    async fetchRecordForEdit(id) {
+        try {
+            const record = await this.repository.get(id);
+            if (!record) throw new Error('Record not found');
+            return record;
+        } catch (error) {
+            const row = Offline.isOnline() ? null : this.data.find(record => String(record.id) === String(id));
+            if (!row) throw error;
+            
+            const record = { ...row };
+            this.expand.forEach(name => delete record[name]);
+            return record;
+        }
+    }
+    
+    /**
+     * Render form fields
+     */
+    renderForm(data = null) {
+        let formHtml = '';
+        
+        this.formFields.forEach(field => {
+            const value = data ? (data[field.name] ?? '') : '';
+            const attributes = this.getInputAttributes(field);
+            
+            formHtml += `<div class="form-group" data-field="${field.name}">`;
+            formHtml += `<label class="form-label" for="${field.name}">${Html.escape(field.label)}</label>`;
             
             if (field.type === 'select') {
-                formHtml += `<select class="form-select" id="${field.name}" name="${field.name}" ${field.required ? 'required' : ''}>`;
-                formHtml += `<option value="">Select ${field.label}</option>`;
+                if (field.searchable) {
+                    formHtml += `<input type="search" class="form-input form-select-search" data-filter-for="${field.name}" placeholder="Search ${Html.escape(field.label)}...">`;
+                }
+                formHtml += `<select class="form-select" id="${field.name}" name="${field.name}" ${attributes}>`;
+                formHtml += `<option value="">Select ${Html.escape(field.label)}</option>`;
                 field.options.forEach(option => {
-                    const selected = value === option ? 'selected' : '';
-                    formHtml += `<option value="${option}" ${selected}>${option}</option>`;
+                    // Options are plain strings or { value, label } pairs (for references)
+                    const optionValue = typeof option === 'object' ? option.value : option;
+                    const optionLabel = typeof option === 'object' ? option.label : option;
+                    const selected = String(value) === String(optionValue) ? 'selected' : '';
+                    formHtml += `<option value="${Html.escape(optionValue)}" ${selected}>${Html.escape(optionLabel)}</option>`;
                 });
                 formHtml += `</select>`;
+                
+                // A disabled select is left out of the form data, so carry its value
+                if (this.isFieldLocked(field)) {
+                    formHtml += `<input type="hidden" name="${field.name}" value="${Html.escape(value)}">`;
+                }
             } else if (field.type === 'textarea') {
-                formHtml += `<textarea class="form-input" id="${field.name}" name="${field.name}" rows="3" ${field.required ? 'required' : ''}>${value}</textarea>`;
+                formHtml += `<textarea class="form-input" id="${field.name}" name="${field.name}" rows="3" ${attributes}>${Html.escape(value)}</textarea>`;
             } else {
-                formHtml += `<input type="${field.type}" class="form-input" id="${field.name}" name="${field.name}" value="${value}" ${field.required ? 'required' : ''}>`;
+                formHtml += `<input type="${field.type}" class="form-input" id="${field.name}" name="${field.name}" value="${Html.escape(value)}" ${attributes}>`;
             }
             
+            formHtml += `<p class="form-error" id="${field.name}Error" role="alert"></p>`;
             formHtml += `</div>`;
         });
         
+        // Errors are shown inline by validateFormField() instead of the browser's bubbles
+        this.recordForm.noValidate = true;
         this.recordForm.innerHTML = formHtml;
+        this.touchedFields = new Set();
+        
+        // Validate as the user types: on input once a field has been left,
+        // and on change/blur (which also runs the server-side unique checks)
+        this.formFields.forEach(field => {
+            const control = this.recordForm.querySelector(`[name="${field.name}"]`);
+            
+            control.addEventListener('input', () => {
+                if (this.touchedFields.has(field.name)) this.validateFormField(field, true);
+            });
+            control.addEventListener('blur', () => {
+                this.touchedFields.add(field.name);
+                this.validateFormField(field);
+            });
+            control.addEventListener('change', () => {
+                this.touchedFields.add(field.name);
+                this.validateFormField(field);
+            });
+        });
+        
+        // Narrow searchable selects down to the options matching the typed text
+        this.recordForm.querySelectorAll('.form-select-search').forEach(searchInput => {
+            const select = this.recordForm.querySelector(`#${searchInput.dataset.filterFor}`);
+            
+            searchInput.addEventListener('input', () => {
+                const term = searchInput.value.trim().toLowerCase();
+                Array.from(select.options).forEach(option => {
+                    option.hidden = option.value !== '' && !option.textContent.toLowerCase().includes(term);
+                });
+            });
+        });
+    }
+    
+    /**
+     * Check if a field cannot be changed here: it is calculated (`readOnly: true`,
+     * e.g. the GPA) or the user's role may not change it
+     */
+    isFieldLocked(field) {
+        return Boolean(field.readOnly) || !Auth.canEditField(this.resource, field.name);
+    }
+    
+    /**
+     * HTML attributes mirroring a field's rules (for a11y and native pickers)
+     */
+    getInputAttributes(field) {
+        const rules = field.rules || {};
+        const attributes = [`aria-describedby="${field.name}Error"`];
+        
+        if (field.required) attributes.push('required');
+        if (this.isFieldLocked(field)) {
+            attributes.push(field.type === 'select' ? 'disabled' : 'readonly');
+            attributes.push(`title="${field.readOnly ? 'Calculated automatically' : 'Your role cannot change this field'}"`);
+        }
+        if (field.placeholder) attributes.push(`placeholder="${Html.escape(field.placeholder)}"`);
+        if (rules.minLength) attributes.push(`minlength="${rules.minLength}"`);
+        if (rules.maxLength) attributes.push(`maxlength="${rules.maxLength}"`);
+        if (field.type === 'number') {
+            if (rules.min !== undefined) attributes.push(`min="${rules.min}"`);
+            if (rules.max !== undefined) attributes.push(`max="${rules.max}"`);
+            attributes.push(`step="${rules.integer ? 1 : 'any'}"`);
+        }
+        if (field.type === 'date') {
+            const minDate = Validator.resolveDate(rules.minDate);
+            const maxDate = Validator.resolveDate(rules.maxDate);
+            if (minDate) attributes.push(`min="${minDate}"`);
+            if (maxDate) attributes.push(`max="${maxDate}"`);
+        }
+        
+        return attributes.join(' ');
+    }
+    
+    /**
+     * Validate one form control and show its message (skipAsync while typing)
+     */
+    async validateFormField(field, skipAsync = false) {
+        const control = this.recordForm.querySelector(`[name="${field.name}"]`);
+        const value = control.value;
+        const context = { table: this, id: this.currentRecord ? this.currentRecord.id : null };
+        
+        try {
+            const error = await Validator.validateField(field, value, context, skipAsync);
+            
+            // Ignore results for a value the user has already changed
+            if (control.value !== value) return;
+            this.showFieldError(field.name, error);
+        } catch (error) {
+            // Server checks are repeated on submit
+            console.error(`Error validating ${field.name}:`, error);
+        }
+    }
+    
+    /**
+     * Show (or clear, when message is null) the inline error of a field
+     */
+    showFieldError(name, message) {
+        const control = this.recordForm.querySelector(`[name="${name}"]`);
+        const errorElement = this.recordForm.querySelector(`#${name}Error`);
+        if (!control || !errorElement) return;
+        
+        errorElement.textContent = message || '';
+        control.classList.toggle('invalid', Boolean(message));
+        control.setAttribute('aria-invalid', message ? 'true' : 'false');
+    }
+    
+    /**
+     * Get a form field definition by name
+     */
+    getFormField(name) {
+        return this.formFields.find(field => field.name === name);
+    }
+    
+    /**
+     * Validate a record against the rules declared on formFields.
+     * `id` is the record being updated, if any. Resolves to
+     * { isValid, errors, fieldErrors }; subclasses may add cross-field checks.
+     */
+    async validateRecord(data, id = null) {
+        return Validator.validateRecord(this.formFields, data, { table: this, id });
+    }
+    
+    /**
+     * Check whether another live record already uses a value (case-insensitive)
+     */
+    async isValueTaken(fieldName, value, excludeId = null) {
+        const pattern = `^${String(value).replace(/[.*+?^${}()|[\]\\]/g, '\\$&')}$`;
+        let records;
+        
+        try {
+            records = await this.repository.findAll({ deleted: false, [`${fieldName}_like`]: pattern });
+        } catch (error) {
+            // Cannot be checked offline; the change is queued like any other
+            if (Offline.isOnline()) throw error;
+            return false;
+        }
+        
+        return records.some(record => String(record.id) !== String(excludeId));
+    }
+    
+    /**
+     * Convert submitted form values to the types stored in db.json (override in subclasses)
+     */
+    prepareRecord(data) {
+        return data;
+    }
+    
+    /**
+     * Adjust a new, prepared record right before it is stored (e.g. put an
+     * enrollment in a full course on the waitlist); nothing by default
+     */
+    async beforeCreate(data) {
+        return data;
+    }
+    
+    /**
+     * Create a record and return it as stored by the server
+     */
+    async createRecord(data) {
+        await this.beforeCreate(data);
+        const record = await this.repository.create({ ...data, deleted: false, ...this.nextVersion(null) });
+        await this.logChange('create', null, record);
+        return record;
+    }
+    
+    /**
+     * Fetch the current stored copy of a record (never the offline one), or null if it no longer exists
+     */
+    async fetchRecord(id) {
+        return this.repository.get(id, { useCache: false });
+    }
+    
+    /**
+     * Concurrency fields for the next write of a record: every write bumps
+     * `version` so an edit form can tell that the record changed under it
+     */
+    nextVersion(record) {
+        return {
+            version: ((record && record.version) || 0) + 1,
+            updatedAt: new Date().toISOString()
+        };
+    }
+    
+    /**
+     * Short name of a record shown in the change history (override in subclasses)
+     */
+    getRecordLabel(record) {
+        return record.name || record.code || `${this.entityName} #${record.id}`;
+    }
+    
+    /**
+     * Write a change (create, update, delete, restore or purge) to the audit log.
+     * Pass null as `before` for creations/restores and as `after` for deletions/purges.
+     * Changes to data outside the form (e.g. attendance marks) can be passed as `changes`.
+     */
+    async logChange(action, before, after, changes = null) {
+        const record = after || before;
+        const entry = await Audit.log({
+            entity: this.entityName,
+            recordId: record.id,
+            recordLabel: this.getRecordLabel(record),
+            action,
+            changes: changes || Audit.diff(this.formFields, before || {}, after || {})
+        });
+        
+        await this.afterChange(action, before, after);
+        return entry;
+    }
+    
+    /**
+     * Ask before saving a valid form, e.g. to warn about a side effect; false keeps
+     * the form open (override in subclasses). `before` is null for a new record.
+     */
+    async confirmSave(data, before) {
+        return true;
+    }
+    
+    /**
+     * React to a saved change, e.g. update values derived from this record (override in subclasses)
+     */
+    async afterChange(action, before, after) {
     }
     
     /**
-     * Save record (create or update)
+     * Save record (create or update) after validating every field
      */
     async saveRecord() {
+        // Kept outside the try so a save that cannot reach the server can be queued
+        let data = null;
+        
         try {
             const formData = new FormData(this.recordForm);
-            const data = Object.fromEntries(formData.entries());
+            data = Object.fromEntries(formData.entries());
+            
+            // Show every field's message and keep the form open while anything is invalid
+            const validation = await this.validateRecord({ ...data }, this.currentRecord ? this.currentRecord.id : null);
+            this.formFields.forEach(field => {
+                this.touchedFields.add(field.name);
+                this.showFieldError(field.name, validation.fieldErrors[field.name] || null);
+            });
+            
+            if (!validation.isValid) {
+                const firstInvalid = this.recordForm.querySelector('.invalid');
+                if (firstInvalid) firstInvalid.focus();
+                return;
+            }
             
-            let response;
+            // Convert form strings to the stored types
+            this.prepareRecord(data);
+            
+            if (!await this.confirmSave(data, this.currentRecord)) return;
+            
+            let saved;
             
             if (this.currentRecord) {
-                // Update existing record
-                response = await fetch(`${this.apiUrl}/${this.currentRecord.id}`, {
-                    method: 'PUT',
-                    headers: { 'Content-Type': 'application/json' },
-                    body: JSON.stringify({ ...data, id: this.currentRecord.id })
-                });
+                // Someone else may have saved the record since the form was opened
+                const latest = await this.fetchRecord(this.currentRecord.id);
+                
+                if (!latest || latest.deleted) {
+                    alert(`This ${this.entityName.toLowerCase()} was deleted by someone else while you were editing it.`);
+                    this.closeModal();
+                    this.loadData();
+                    return;
+                }
+                
+                if ((latest.version || 0) !== (this.currentRecord.version || 0)) {
+                    this.recordMerge.open(this.currentRecord, data, latest);
+                    return;
+                }
+                
+                // Update existing record, keeping fields the form does not show (e.g. `deleted`)
+                saved = await this.repository.update(this.currentRecord.id, { ...this.currentRecord, ...data, id: this.currentRecord.id, ...this.nextVersion(this.currentRecord) });
             } else {
                 // Create new record
-                response = await fetch(this.apiUrl, {
-                    method: 'POST',
-                    headers: { 'Content-Type': 'application/json' },
-                    body: JSON.stringify(data)
-                });
+                await this.beforeCreate(data);
+                saved = await this.repository.create({ ...data, deleted: false, ...this.nextVersion(null) });
             }
             
-            if (!response.ok) throw new Error('Failed to save record');
+            await this.logChange(this.currentRecord ? 'update' : 'create', this.currentRecord, saved);
             
             this.closeModal();
             this.loadData();
-            
+        
         } catch (error) {
-            console.error('Error saving record:', error);
-            alert('Failed to save record. Please try again.');
+            if (Offline.isNetworkError(error) && data) {
+                Offline.setOnline(false);
+                await this.queueSave(data);
+                return;
+            }
+            
+            // Saved by someone else between the check above and the write
+            if (error.status === 409 && this.currentRecord) {
+                const latest = await this.fetchRecord(this.currentRecord.id);
+                if (latest && (latest.version || 0) !== (this.currentRecord.version || 0)) {
+                    this.recordMerge.open(this.currentRecord, data, latest);
+                    return;
+                }
+            }
+            
+            console.error(`Error saving ${this.entityName.toLowerCase()}:`, error);
+            // Other conflicts (e.g. a course that filled up meanwhile) are explained by the server
+            alert(error.status === 409 ? error.message : `Failed to save ${this.entityName.toLowerCase()}. Please try again.`);
         }
     }
     
+    /**
+     * Queue the form values as a create or update to send once the server is back
+     */
+    async queueSave(data) {
+        const record = this.currentRecord;
+        
+        if (record) {
+            const body = { ...record, ...data, id: record.id, ...this.nextVersion(record) };
+            await this.queueWrite({ operation: 'update', recordId: record.id, body, baseVersion: record.version || 0, action: 'update', before: record, after: body });
+            
+            // A second offline edit of this record builds on the queued one
+            await this.repository.cacheRecord(record.id, body);
+        } else {
+            const body = { ...data, deleted: false, ...this.nextVersion(null) };
+            await this.queueWrite({ operation: 'create', body, action: 'create', after: body });
+        }
+        
+        this.closeModal();
+        Toast.show(`You are offline. The ${this.entityName.toLowerCase()} will be saved when the connection returns.`);
+    }
+    
+    /**
+     * Add a write to the offline queue, with the change to record (see logChange) once it is sent.
+     * `baseVersion` makes the replay refuse the write if the record changed meanwhile.
+     */
+    async queueWrite({ operation, recordId = null, body = null, baseVersion = null, action, before = null, after = null }) {
+        const record = after || before;
+        const recordLabel = this.getRecordLabel(record);
+        
+        await Offline.enqueue({
+            resource: this.resource,
+            operation,
+            recordId,
+            body,
+            baseVersion,
+            before,
+            label: `${this.entityName} "${recordLabel}" (${Audit.actionLabel(action).toLowerCase()} offline)`,
+            audit: {
+                entity: this.entityName,
+                recordId: record.id ?? null,
+                recordLabel,
+                action,
+                changes: Audit.diff(this.formFields, before || {}, after || {})
+            }
+        });
+    }
+    
+    /**
+     * Finish a save that hit a conflict: the merged values become the form
+     * values and `latest` the version they are written over
+     */
+    applyMerge(values, latest) {
+        this.currentRecord = latest;
+        this.renderForm(values);
+        this.saveRecord();
+    }
+    
+    /**
+     * Return a reason why a record must not be deleted, or null (override in subclasses)
+     */
+    async getDeleteBlocker(id) {
+        return null;
+    }
+    
     /**
      * Open delete confirmation modal
      */
-    openDeleteModal(id) {
-        this.recordToDelete = id;
+    async openDeleteModal(id) {
+        const blocker = await this.getDeleteBlocker(id);
+        if (blocker) {
+            alert(blocker);
+            return;
+        }
+        
+        this.recordsToDelete = [id];
+        this.isBulkDelete = false;
+        this.deleteMessage.textContent = this.defaultDeleteMessage;
+        this.deleteModal.classList.add('active');
+    }
+    
+    /**
+     * Open delete confirmation modal for every selected record
+     */
+    openBulkDeleteModal() {
+        this.recordsToDelete = Array.from(this.selectedRecords.keys());
+        this.isBulkDelete = true;
+        this.deleteMessage.textContent = 
+            `Are you sure you want to delete ${this.recordsToDelete.length} selected record(s)? They will be moved to the trash, where they can be restored.`;
         this.deleteModal.classList.add('active');
     }
     
     /**
-     * Confirm and delete record
+     * Confirm and move record(s) to the trash
      */
     async confirmDelete() {
-        if (!this.recordToDelete) return;
+        if (this.recordsToDelete.length === 0) return;
         
-        try {
-            const response = await fetch(`${this.apiUrl}/${this.recordToDelete}`, {
-                method: 'DELETE'
-            });
+        const ids = this.recordsToDelete;
+        const isBulk = this.isBulkDelete;
+        const failures = [];
+        const deleted = [];
+        const queued = [];
+        
+        for (const id of ids) {
+            try {
+                // Single deletes were already checked when the modal opened
+                const blocker = isBulk ? await this.getDeleteBlocker(id) : null;
+                if (blocker) throw new Error(blocker);
+                
+                const record = await this.fetchRecord(id);
+                if (!record) throw new Error('Record no longer exists');
+                
+                const saved = await this.repository.patch(id, { deleted: true, deletedAt: new Date().toISOString(), ...this.nextVersion(record) });
+                await this.logChange('delete', saved, null);
+                this.selectedRecords.delete(String(id));
+                deleted.push(id);
             
-            if (!response.ok) throw new Error('Failed to delete record');
+            } catch (error) {
+                // Offline: queue the delete of the record as shown on screen
+                const row = this.selectedRecords.get(String(id)) || this.data.find(record => String(record.id) === String(id));
+                if (Offline.isNetworkError(error) && row) {
+                    Offline.setOnline(false);
+                    await this.queueDelete(row);
+                    this.selectedRecords.delete(String(id));
+                    queued.push(id);
+                    continue;
+                }
+                
+                console.error('Error deleting record:', error);
+                failures.push({ id, reason: error.message });
+            }
+        }
+        
+        this.closeDeleteModal();
+        this.loadData();
+        
+        if (queued.length > 0) {
+            Toast.show(`You are offline. ${queued.length === 1 ? `The ${this.entityName.toLowerCase()} will be` : `${queued.length} records will be`} moved to the trash when the connection returns.`);
+        }
+        
+        if (isBulk) {
+            this.clearSelection();
+            this.reportBulkResult('Deleted', ids.length - failures.length, ids.length, failures);
+        } else if (failures.length > 0) {
+            alert('Failed to delete record. Please try again.');
+        }
+        
+        if (deleted.length > 0) {
+            const message = deleted.length === 1
+                ? `${this.entityName} moved to the trash`
+                : `${deleted.length} records moved to the trash`;
+            Toast.show(message, { action: { label: 'Undo', handler: () => this.restoreRecords(deleted) } });
+        }
+    }
+    
+    /**
+     * Queue moving a record to the trash while offline
+     */
+    async queueDelete(row) {
+        const record = { ...row };
+        this.expand.forEach(name => delete record[name]);
+        
+        await this.queueWrite({
+            operation: 'patch',
+            recordId: record.id,
+            body: { deleted: true, deletedAt: new Date().toISOString(), ...this.nextVersion(record) },
+            baseVersion: record.version || 0,
+            action: 'delete',
+            before: record
+        });
+    }
+    
+    /**
+     * Bring records back from the trash, unless they now clash with a live
+     * record (e.g. a course code that was reused meanwhile)
+     */
+    async restoreRecords(ids) {
+        const failures = [];
+        
+        for (const id of ids) {
+            try {
+                const record = await this.fetchRecord(id);
+                if (!record) throw new Error('Record no longer exists');
+                
+                const validation = await this.validateRecord(this.toFormData(record), id);
+                if (!validation.isValid) throw new Error(validation.errors.join('; '));
+                
+                const saved = await this.repository.patch(id, { deleted: false, deletedAt: null, ...this.nextVersion(record) });
+                await this.logChange('restore', null, saved);
             
-            this.closeDeleteModal();
-            this.loadData();
+            } catch (error) {
+                console.error(`Error restoring record ${id}:`, error);
+                failures.push({ id, reason: error.message });
+            }
+        }
+        
+        // The user may have left this page before clicking "Undo"
+        if (this.listeners) this.loadData();
+        
+        this.reportBulkResult('Restored', ids.length - failures.length, ids.length, failures);
+    }
+    
+    /**
+     * Permanently delete a record from the trash
+     */
+    async purgeRecord(id) {
+        if (!confirm(`Permanently delete this ${this.entityName.toLowerCase()}? This action cannot be undone.`)) return;
+        
+        try {
+            // Keep the last values for the audit log
+            const record = (await this.fetchRecord(id)) || { id };
             
+            await this.repository.remove(id);
+            await this.logChange('purge', record, null);
+            this.loadData();
+        
         } catch (error) {
-            console.error('Error deleting record:', error);
+            const row = this.data.find(record => String(record.id) === String(id));
+            if (Offline.isNetworkError(error) && row) {
+                Offline.setOnline(false);
+                await this.queueWrite({ operation: 'remove', recordId: id, action: 'purge', before: row });
+                Toast.show(`You are offline. The ${this.entityName.toLowerCase()} will be deleted permanently when the connection returns.`);
+                return;
+            }
+            
+            console.error('Error purging record:', error);
             alert('Failed to delete record. Please try again.');
         }
     }
@@ -398,6 +1850,11 @@ export class DataTable {
         this.formModal.classList.remove('active');
         this.recordForm.reset();
         this.currentRecord = null;
+        
+        if (this.editingId !== null) {
+            this.editingId = null;
+            this.notifyStateChange();
+        }
     }
     
     /**
@@ -405,7 +1862,24 @@ export class DataTable {
      */
     closeDeleteModal() {
         this.deleteModal.classList.remove('active');
-        this.recordToDelete = null;
+        this.recordsToDelete = [];
+    }
+    
+    /**
+     * Open read-only info modal with the given content
+     */
+    openInfoModal(title, html) {
+        this.infoModalTitle.textContent = title;
+        this.infoModalBody.innerHTML = html;
+        this.infoModal.classList.add('active');
+    }
+    
+    /**
+     * Close info modal
+     */
+    closeInfoModal() {
+        this.infoModal.classList.remove('active');
+        this.infoModalBody.innerHTML = '';
     }
     
     /**
@@ -0,0 +1,283 @@
+/**
+ * Documents Class - Print-ready student documents: the academic transcript
+ * and the enrollment certificate letter
+ *
+ * Documents are built as HTML styled by css/print.css and printed from a
+ * window of their own. The register (see IssuedDocument) keeps the data a
+ * document was printed from, never its HTML: every copy is rebuilt from that
+ * data here, with each value escaped. Every issued document has a reference
+ * number made of its type's prefix, the year of issue and a running number in
+ * that year, e.g. "TR-2026-0007", given by the server when it is issued.
+ */
+
+import { Html } from './Html.js';
+import { Grades } from './Grades.js';
+
+// Printed at the top of every document (change to your institution's details)
+const INSTITUTION = {
+    name: 'Students Affairs University',
+    office: 'Office of the Registrar',
+    address: '1 University Avenue, Cairo',
+    contact: 'registrar@university.edu · +20 2 1234 5678'
+};
+
+// Document types and the prefix of their reference numbers
+const TYPES = {
+    'Transcript': 'TR',
+    'Enrollment Certificate': 'EC'
+};
+
+// Enrollments left off a transcript
+const OFF_TRANSCRIPT = ['Dropped', 'Waitlisted'];
+
+export class Documents {
+    /**
+     * Types of documents that can be issued
+     */
+    static getTypes() {
+        return Object.keys(TYPES);
+    }
+    
+    /**
+     * Reference number of the next document of a type issued in a year,
+     * following the references issued so far (only used without a server,
+     * which otherwise numbers documents itself)
+     */
+    static nextReference(type, year, references) {
+        const prefix = `${TYPES[type]}-${year}-`;
+        const last = references
+            .filter(reference => String(reference).startsWith(prefix))
+            .reduce((max, reference) => Math.max(max, parseInt(reference.slice(prefix.length)) || 0), 0);
+        
+        return `${prefix}${String(last + 1).padStart(4, '0')}`;
+    }
+    
+    /**
+     * The data a document is printed from, kept with it in the register: the
+     * student's details, the enrollments (with their course and term) and, for
+     * a certificate, the term it certifies
+     */
+    static snapshot(student, enrollments, term = null) {
+        return {
+            student: {
+                id: student.id,
+                name: student.name,
+                department: student.department,
+                email: student.email,
+                enrollmentDate: student.enrollmentDate
+            },
+            enrollments: enrollments.map(enrollment => ({
+                courseId: enrollment.courseId,
+                termId: enrollment.termId,
+                status: enrollment.status,
+                grade: enrollment.grade,
+                enrollmentDate: enrollment.enrollmentDate,
+                course: enrollment.course ? { code: enrollment.course.code, name: enrollment.course.name, credits: enrollment.course.credits } : null,
+                term: enrollment.term ? { name: enrollment.term.name, startDate: enrollment.term.startDate } : null
+            })),
+            term: term ? { name: term.name, startDate: term.startDate, endDate: term.endDate } : null
+        };
+    }
+    
+    /**
+     * HTML of an issued document, built from the data kept in the register
+     */
+    static render(entry) {
+        const data = {
+            ...entry.snapshot,
+            addressedTo: entry.addressedTo,
+            reference: entry.reference,
+            issuedAt: entry.issuedAt
+        };
+        
+        if (entry.type === 'Transcript') return Documents.renderTranscript(data);
+        if (entry.type === 'Enrollment Certificate') return Documents.renderCertificate(data);
+        throw new Error(`Unknown document type: ${entry.type}`);
+    }
+    
+    /**
+     * Date as written in documents, e.g. "October 19, 2026"
+     * ('YYYY-MM-DD' dates are read as local dates)
+     */
+    static formatDate(value) {
+        if (!value) return '';
+        const date = new Date(/^\d{4}-\d{2}-\d{2}$/.test(value) ? `${value}T00:00:00` : value);
+        return isNaN(date) ? String(value) : date.toLocaleDateString('en-US', { year: 'numeric', month: 'long', day: 'numeric' });
+    }
+    
+    /**
+     * Institution header, document title and the reference block
+     */
+    static renderHeader(title, reference, issuedAt) {
+        return `<header class="doc-header">
+            <div class="doc-institution">
+                <h1>${Html.escape(INSTITUTION.name)}</h1>
+                <p>${Html.escape(INSTITUTION.office)}</p>
+                <p>${Html.escape(INSTITUTION.address)}</p>
+                <p>${Html.escape(INSTITUTION.contact)}</p>
+            </div>
+            <dl class="doc-reference">
+                <dt>Reference</dt><dd>${Html.escape(reference)}</dd>
+                <dt>Issued</dt><dd>${Html.escape(Documents.formatDate(issuedAt))}</dd>
+            </dl>
+        </header>
+        <h2 class="doc-title">${Html.escape(title)}</h2>`;
+    }
+    
+    /**
+     * Signature block and the line readers can check the document with
+     */
+    static renderFooter(reference) {
+        return `<footer class="doc-footer">
+            <div class="doc-signature">
+                <span class="doc-signature-line"></span>
+                <p>Registrar</p>
+                <p>${Html.escape(INSTITUTION.office)}</p>
+            </div>
+            <p class="doc-verify">To verify this document, contact the ${Html.escape(INSTITUTION.office)} quoting reference ${Html.escape(reference)}.</p>
+        </footer>`;
+    }
+    
+    /**
+     * The student's details from their record
+     */
+    static renderStudentDetails(student) {
+        const details = [
+            ['Student Name', student.name],
+            ['Student ID', student.id],
+            ['Department', student.department],
+            ['Email', student.email],
+            ['Enrolled Since', Documents.formatDate(student.enrollmentDate)]
+        ];
+        
+        return `<dl class="doc-details">
+            ${details.map(([label, value]) => `<dt>${label}</dt><dd>${Html.escape(value)}</dd>`).join('')}
+        </dl>`;
+    }
+    
+    /**
+     * Academic transcript: the student's courses term by term, with credits,
+     * grades, the GPA of each term and the cumulative GPA
+     * (enrollments need their course and term embedded)
+     */
+    static renderTranscript({ student, enrollments, reference, issuedAt }) {
+        const listed = enrollments.filter(enrollment => !OFF_TRANSCRIPT.includes(enrollment.status));
+        const results = Grades.getTermResults(listed);
+        const terms = new Map();
+        
+        listed.forEach(enrollment => {
+            const term = Grades.termOfEnrollment(enrollment);
+            if (!terms.has(term.key)) terms.set(term.key, { label: term.label, enrollments: [] });
+            terms.get(term.key).enrollments.push(enrollment);
+        });
+        
+        let html = `<article class="doc">
+            ${Documents.renderHeader('Academic Transcript', reference, issuedAt)}
+            ${Documents.renderStudentDetails(student)}`;
+        
+        if (terms.size === 0) {
+            html += '<p class="doc-empty">No courses have been taken yet.</p>';
+        }
+        
+        Array.from(terms.keys()).sort().forEach(key => {
+            const term = terms.get(key);
+            const result = results.find(item => item.key === key);
+            
+            html += `<section class="doc-term">
+                <h3>${Html.escape(term.label)}</h3>
+                <table class="doc-table">
+                    <thead><tr><th>Code</th><th>Course</th><th>Credits</th><th>Grade</th><th>Points</th></tr></thead>
+                    <tbody>`;
+            term.enrollments.forEach(enrollment => {
+                const course = enrollment.course || {};
+                const points = Grades.isGraded(enrollment) ? Grades.pointsFor(enrollment.grade).toFixed(1) : '';
+                const grade = enrollment.grade || (enrollment.status === 'Enrolled' ? 'In progress' : 'Not graded');
+                html += `<tr>
+                    <td>${Html.escape(course.code)}</td>
+                    <td>${Html.escape(course.name)}</td>
+                    <td>${Html.escape(course.credits)}</td>
+                    <td>${Html.escape(grade)}</td>
+                    <td>${points}</td>
+                </tr>`;
+            });
+            html += `</tbody></table>
+                <p class="doc-term-result">${result
+                    ? `Graded credits: ${result.credits} · Term GPA: ${Grades.formatGpa(result.gpa)} · Cumulative GPA: ${Grades.formatGpa(result.cumulativeGpa)}`
+                    : 'No grades recorded yet'}</p>
+            </section>`;
+        });
+        
+        const graded = listed.filter(Grades.isGraded);
+        const credits = enrollment => Number(enrollment.course && enrollment.course.credits) || 0;
+        const gpa = Grades.calculateGpa(listed);
+        
+        html += `<section class="doc-summary">
+                <h3>Summary</h3>
+                <dl class="doc-details">
+                    <dt>Credits Attempted</dt><dd>${graded.reduce((sum, enrollment) => sum + credits(enrollment), 0)}</dd>
+                    <dt>Credits Earned</dt><dd>${graded.filter(enrollment => enrollment.grade !== 'F').reduce((sum, enrollment) => sum + credits(enrollment), 0)}</dd>
+                    <dt>Cumulative GPA</dt><dd>${Grades.formatGpa(gpa)}</dd>
+                </dl>
+            </section>
+            ${Documents.renderFooter(reference)}
+        </article>`;
+        
+        return html;
+    }
+    
+    /**
+     * Enrollment certificate letter: proof that the student is enrolled in a term
+     * (enrollments of that term, with their course embedded)
+     */
+    static renderCertificate({ student, term, enrollments, addressedTo, reference, issuedAt }) {
+        const credits = enrollments.reduce((sum, enrollment) => sum + (Number(enrollment.course && enrollment.course.credits) || 0), 0);
+        const courses = `${enrollments.length} course${enrollments.length === 1 ? '' : 's'}`;
+        
+        return `<article class="doc doc-letter">
+            ${Documents.renderHeader('Enrollment Certificate', reference, issuedAt)}
+            <p class="doc-salutation">${Html.escape(addressedTo || 'To Whom It May Concern')},</p>
+            <p>This is to certify that <strong>${Html.escape(student.name)}</strong> (Student ID ${Html.escape(student.id)})
+                is a registered student of the ${Html.escape(student.department)} department of ${Html.escape(INSTITUTION.name)}
+                since ${Html.escape(Documents.formatDate(student.enrollmentDate))}.</p>
+            <p>The student is enrolled in the <strong>${Html.escape(term.name)}</strong> term, which runs from
+                ${Html.escape(Documents.formatDate(term.startDate))} to ${Html.escape(Documents.formatDate(term.endDate))},
+                in ${courses} totalling ${credits} credit hours:</p>
+            <ul class="doc-courses">
+                ${enrollments.map(enrollment => `<li>${Html.escape(enrollment.course ? `${enrollment.course.code} - ${enrollment.course.name}` : `Course #${enrollment.courseId}`)}</li>`).join('')}
+            </ul>
+            <p>This certificate is issued at the student's request for whatever purpose it may serve.</p>
+            <p class="doc-closing">Sincerely,</p>
+            ${Documents.renderFooter(reference)}
+        </article>`;
+    }
+    
+    /**
+     * Open a document in a new window with the print stylesheet and print it.
+     * Returns false when the browser blocked the window.
+     */
+    static print(title, content) {
+        const printWindow = window.open('', '_blank');
+        if (!printWindow) return false;
+        
+        const stylesheet = new URL('css/print.css', window.location.href).href;
+        printWindow.document.write(`<!DOCTYPE html>
+<html lang="en">
+<head>
+    <meta charset="UTF-8">
+    <title>${Html.escape(title)}</title>
+    <link rel="stylesheet" href="${Html.escape(stylesheet)}">
+</head>
+<body>
+    <div class="doc-toolbar"><button type="button" onclick="window.print()">Print</button></div>
+    ${content}
+</body>
+</html>`);
+        printWindow.document.close();
+        printWindow.addEventListener('load', () => {
+            printWindow.focus();
+            printWindow.print();
+        });
+        
+        return true;
+    }
+}
@@ -9,7 +9,7 @@ export class Employee extends DataTable {
     constructor() {
         // Configuration for employees
         const config = {
-            apiUrl: 'http://localhost:3000/employees',
+            resource: 'employees',
             entityName: 'Employee',
             columns: [
                 { key: 'id', label: 'ID' },
@@ -25,7 +25,8 @@ export class Employee extends DataTable {
                     name: 'name',
                     label: 'Full Name',
                     type: 'text',
-                    required: true
+                    required: true,
+                    rules: { minLength: 3 }
                 },
                 {
                     name: 'email',
@@ -37,7 +38,11 @@ export class Employee extends DataTable {
                     name: 'phone',
                     label: 'Phone Number',
                     type: 'tel',
-                    required: true
+                    required: true,
+                    rules: {
+                        minLength: 10,
+                        messages: { minLength: 'Please enter a valid phone number' }
+                    }
                 },
                 {
                     name: 'position',
@@ -79,7 +84,12 @@ export class Employee extends DataTable {
                     name: 'hireDate',
                     label: 'Hire Date',
                     type: 'date',
-                    required: true
+                    required: true,
+                    rules: {
+                        minDate: '2000-01-01',
+                        maxDate: 'today',
+                        messages: { minDate: 'Hire date seems too old (before 2000)' }
+                    }
                 }
             ]
         };
@@ -90,8 +100,8 @@ export class Employee extends DataTable {
     /**
      * Initialize employee module
      */
-    init() {
-        this.loadData();
+    init(state = null) {
+        super.init(state);
     }
     
     /**
@@ -99,9 +109,7 @@ export class Employee extends DataTable {
      */
     async getAllEmployees() {
         try {
-            const response = await fetch(this.apiUrl);
-            if (!response.ok) throw new Error('Failed to fetch employees');
-            return await response.json();
+            return await this.repository.findAll({ deleted: false });
         } catch (error) {
             console.error('Error fetching all employees:', error);
             return [];
@@ -113,9 +121,7 @@ export class Employee extends DataTable {
      */
     async getEmployeeById(id) {
         try {
-            const response = await fetch(`${this.apiUrl}/${id}`);
-            if (!response.ok) throw new Error('Failed to fetch employee');
-            return await response.json();
+            return await this.repository.get(id);
         } catch (error) {
             console.error('Error fetching employee:', error);
             return null;
@@ -127,9 +133,7 @@ export class Employee extends DataTable {
      */
     async searchEmployees(query) {
         try {
-            const response = await fetch(`${this.apiUrl}?q=${encodeURIComponent(query)}`);
-            if (!response.ok) throw new Error('Failed to search employees');
-            return await response.json();
+            return await this.repository.findAll({ deleted: false }, { q: query });
         } catch (error) {
             console.error('Error searching employees:', error);
             return [];
@@ -141,9 +145,7 @@ export class Employee extends DataTable {
      */
     async filterByDepartment(department) {
         try {
-            const response = await fetch(`${this.apiUrl}?department=${encodeURIComponent(department)}`);
-            if (!response.ok) throw new Error('Failed to filter employees');
-            return await response.json();
+            return await this.repository.findAll({ deleted: false, department });
         } catch (error) {
             console.error('Error filtering employees:', error);
             return [];
@@ -155,9 +157,7 @@ export class Employee extends DataTable {
      */
     async filterByPosition(position) {
         try {
-            const response = await fetch(`${this.apiUrl}?position=${encodeURIComponent(position)}`);
-            if (!response.ok) throw new Error('Failed to filter employees');
-            return await response.json();
+            return await this.repository.findAll({ deleted: false, position });
         } catch (error) {
             console.error('Error filtering employees by position:', error);
             return [];
@@ -169,9 +169,7 @@ export class Employee extends DataTable {
      */
     async getEmployeesHiredAfter(date) {
         try {
-            const response = await fetch(`${this.apiUrl}?hireDate_gte=${date}&_sort=hireDate&_order=desc`);
-            if (!response.ok) throw new Error('Failed to fetch employees');
-            return await response.json();
+            return await this.repository.findAll({ deleted: false, hireDate_gte: date }, { sort: 'hireDate', order: 'desc' });
         } catch (error) {
             console.error('Error fetching employees by hire date:', error);
             return [];
@@ -183,9 +181,7 @@ export class Employee extends DataTable {
      */
     async getSeniorEmployees() {
         try {
-            const response = await fetch(`${this.apiUrl}?hireDate_lte=2020-01-01&_sort=hireDate&_order=asc`);
-            if (!response.ok) throw new Error('Failed to fetch senior employees');
-            return await response.json();
+            return await this.repository.findAll({ deleted: false, hireDate_lte: '2020-01-01' }, { sort: 'hireDate', order: 'asc' });
         } catch (error) {
             console.error('Error fetching senior employees:', error);
             return [];
@@ -198,9 +194,7 @@ export class Employee extends DataTable {
     async getNewEmployees() {
         try {
             const currentYear = new Date().getFullYear();
-            const response = await fetch(`${this.apiUrl}?hireDate_gte=${currentYear}-01-01&_sort=hireDate&_order=desc`);
-            if (!response.ok) throw new Error('Failed to fetch new employees');
-            return await response.json();
+            return await this.repository.findAll({ deleted: false, hireDate_gte: `${currentYear}-01-01` }, { sort: 'hireDate', order: 'desc' });
         } catch (error) {
             console.error('Error fetching new employees:', error);
             return [];
@@ -227,6 +221,19 @@ export class Employee extends DataTable {
         }
     }
     
+    /**
+     * Detail drawer: years of service
+     */
+    async getRelatedSections(employee) {
+        if (!employee.hireDate) return [];
+        
+        const years = this.calculateYearsOfService(employee.hireDate);
+        return [{
+            title: 'Years of Service',
+            html: `<p class="detail-highlight">${years} ${years === 1 ? 'year' : 'years'}</p>`
+        }];
+    }
+    
     /**
      * Calculate years of service for an employee
      */
@@ -241,107 +248,4 @@ export class Employee extends DataTable {
         }
         return years;
     }
-    
-    /**
-     * Validate employee data before saving
-     */
-    validateEmployee(data) {
-        const errors = [];
-        
-        // Name validation
-        if (!data.name || data.name.trim().length < 3) {
-            errors.push('Name must be at least 3 characters long');
-        }
-        
-        // Email validation
-        const emailRegex = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
-        if (!data.email || !emailRegex.test(data.email)) {
-            errors.push('Please enter a valid email address');
-        }
-        
-        // University email check (optional but recommended)
-        if (data.email && !data.email.includes('university.edu') && !data.email.includes('.edu')) {
-            console.warn('Email does not appear to be a university email');
-        }
-        
-        // Phone validation (basic)
-        if (!data.phone || data.phone.trim().length < 10) {
-            errors.push('Please enter a valid phone number');
-        }
-        
-        // Position validation
-        if (!data.position || data.position.trim() === '') {
-            errors.push('Please select a position');
-        }
-        
-        // Department validation
-        if (!data.department || data.department.trim() === '') {
-            errors.push('Please select a department');
-        }
-        
-        // Hire date validation
-        if (!data.hireDate) {
-            errors.push('Please enter hire date');
-        } else {
-            const hireDate = new Date(data.hireDate);
-            const today = new Date();
-            const minDate = new Date('2000-01-01');
-            
-            if (hireDate > today) {
-                errors.push('Hire date cannot be in the future');
-            }
-            if (hireDate < minDate) {
-                errors.push('Hire date seems too old (before 2000)');
-            }
-        }
-        
-        return {
-            isValid: errors.length === 0,
-            errors: errors
-        };
-    }
-    
-    /**
-     * Override saveRecord to include validation
-     */
-    async saveRecord() {
-        try {
-            const formData = new FormData(this.recordForm);
-            const data = Object.fromEntries(formData.entries());
-            
-            // Validate data
-            const validation = this.validateEmployee(data);
-            if (!validation.isValid) {
-                alert('Validation errors:\n' + validation.errors.join('\n'));
-                return;
-            }
-            
-            let response;
-            
-            if (this.currentRecord) {
-                // Update existing record
-                response = await fetch(`${this.apiUrl}/${this.currentRecord.id}`, {
-                    method: 'PUT',
-                    headers: { 'Content-Type': 'application/json' },
-                    body: JSON.stringify({ ...data, id: this.currentRecord.id })
-                });
-            } else {
-                // Create new record
-                response = await fetch(this.apiUrl, {
-                    method: 'POST',
-                    headers: { 'Content-Type': 'application/json' },
-                    body: JSON.stringify(data)
-                });
-            }
-            
-            if (!response.ok) throw new Error('Failed to save employee');
-            
-            this.closeModal();
-            this.loadData();
-            
-        } catch (error) {
-            console.error('Error saving employee:', error);
-            alert('Failed to save employee. Please try again.');
-        }
-    }
 }
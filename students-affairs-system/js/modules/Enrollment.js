@@ -0,0 +1,638 @@
+/**
+ * Enrollment Class - Links students to the courses they are taking
+ * Extends DataTable for reusable functionality
+ *
+ * A student can only be enrolled in a course once they completed its
+ * prerequisites, unless a reason for overriding them is recorded.
+ *
+ * Courses with a capacity take that many enrolled students per term; further
+ * registrations go on the course's waitlist, in the order they came in. When
+ * a seat frees up, the first student on the waitlist is enrolled automatically.
+ * A student cannot take two courses whose classes meet at the same time.
+ *
+ * The attendance rate is calculated from the marks of the course's class
+ * sessions in the term (see ClassSession and recalculateAttendance).
+ */
+
+import { DataTable } from './DataTable.js';
+import { Validator } from './Validator.js';
+import { Grades } from './Grades.js';
+import { Student } from './Student.js';
+import { Course } from './Course.js';
+import { AcademicTerm } from './AcademicTerm.js';
+import { Offering } from './Offering.js';
+import { Toast } from './Toast.js';
+import { Schedule } from './Schedule.js';
+import { Attendance } from './Attendance.js';
+import { DataSource } from './DataSource.js';
+
+// Enrollments that keep a student from taking the course in another term as well
+const IN_PROGRESS = ['Enrolled', 'Waitlisted'];
+
+export class Enrollment extends DataTable {
+    constructor() {
+        // Configuration for enrollments
+        const config = {
+            resource: 'enrollments',
+            entityName: 'Enrollment',
+            expand: ['student', 'course', 'term'],
+            termField: 'termId',
+            columns: [
+                { key: 'id', label: 'ID' },
+                {
+                    key: 'studentId',
+                    label: 'Student',
+                    render: record => record.student ? record.student.name : ''
+                },
+                {
+                    key: 'courseId',
+                    label: 'Course',
+                    render: record => record.course ? `${record.course.code} - ${record.course.name}` : ''
+                },
+                {
+                    key: 'termId',
+                    label: 'Term',
+                    render: record => record.term ? record.term.name : ''
+                },
+                { key: 'enrollmentDate', label: 'Enrollment Date' },
+                {
+                    key: 'status',
+                    label: 'Status',
+                    filter: 'select',
+                    render: record => this.formatStatus(record)
+                },
+                { key: 'grade', label: 'Grade' },
+                {
+                    key: 'attendanceRate',
+                    label: 'Attendance',
+                    filter: 'range',
+                    render: record => Attendance.formatRate(record.attendanceRate)
+                }
+            ],
+            formFields: [
+                {
+                    name: 'studentId',
+                    label: 'Student',
+                    type: 'select',
+                    required: true,
+                    options: []
+                },
+                {
+                    name: 'courseId',
+                    label: 'Course',
+                    type: 'select',
+                    required: true,
+                    options: []
+                },
+                {
+                    name: 'termId',
+                    label: 'Term',
+                    type: 'select',
+                    required: true,
+                    options: []
+                },
+                {
+                    name: 'enrollmentDate',
+                    label: 'Enrollment Date',
+                    type: 'date',
+                    required: true
+                },
+                {
+                    name: 'status',
+                    label: 'Status',
+                    type: 'select',
+                    required: true,
+                    options: [
+                        'Enrolled',
+                        'Waitlisted',
+                        'Completed',
+                        'Dropped'
+                    ]
+                },
+                {
+                    name: 'grade',
+                    label: 'Grade',
+                    type: 'select',
+                    options: Grades.getLetters()
+                },
+                {
+                    // Calculated from the class sessions' attendance marks (see recalculateAttendance)
+                    name: 'attendanceRate',
+                    label: 'Attendance % (calculated)',
+                    type: 'number',
+                    readOnly: true
+                },
+                {
+                    name: 'overrideReason',
+                    label: 'Prerequisite Override Reason',
+                    type: 'textarea',
+                    placeholder: 'Only needed when the student has not completed the prerequisites',
+                    rules: { minLength: 10, maxLength: 500 }
+                }
+            ]
+        };
+        
+        super(config);
+        
+        // Waitlist position per waitlisted enrollment id on the page
+        this.waitlistPositions = new Map();
+    }
+    
+    /**
+     * Initialize enrollment module
+     */
+    async init(state = null) {
+        await this.loadPickerOptions();
+        super.init(state);
+    }
+    
+    /**
+     * Fill the student, course and term pickers from /students, /courses and /terms
+     */
+    async loadPickerOptions() {
+        const [students, courses, terms] = await Promise.all([
+            new Student().getAllStudents(),
+            new Course().getAllCourses(),
+            new AcademicTerm().getAllTerms()
+        ]);
+        
+        // Aliases let CSV imports refer to records by name, email or code
+        this.getFormField('studentId').options = students.map(student => ({
+            value: student.id,
+            label: `${student.name} (#${student.id})`,
+            aliases: [student.name, student.email]
+        }));
+        
+        this.getFormField('courseId').options = courses.map(course => ({
+            value: course.id,
+            label: `${course.code} - ${course.name}`,
+            aliases: [course.code]
+        }));
+        
+        this.getFormField('termId').options = terms.map(term => ({
+            value: term.id,
+            label: term.name,
+            aliases: [term.name]
+        }));
+    }
+    
+    /**
+     * Name an enrollment after its student and course in the change history
+     */
+    getRecordLabel(enrollment) {
+        const student = this.getOptionLabel(this.getFormField('studentId'), enrollment.studentId);
+        const course = this.getOptionLabel(this.getFormField('courseId'), enrollment.courseId);
+        return `${student} → ${course}`;
+    }
+    
+    /**
+     * Get all enrollments
+     */
+    async getAllEnrollments() {
+        try {
+            return await this.repository.findAll({ deleted: false });
+        } catch (error) {
+            console.error('Error fetching all enrollments:', error);
+            return [];
+        }
+    }
+    
+    /**
+     * Get enrollment by ID
+     */
+    async getEnrollmentById(id) {
+        try {
+            return await this.repository.get(id);
+        } catch (error) {
+            console.error('Error fetching enrollment:', error);
+            return null;
+        }
+    }
+    
+    /**
+     * Get every graded enrollment with the course embedded (for GPA calculations)
+     */
+    async getGradedEnrollments() {
+        try {
+            const enrollments = await this.repository.findAll({ deleted: false }, { expand: ['course'] });
+            return enrollments.filter(Grades.isGraded);
+        } catch (error) {
+            console.error('Error fetching graded enrollments:', error);
+            return [];
+        }
+    }
+    
+    /**
+     * Get a student's enrollments with the course and term embedded
+     */
+    async getEnrollmentsByStudent(studentId) {
+        try {
+            return await this.repository.findAll({ deleted: false, studentId }, { expand: ['course', 'term'] });
+        } catch (error) {
+            console.error('Error fetching enrollments by student:', error);
+            return [];
+        }
+    }
+    
+    /**
+     * Get the enrollments of a term
+     */
+    async getEnrollmentsByTerm(termId) {
+        try {
+            return await this.repository.findAll({ deleted: false, termId });
+        } catch (error) {
+            console.error('Error fetching enrollments by term:', error);
+            return [];
+        }
+    }
+    
+    /**
+     * Get a course's enrollments (its roster) with the student embedded
+     */
+    async getEnrollmentsByCourse(courseId) {
+        try {
+            return await this.repository.findAll({ deleted: false, courseId }, { expand: ['student'] });
+        } catch (error) {
+            console.error('Error fetching enrollments by course:', error);
+            return [];
+        }
+    }
+    
+    /**
+     * Check whether a student already takes a course: in the same term (unless
+     * dropped), or in progress in another one. A course completed or failed in
+     * an earlier term can be taken again.
+     */
+    async isAlreadyEnrolled(studentId, courseId, termId, excludeId = null) {
+        const enrollments = await this.getEnrollmentsByStudent(studentId);
+        return enrollments.some(enrollment =>
+            String(enrollment.courseId) === String(courseId) &&
+            enrollment.status !== 'Dropped' &&
+            (String(enrollment.termId) === String(termId) || IN_PROGRESS.includes(enrollment.status)) &&
+            String(enrollment.id) !== String(excludeId)
+        );
+    }
+    
+    /**
+     * Check whether a course is offered in a term (assumed when it cannot be checked, e.g. offline)
+     */
+    async isCourseOffered(termId, courseId) {
+        try {
+            return Boolean(await new Offering().findOffering(termId, courseId));
+        } catch (error) {
+            console.error('Error checking the course offering:', error);
+            return true;
+        }
+    }
+    
+    /**
+     * Whether an enrollment takes one of its course's seats
+     */
+    static holdsSeat(enrollment) {
+        return Boolean(enrollment) && enrollment.status === 'Enrolled';
+    }
+    
+    /**
+     * The enrolled students of a course in a term, and its waitlist in order
+     */
+    async getSeats(courseId, termId) {
+        const enrollments = await this.repository.findAll({ deleted: false, courseId, termId });
+        const waitlist = enrollments
+            .filter(enrollment => enrollment.status === 'Waitlisted')
+            .sort((a, b) => String(a.waitlistedAt || a.updatedAt || '').localeCompare(String(b.waitlistedAt || b.updatedAt || '')) || a.id - b.id);
+        
+        return {
+            enrolled: enrollments.filter(enrollment => enrollment.status === 'Enrolled'),
+            waitlist
+        };
+    }
+    
+    /**
+     * Check whether every seat of a course is taken in a term (not when it cannot be checked, e.g. offline)
+     */
+    async isCourseFull(courseId, termId, excludeId = null) {
+        try {
+            const capacity = Course.getCapacity(await new Course().getCourseById(courseId));
+            if (capacity === null) return false;
+            
+            const { enrolled } = await this.getSeats(courseId, termId);
+            return enrolled.filter(enrollment => String(enrollment.id) !== String(excludeId)).length >= capacity;
+        } catch (error) {
+            console.error('Error checking the course capacity:', error);
+            return false;
+        }
+    }
+    
+    /**
+     * Put a new enrollment in a full course on the waitlist instead
+     */
+    async beforeCreate(data) {
+        if (data.status === 'Enrolled' && await this.isCourseFull(data.courseId, data.termId)) {
+            data.status = 'Waitlisted';
+        }
+        
+        if (data.status === 'Waitlisted' && !data.waitlistedAt) {
+            data.waitlistedAt = new Date().toISOString();
+        }
+        
+        return data;
+    }
+    
+    /**
+     * Enroll the first students on a course's waitlist for a term while it has free seats
+     */
+    async fillSeats(courseId, termId) {
+        try {
+            const capacity = Course.getCapacity(await new Course().getCourseById(courseId));
+            const { enrolled, waitlist } = await this.getSeats(courseId, termId);
+            const free = capacity === null ? waitlist.length : capacity - enrolled.length;
+            
+            // Needed to name the records in the change history
+            if (this.getFormField('studentId').options.length === 0) await this.loadPickerOptions();
+            
+            for (const enrollment of waitlist.slice(0, Math.max(free, 0))) {
+                const updated = await this.repository.patch(enrollment.id, {
+                    status: 'Enrolled',
+                    waitlistedAt: null,
+                    ...this.nextVersion(enrollment)
+                });
+                await this.logChange('update', enrollment, updated);
+                Toast.show(`A seat freed up: ${this.getRecordLabel(updated)} moved from the waitlist to enrolled.`);
+            }
+        } catch (error) {
+            console.error('Error moving students off the waitlist:', error);
+        }
+    }
+    
+    /**
+     * Recalculate the attendance rate of every enrollment in a course in a term from
+     * its class sessions, and name the students who now missed too many of them
+     */
+    async recalculateAttendance(courseId, termId) {
+        try {
+            const [sessions, enrollments] = await Promise.all([
+                DataSource.repository('sessions').findAll({ deleted: false, courseId, termId }),
+                this.repository.findAll({ deleted: false, courseId, termId }, { expand: ['student'] })
+            ]);
+            const flagged = [];
+            
+            for (const { student, ...enrollment } of enrollments) {
+                const attendanceRate = Attendance.summarize(sessions, enrollment.studentId).rate;
+                if (attendanceRate === (enrollment.attendanceRate ?? null)) continue;
+                
+                const saved = await this.repository.patch(enrollment.id, { attendanceRate, ...this.nextVersion(enrollment) });
+                await this.logChange('update', enrollment, saved);
+                
+                if (Attendance.isFlagged(attendanceRate) && !Attendance.isFlagged(enrollment.attendanceRate)) {
+                    flagged.push(student ? student.name : `Student #${enrollment.studentId}`);
+                }
+            }
+            
+            if (flagged.length > 0) {
+                Toast.show(`Follow up: ${flagged.join(', ')} missed more than ${Attendance.getAbsenceLimit()}% of the sessions.`);
+            }
+        } catch (error) {
+            console.error('Error recalculating attendance rates:', error);
+        }
+    }
+    
+    /**
+     * Fill the free seats of a course in every term it has a waitlist in (e.g. after its capacity grew)
+     */
+    async fillWaitlists(courseId) {
+        try {
+            const waitlisted = await this.repository.findAll({ deleted: false, courseId, status: 'Waitlisted' });
+            const termIds = new Set(waitlisted.map(enrollment => String(enrollment.termId)));
+            
+            for (const termId of termIds) {
+                await this.fillSeats(courseId, termId);
+            }
+        } catch (error) {
+            console.error('Error filling the waitlists:', error);
+        }
+    }
+    
+    /**
+     * Find the waitlist position of the waitlisted enrollments shown
+     */
+    async loadRowDetails(enrollments) {
+        this.waitlistPositions.clear();
+        
+        const waitlisted = enrollments.filter(enrollment => enrollment.status === 'Waitlisted');
+        const lists = new Map();
+        
+        for (const enrollment of waitlisted) {
+            const key = `${enrollment.courseId}:${enrollment.termId}`;
+            if (!lists.has(key)) lists.set(key, (await this.getSeats(enrollment.courseId, enrollment.termId)).waitlist);
+            
+            const position = lists.get(key).findIndex(entry => String(entry.id) === String(enrollment.id));
+            if (position !== -1) this.waitlistPositions.set(String(enrollment.id), position + 1);
+        }
+    }
+    
+    /**
+     * Status column: waitlisted enrollments show their place in line
+     */
+    formatStatus(enrollment) {
+        const position = this.waitlistPositions.get(String(enrollment.id));
+        return enrollment.status === 'Waitlisted' && position ? `Waitlisted (#${position})` : enrollment.status;
+    }
+    
+    /**
+     * Whether saving an edited enrollment as Enrolled takes a seat it did not hold before
+     */
+    async takesNewSeat(data, id) {
+        if (data.status !== 'Enrolled' || !id) return false;
+        
+        const before = await this.getEnrollmentById(id);
+        // A deleted enrollment being restored gave its seat up
+        return !Enrollment.holdsSeat(before) || before.deleted ||
+            String(before.courseId) !== String(data.courseId) ||
+            String(before.termId) !== String(data.termId);
+    }
+    
+    /**
+     * Prerequisite codes of a course the student has not completed (with a passing grade)
+     */
+    async getMissingPrerequisites(studentId, courseId) {
+        try {
+            const course = await new Course().getCourseById(courseId);
+            const prerequisites = Course.getPrerequisites(course);
+            if (prerequisites.length === 0) return [];
+            
+            const enrollments = await this.getEnrollmentsByStudent(studentId);
+            const passed = new Set(enrollments
+                .filter(enrollment => enrollment.status === 'Completed' && enrollment.grade !== 'F' && enrollment.course)
+                .map(enrollment => enrollment.course.code));
+            
+            return prerequisites.filter(code => !passed.has(code));
+        } catch (error) {
+            // Cannot be checked (e.g. offline): assume they are met
+            console.error('Error checking prerequisites:', error);
+            return [];
+        }
+    }
+    
+    /**
+     * Prerequisites are checked when a student is put in a course: for new
+     * enrollments and when the student or course of one changes
+     */
+    async needsPrerequisiteCheck(data, id = null) {
+        if (data.status === 'Dropped' || String(data.overrideReason || '').trim() !== '') return false;
+        if (!id) return true;
+        
+        const before = await this.getEnrollmentById(id);
+        return !before ||
+            String(before.studentId) !== String(data.studentId) ||
+            String(before.courseId) !== String(data.courseId);
+    }
+    
+    /**
+     * The timetable is checked when a student is put in a course (new enrollments,
+     * a changed student, course or term) or takes a dropped course up again
+     */
+    async needsClashCheck(data, id = null) {
+        if (data.status === 'Dropped') return false;
+        if (!id) return true;
+        
+        const before = await this.getEnrollmentById(id);
+        return !before || before.status === 'Dropped' ||
+            String(before.studentId) !== String(data.studentId) ||
+            String(before.courseId) !== String(data.courseId) ||
+            String(before.termId) !== String(data.termId);
+    }
+    
+    /**
+     * Find another course the student takes in the term whose classes meet at the
+     * same time as this one's, as "CS101 (Sun, Tue 09:00–10:30)", or null
+     */
+    async findTimetableClash(data, id = null) {
+        try {
+            const offerings = await new Offering().getOfferingsByTerm(data.termId);
+            const offering = offerings.find(entry => String(entry.courseId) === String(data.courseId));
+            if (!Schedule.hasMeeting(offering)) return null;
+            
+            const enrollments = await this.repository.findAll({ deleted: false, studentId: data.studentId, termId: data.termId });
+            const clash = enrollments
+                .filter(enrollment =>
+                    enrollment.status !== 'Dropped' &&
+                    String(enrollment.id) !== String(id) &&
+                    String(enrollment.courseId) !== String(data.courseId))
+                .map(enrollment => offerings.find(entry => String(entry.courseId) === String(enrollment.courseId)))
+                .find(other => other && Schedule.overlaps(offering, other));
+            
+            return clash ? `${clash.course ? clash.course.code : `Course #${clash.courseId}`} (${Schedule.format(clash)})` : null;
+        } catch (error) {
+            // Cannot be checked (e.g. offline): assume there is no clash
+            console.error('Error checking the timetable:', error);
+            return null;
+        }
+    }
+    
+    /**
+     * Validate the fields, then check that only completed enrollments are graded,
+     * that the course is offered in the term, that the student is not already in it,
+     * has completed its prerequisites (or an override reason is given), has no other
+     * class at the same time, and that an edit does not enroll the student in a full
+     * course (new ones are waitlisted instead)
+     */
+    async validateRecord(data, id = null) {
+        const validation = await super.validateRecord(data, id);
+        
+        if (validation.isValid && data.grade && data.status !== 'Completed') {
+            return Validator.result({ grade: 'Only completed enrollments can have a grade' });
+        }
+        
+        if (validation.isValid && !await this.isCourseOffered(data.termId, data.courseId)) {
+            return Validator.result({ courseId: 'This course is not offered in the selected term' });
+        }
+        
+        if (validation.isValid && data.status !== 'Dropped' && await this.isAlreadyEnrolled(data.studentId, data.courseId, data.termId, id)) {
+            return Validator.result({ courseId: 'This student is already enrolled in the selected course' });
+        }
+        
+        if (validation.isValid && await this.needsPrerequisiteCheck(data, id)) {
+            const missing = await this.getMissingPrerequisites(data.studentId, data.courseId);
+            if (missing.length > 0) {
+                return Validator.result({
+                    overrideReason: `The student has not completed ${missing.join(', ')}. Enter a reason to override the prerequisites.`
+                });
+            }
+        }
+        
+        if (validation.isValid && await this.needsClashCheck(data, id)) {
+            const clash = await this.findTimetableClash(data, id);
+            if (clash) {
+                return Validator.result({ courseId: `This course meets at the same time as ${clash}, which the student takes this term` });
+            }
+        }
+        
+        if (validation.isValid && await this.takesNewSeat(data, id) && await this.isCourseFull(data.courseId, data.termId, id)) {
+            return Validator.result({ status: 'The course is full in this term. Keep the student on the waitlist until a seat frees up.' });
+        }
+        
+        return validation;
+    }
+    
+    /**
+     * Store references as numbers so they match the referenced ids,
+     * the grade's points next to its letter, no empty override reason,
+     * a waitlist time only while waitlisted, and the attendance rate as calculated
+     */
+    prepareRecord(data) {
+        data.studentId = parseInt(data.studentId);
+        data.courseId = parseInt(data.courseId);
+        data.termId = parseInt(data.termId);
+        data.grade = data.grade || null;
+        data.gradePoints = Grades.pointsFor(data.grade);
+        data.overrideReason = String(data.overrideReason || '').trim() || null;
+        if (data.status !== 'Waitlisted') data.waitlistedAt = null;
+        // Calculated from the attendance marks: the form's copy is never saved
+        data.attendanceRate = this.currentRecord ? this.currentRecord.attendanceRate ?? null : null;
+        return data;
+    }
+    
+    /**
+     * Recalculate the GPA of the student(s) whose enrollment changed, give a seat
+     * that was freed (e.g. by a drop) to the first student on the waitlist, warn
+     * when a student taking a seat makes the class too big for its room, and take
+     * the attendance rate of an enrollment moved to another course or term from there
+     */
+    async afterChange(action, before, after) {
+        const studentIds = new Set([before, after].filter(Boolean).map(enrollment => String(enrollment.studentId)));
+        const student = new Student();
+        
+        for (const studentId of studentIds) {
+            await student.recalculateGpa(studentId);
+        }
+        
+        if (action === 'create' && after.status === 'Waitlisted') {
+            const { waitlist } = await this.getSeats(after.courseId, after.termId);
+            const position = waitlist.findIndex(enrollment => String(enrollment.id) === String(after.id)) + 1;
+            Toast.show(`The course is full: ${this.getRecordLabel(after)} was put on the waitlist${position ? ` (#${position})` : ''}.`);
+        }
+        
+        const seatFreed = Enrollment.holdsSeat(before) && (
+            !Enrollment.holdsSeat(after) ||
+            String(before.courseId) !== String(after.courseId) ||
+            String(before.termId) !== String(after.termId)
+        );
+        if (seatFreed) await this.fillSeats(before.courseId, before.termId);
+        
+        const seatTaken = Enrollment.holdsSeat(after) && (
+            !Enrollment.holdsSeat(before) ||
+            String(before.courseId) !== String(after.courseId) ||
+            String(before.termId) !== String(after.termId)
+        );
+        if (seatTaken) {
+            const warning = await new Offering().getRoomCapacityWarning(after.termId, after.courseId);
+            if (warning) Toast.show(warning);
+        }
+        
+        const moved = before && after && (
+            String(before.courseId) !== String(after.courseId) ||
+            String(before.termId) !== String(after.termId)
+        );
+        if (moved) await this.recalculateAttendance(after.courseId, after.termId);
+    }
+}
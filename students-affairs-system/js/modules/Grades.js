@@ -0,0 +1,127 @@
+/**
+ * Grades Class - Letter grades, grade points and GPA calculation
+ *
+ * GPA = sum(points × course credits) / sum(course credits), over the
+ * enrollments that have a grade and were not dropped. Enrollments are
+ * grouped by their academic term (see AcademicTerm); ones without a term
+ * fall back to their enrollment date:
+ *   January - May: Spring, June - August: Summer, September - December: Fall
+ * Either way a term is keyed by the date it starts on ('YYYY-MM-DD'), so
+ * terms sort in calendar order.
+ */
+
+// Points of each letter grade on the 4.0 scale
+const GRADE_POINTS = {
+    'A': 4.0,
+    'A-': 3.7,
+    'B+': 3.3,
+    'B': 3.0,
+    'B-': 2.7,
+    'C+': 2.3,
+    'C': 2.0,
+    'C-': 1.7,
+    'D+': 1.3,
+    'D': 1.0,
+    'F': 0.0
+};
+
+const SEASONS = ['Spring', 'Summer', 'Fall'];
+
+// Month each season starts in
+const SEASON_STARTS = ['01', '06', '09'];
+
+export class Grades {
+    /**
+     * Letter grades from best to worst
+     */
+    static getLetters() {
+        return Object.keys(GRADE_POINTS);
+    }
+    
+    /**
+     * Grade points of a letter grade, or null when there is no grade
+     */
+    static pointsFor(letter) {
+        return letter in GRADE_POINTS ? GRADE_POINTS[letter] : null;
+    }
+    
+    /**
+     * GPA as shown, e.g. "3.70", or "-" when there is none
+     */
+    static formatGpa(gpa) {
+        return gpa === null || gpa === undefined ? '-' : gpa.toFixed(2);
+    }
+    
+    /**
+     * Term of a 'YYYY-MM-DD' date, keyed by the first day of its season,
+     * e.g. { key: '2023-09-01', label: 'Fall 2023' }
+     */
+    static termOf(date) {
+        const [year, month] = String(date).split('-').map(Number);
+        const season = month <= 5 ? 0 : (month <= 8 ? 1 : 2);
+        return { key: `${year}-${SEASON_STARTS[season]}-01`, label: `${SEASONS[season]} ${year}` };
+    }
+    
+    /**
+     * Term of an enrollment: its embedded academic term, else the term of its enrollment date
+     */
+    static termOfEnrollment(enrollment) {
+        if (enrollment.term) {
+            return { key: enrollment.term.startDate, label: enrollment.term.name };
+        }
+        return Grades.termOf(enrollment.enrollmentDate);
+    }
+    
+    /**
+     * Check if an enrollment counts towards the GPA
+     */
+    static isGraded(enrollment) {
+        return enrollment.status !== 'Dropped' && Grades.pointsFor(enrollment.grade) !== null;
+    }
+    
+    /**
+     * Credit-weighted GPA of some enrollments (with their course embedded),
+     * rounded to two decimals; null when none of them is graded
+     */
+    static calculateGpa(enrollments) {
+        let credits = 0;
+        let points = 0;
+        
+        enrollments.filter(Grades.isGraded).forEach(enrollment => {
+            const courseCredits = Number(enrollment.course && enrollment.course.credits) || 0;
+            credits += courseCredits;
+            points += Grades.pointsFor(enrollment.grade) * courseCredits;
+        });
+        
+        return credits > 0 ? Math.round((points / credits) * 100) / 100 : null;
+    }
+    
+    /**
+     * Term-by-term results of one student's enrollments (with their course and term embedded):
+     * [{ term, credits, gpa, cumulativeGpa }] in calendar order
+     */
+    static getTermResults(enrollments) {
+        const terms = new Map();
+        
+        enrollments.filter(Grades.isGraded).forEach(enrollment => {
+            const term = Grades.termOfEnrollment(enrollment);
+            if (!terms.has(term.key)) terms.set(term.key, { term: term.label, enrollments: [] });
+            terms.get(term.key).enrollments.push(enrollment);
+        });
+        
+        const completed = [];
+        
+        return Array.from(terms.keys()).sort().map(key => {
+            const term = terms.get(key);
+            completed.push(...term.enrollments);
+            
+            return {
+                key,
+                term: term.term,
+                credits: term.enrollments.reduce((sum, enrollment) => sum + (Number(enrollment.course && enrollment.course.credits) || 0), 0),
+                gpa: Grades.calculateGpa(term.enrollments),
+                cumulativeGpa: Grades.calculateGpa(completed)
+            };
+        });
+    }
+}
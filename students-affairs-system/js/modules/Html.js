@@ -0,0 +1,19 @@
+/**
+ * Html Class - Small helpers for building HTML strings safely
+ */
+
+export class Html {
+    /**
+     * Escape text so it can be inserted into innerHTML
+     */
+    static escape(value) {
+        if (value === null || value === undefined) return '';
+        
+        return String(value)
+            .replace(/&/g, '&amp;')
+            .replace(/</g, '&lt;')
+            .replace(/>/g, '&gt;')
+            .replace(/"/g, '&quot;')
+            .replace(/'/g, '&#39;');
+    }
+}
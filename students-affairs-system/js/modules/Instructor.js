@@ -4,12 +4,15 @@
  */
 
 import { DataTable } from './DataTable.js';
+import { Course } from './Course.js';
+import { Offering } from './Offering.js';
+import { Html } from './Html.js';
 
 export class Instructor extends DataTable {
     constructor() {
         // Configuration for instructors
         const config = {
-            apiUrl: 'http://localhost:3000/instructors',
+            resource: 'instructors',
             entityName: 'Instructor',
             columns: [
                 { key: 'id', label: 'ID' },
@@ -17,7 +20,7 @@ export class Instructor extends DataTable {
                 { key: 'email', label: 'Email' },
                 { key: 'phone', label: 'Phone' },
                 { key: 'department', label: 'Department' },
-                { key: 'specialization', label: 'Specialization' },
+                { key: 'specialization', label: 'Specialization', filter: 'text' },
                 { key: 'hireDate', label: 'Hire Date' }
             ],
             formFields: [
@@ -25,7 +28,11 @@ export class Instructor extends DataTable {
                     name: 'name',
                     label: 'Full Name',
                     type: 'text',
-                    required: true
+                    required: true,
+                    rules: {
+                        minLength: 5,
+                        messages: { minLength: 'Name must be at least 5 characters long (include title: Dr., Prof., etc.)' }
+                    }
                 },
                 {
                     name: 'email',
@@ -37,7 +44,11 @@ export class Instructor extends DataTable {
                     name: 'phone',
                     label: 'Phone Number',
                     type: 'tel',
-                    required: true
+                    required: true,
+                    rules: {
+                        minLength: 10,
+                        messages: { minLength: 'Please enter a valid phone number' }
+                    }
                 },
                 {
                     name: 'department',
@@ -61,25 +72,42 @@ export class Instructor extends DataTable {
                     name: 'specialization',
                     label: 'Specialization',
                     type: 'text',
-                    required: true
+                    required: true,
+                    rules: { minLength: 3 }
                 },
                 {
                     name: 'hireDate',
                     label: 'Hire Date',
                     type: 'date',
-                    required: true
+                    required: true,
+                    rules: {
+                        minDate: '2000-01-01',
+                        maxDate: 'today',
+                        messages: { minDate: 'Hire date seems too old (before 2000)' }
+                    }
                 }
             ]
         };
         
         super(config);
+        
+        this.teachingLoadLink = document.getElementById('teachingLoadLink');
     }
     
     /**
      * Initialize instructor module
      */
-    init() {
-        this.loadData();
+    init(state = null) {
+        this.teachingLoadLink.style.display = '';
+        super.init(state);
+    }
+    
+    /**
+     * Hide the Teaching Load link again when leaving the page
+     */
+    destroy() {
+        this.teachingLoadLink.style.display = 'none';
+        super.destroy();
     }
     
     /**
@@ -87,9 +115,7 @@ export class Instructor extends DataTable {
      */
     async getAllInstructors() {
         try {
-            const response = await fetch(this.apiUrl);
-            if (!response.ok) throw new Error('Failed to fetch instructors');
-            return await response.json();
+            return await this.repository.findAll({ deleted: false });
         } catch (error) {
             console.error('Error fetching all instructors:', error);
             return [];
@@ -101,9 +127,7 @@ export class Instructor extends DataTable {
      */
     async getInstructorById(id) {
         try {
-            const response = await fetch(`${this.apiUrl}/${id}`);
-            if (!response.ok) throw new Error('Failed to fetch instructor');
-            return await response.json();
+            return await this.repository.get(id);
         } catch (error) {
             console.error('Error fetching instructor:', error);
             return null;
@@ -115,9 +139,7 @@ export class Instructor extends DataTable {
      */
     async searchInstructors(query) {
         try {
-            const response = await fetch(`${this.apiUrl}?q=${encodeURIComponent(query)}`);
-            if (!response.ok) throw new Error('Failed to search instructors');
-            return await response.json();
+            return await this.repository.findAll({ deleted: false }, { q: query });
         } catch (error) {
             console.error('Error searching instructors:', error);
             return [];
@@ -129,9 +151,7 @@ export class Instructor extends DataTable {
      */
     async filterByDepartment(department) {
         try {
-            const response = await fetch(`${this.apiUrl}?department=${encodeURIComponent(department)}`);
-            if (!response.ok) throw new Error('Failed to filter instructors');
-            return await response.json();
+            return await this.repository.findAll({ deleted: false, department });
         } catch (error) {
             console.error('Error filtering instructors:', error);
             return [];
@@ -143,9 +163,7 @@ export class Instructor extends DataTable {
      */
     async filterBySpecialization(specialization) {
         try {
-            const response = await fetch(`${this.apiUrl}?specialization=${encodeURIComponent(specialization)}`);
-            if (!response.ok) throw new Error('Failed to filter instructors');
-            return await response.json();
+            return await this.repository.findAll({ deleted: false, specialization });
         } catch (error) {
             console.error('Error filtering instructors by specialization:', error);
             return [];
@@ -157,9 +175,7 @@ export class Instructor extends DataTable {
      */
     async getInstructorsHiredAfter(date) {
         try {
-            const response = await fetch(`${this.apiUrl}?hireDate_gte=${date}&_sort=hireDate&_order=desc`);
-            if (!response.ok) throw new Error('Failed to fetch instructors');
-            return await response.json();
+            return await this.repository.findAll({ deleted: false, hireDate_gte: date }, { sort: 'hireDate', order: 'desc' });
         } catch (error) {
             console.error('Error fetching instructors by hire date:', error);
             return [];
@@ -171,9 +187,7 @@ export class Instructor extends DataTable {
      */
     async getSeniorInstructors() {
         try {
-            const response = await fetch(`${this.apiUrl}?hireDate_lte=2018-01-01&_sort=hireDate&_order=asc`);
-            if (!response.ok) throw new Error('Failed to fetch senior instructors');
-            return await response.json();
+            return await this.repository.findAll({ deleted: false, hireDate_lte: '2018-01-01' }, { sort: 'hireDate', order: 'asc' });
         } catch (error) {
             console.error('Error fetching senior instructors:', error);
             return [];
@@ -196,105 +210,48 @@ export class Instructor extends DataTable {
     }
     
     /**
-     * Validate instructor data before saving
+     * Detail drawer: the courses this instructor teaches
      */
-    validateInstructor(data) {
-        const errors = [];
-        
-        // Name validation (should include title like Dr.)
-        if (!data.name || data.name.trim().length < 5) {
-            errors.push('Name must be at least 5 characters long (include title: Dr., Prof., etc.)');
-        }
+    async getRelatedSections(instructor) {
+        const courses = await new Course().filterByInstructor(instructor.id);
         
-        // Email validation
-        const emailRegex = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
-        if (!data.email || !emailRegex.test(data.email)) {
-            errors.push('Please enter a valid email address');
+        if (courses.length === 0) {
+            return [{ title: 'Courses Taught', html: '<p class="info-empty">Not assigned to any course yet.</p>' }];
         }
         
-        // University email check (optional but recommended)
-        if (data.email && !data.email.includes('university.edu') && !data.email.includes('.edu')) {
-            console.warn('Email does not appear to be a university email');
-        }
+        const credits = courses.reduce((sum, course) => sum + (parseInt(course.credits) || 0), 0);
+        let html = '<table class="info-table"><thead><tr><th>Code</th><th>Course</th><th>Credits</th></tr></thead><tbody>';
+        courses.forEach(course => {
+            html += `<tr>
+                <td>${Html.escape(course.code)}</td>
+                <td>${Html.escape(course.name)}</td>
+                <td>${Html.escape(course.credits)}</td>
+            </tr>`;
+        });
+        html += '</tbody></table>';
         
-        // Phone validation (basic)
-        if (!data.phone || data.phone.trim().length < 10) {
-            errors.push('Please enter a valid phone number');
-        }
-        
-        // Department validation
-        if (!data.department || data.department.trim() === '') {
-            errors.push('Please select a department');
-        }
-        
-        // Specialization validation
-        if (!data.specialization || data.specialization.trim().length < 3) {
-            errors.push('Specialization must be at least 3 characters long');
-        }
-        
-        // Hire date validation
-        if (!data.hireDate) {
-            errors.push('Please enter hire date');
-        } else {
-            const hireDate = new Date(data.hireDate);
-            const today = new Date();
-            const minDate = new Date('2000-01-01');
-            
-            if (hireDate > today) {
-                errors.push('Hire date cannot be in the future');
-            }
-            if (hireDate < minDate) {
-                errors.push('Hire date seems too old (before 2000)');
-            }
-        }
-        
-        return {
-            isValid: errors.length === 0,
-            errors: errors
-        };
+        return [{ title: `Courses Taught (${courses.length} courses, ${credits} credits)`, html }];
     }
     
     /**
-     * Override saveRecord to include validation
+     * Prevent deleting an instructor who is still assigned to courses or offerings
      */
-    async saveRecord() {
-        try {
-            const formData = new FormData(this.recordForm);
-            const data = Object.fromEntries(formData.entries());
-            
-            // Validate data
-            const validation = this.validateInstructor(data);
-            if (!validation.isValid) {
-                alert('Validation errors:\n' + validation.errors.join('\n'));
-                return;
-            }
-            
-            let response;
-            
-            if (this.currentRecord) {
-                // Update existing record
-                response = await fetch(`${this.apiUrl}/${this.currentRecord.id}`, {
-                    method: 'PUT',
-                    headers: { 'Content-Type': 'application/json' },
-                    body: JSON.stringify({ ...data, id: this.currentRecord.id })
-                });
-            } else {
-                // Create new record
-                response = await fetch(this.apiUrl, {
-                    method: 'POST',
-                    headers: { 'Content-Type': 'application/json' },
-                    body: JSON.stringify(data)
-                });
-            }
-            
-            if (!response.ok) throw new Error('Failed to save instructor');
-            
-            this.closeModal();
-            this.loadData();
-            
-        } catch (error) {
-            console.error('Error saving instructor:', error);
-            alert('Failed to save instructor. Please try again.');
+    async getDeleteBlocker(id) {
+        const [courses, offerings] = await Promise.all([
+            new Course().filterByInstructor(id),
+            new Offering().getOfferingsByInstructor(id)
+        ]);
+        
+        if (courses.length > 0) {
+            const codes = courses.map(course => course.code).join(', ');
+            return `This instructor still teaches ${codes}. Reassign these courses before deleting.`;
         }
+        
+        if (offerings.length > 0) {
+            const names = offerings.map(offering => `${offering.course ? offering.course.code : '?'} (${offering.term ? offering.term.name : '?'})`).join(', ');
+            return `This instructor still teaches ${names}. Reassign these offerings before deleting.`;
+        }
+        
+        return null;
     }
 }
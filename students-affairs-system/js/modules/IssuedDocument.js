@@ -0,0 +1,122 @@
+/**
+ * IssuedDocument Class - Register of the transcripts and enrollment
+ * certificates issued to students, kept in /documents
+ * Extends DataTable for reusable functionality
+ *
+ * Entries are only ever added (see issue), each with its reference number and
+ * the data the document was printed from, so it can be printed again exactly
+ * as issued. The server numbers each document, records the logged-in user as
+ * the issuer and refuses changes.
+ */
+
+import { DataTable } from './DataTable.js';
+import { Documents } from './Documents.js';
+import { Audit } from './Audit.js';
+import { Config } from './Config.js';
+
+export class IssuedDocument extends DataTable {
+    constructor() {
+        // Configuration for the register
+        const config = {
+            resource: 'documents',
+            entityName: 'Issued Document',
+            readOnly: true,
+            expand: ['student'],
+            defaultSort: { column: 'issuedAt', order: 'desc' },
+            rowActions: [
+                { action: 'print', label: 'Print Copy' }
+            ],
+            columns: [
+                { key: 'reference', label: 'Reference', filter: 'text' },
+                { key: 'date', label: 'Issued', filter: 'dateRange' },
+                {
+                    key: 'type',
+                    label: 'Document',
+                    filter: 'select',
+                    options: Documents.getTypes()
+                },
+                {
+                    key: 'studentId',
+                    label: 'Student',
+                    filter: 'exact',
+                    render: entry => entry.student ? entry.student.name : entry.studentName
+                },
+                { key: 'addressedTo', label: 'Addressed To' },
+                { key: 'issuedBy', label: 'Issued By', filter: 'text' }
+            ],
+            formFields: []
+        };
+        
+        super(config);
+    }
+    
+    /**
+     * Initialize the register
+     */
+    init(state = null) {
+        super.init(state);
+    }
+    
+    /**
+     * Get the documents issued to a student, newest first
+     */
+    async getDocumentsByStudent(studentId) {
+        try {
+            return await this.repository.findAll({ studentId }, { sort: 'issuedAt', order: 'desc' });
+        } catch (error) {
+            console.error('Error fetching issued documents:', error);
+            return [];
+        }
+    }
+    
+    /**
+     * Add a document to the register with the data it is printed from (see
+     * Documents.snapshot). The server gives it the next reference number of its
+     * type; without a server it is numbered here.
+     */
+    async issue(type, snapshot, addressedTo = null) {
+        const now = new Date();
+        const month = String(now.getMonth() + 1).padStart(2, '0');
+        const day = String(now.getDate()).padStart(2, '0');
+        const entry = {
+            type,
+            studentId: snapshot.student.id,
+            studentName: snapshot.student.name,
+            addressedTo,
+            issuedAt: now.toISOString(),
+            date: `${now.getFullYear()}-${month}-${day}`,
+            issuedBy: Audit.getActor(),
+            snapshot
+        };
+        
+        if (Config.isLocal()) {
+            const issued = await this.repository.findAll({ type });
+            entry.reference = Documents.nextReference(type, now.getFullYear(), issued.map(item => item.reference));
+        }
+        
+        return this.repository.create(entry);
+    }
+    
+    /**
+     * Print a document, telling the user when the browser blocked the print window
+     */
+    print(entry) {
+        if (!Documents.print(`${entry.reference} - ${entry.studentName}`, Documents.render(entry))) {
+            alert(`Your browser blocked the print window. Allow pop-ups for this site, then print ${entry.reference} again from Issued Documents.`);
+        }
+    }
+    
+    /**
+     * Handle row actions
+     */
+    async handleRowAction(action, id) {
+        if (action !== 'print') return;
+        
+        try {
+            this.print(await this.repository.get(id));
+        } catch (error) {
+            console.error('Error printing the document:', error);
+            alert('Could not load the document. Please try again.');
+        }
+    }
+}
@@ -0,0 +1,227 @@
+/**
+ * LocalStorageAdapter Class - Repository adapter that keeps the whole
+ * database in this browser's localStorage, for a standalone demo without a server
+ *
+ * The first visit copies data/db.json (when it can be loaded) as sample data.
+ * Queries behave like json-server's: equality filters compare as text, `q`
+ * searches every text field, deleting a record deletes the records that
+ * reference it (e.g. a course's enrollments), and new records get the next number id.
+ */
+
+const STORAGE_KEY = 'studentsAffairsDb';
+const SEED_URL = new URL('../../data/db.json', import.meta.url);
+const RESOURCES = ['students', 'courses', 'instructors', 'employees', 'enrollments', 'terms', 'offerings', 'rooms', 'bookings', 'sessions', 'documents', 'auditLog'];
+const OPERATOR = /_(gte|lte|ne|like)$/;
+
+let dbPromise = null;
+
+export class LocalStorageAdapter {
+    /**
+     * Load (once) the stored database, seeding it on the first visit
+     */
+    static loadDb() {
+        if (!dbPromise) {
+            dbPromise = (async () => {
+                const stored = localStorage.getItem(STORAGE_KEY);
+                if (stored) return JSON.parse(stored);
+                
+                let db = {};
+                try {
+                    const response = await fetch(SEED_URL);
+                    if (!response.ok) throw new Error(`HTTP error! status: ${response.status}`);
+                    db = await response.json();
+                } catch (error) {
+                    console.warn('Sample data could not be loaded, starting empty:', error);
+                }
+                
+                RESOURCES.forEach(resource => {
+                    if (!Array.isArray(db[resource])) db[resource] = [];
+                });
+                localStorage.setItem(STORAGE_KEY, JSON.stringify(db));
+                return db;
+            })();
+        }
+        return dbPromise;
+    }
+    
+    /**
+     * Write the database back to localStorage
+     */
+    static saveDb(db) {
+        localStorage.setItem(STORAGE_KEY, JSON.stringify(db));
+    }
+    
+    /**
+     * Copy a record so callers cannot change the stored one
+     */
+    static copy(record) {
+        return JSON.parse(JSON.stringify(record));
+    }
+    
+    /**
+     * Throw an Error like a failed HTTP response would
+     */
+    static notFound(resource, id) {
+        const error = new Error(`${resource} #${id} not found`);
+        error.status = 404;
+        throw error;
+    }
+    
+    /**
+     * Get the records of a resource (created when first written)
+     */
+    async collection(resource) {
+        const db = await LocalStorageAdapter.loadDb();
+        if (!db[resource]) db[resource] = [];
+        return db[resource];
+    }
+    
+    /**
+     * Check if a record matches one filter parameter (e.g. 'gpa_gte': '3')
+     */
+    matchesFilter(record, param, value) {
+        const operator = (param.match(OPERATOR) || [])[1];
+        const field = param.replace(OPERATOR, '');
+        const recordValue = record[field];
+        
+        if (recordValue === undefined || recordValue === null) return false;
+        
+        const results = [].concat(value).map(item => {
+            if (operator === 'gte') return item <= recordValue;
+            if (operator === 'lte') return item >= recordValue;
+            if (operator === 'ne') return String(item) !== String(recordValue);
+            if (operator === 'like') return new RegExp(item, 'i').test(String(recordValue));
+            return String(item) === String(recordValue);
+        });
+        
+        return operator === 'ne' ? results.every(Boolean) : results.some(Boolean);
+    }
+    
+    /**
+     * Check if any text inside a value contains the search text
+     */
+    containsText(value, text) {
+        if (typeof value === 'string') return value.toLowerCase().includes(text);
+        if (value && typeof value === 'object') return Object.values(value).some(item => this.containsText(item, text));
+        return false;
+    }
+    
+    /**
+     * Embed the records referenced by `<name>Id` as `<name>`
+     */
+    async expandRecord(record, expand) {
+        for (const name of expand) {
+            const referenced = (await this.collection(`${name}s`)).find(item => String(item.id) === String(record[`${name}Id`]));
+            if (referenced) record[name] = LocalStorageAdapter.copy(referenced);
+        }
+        return record;
+    }
+    
+    /**
+     * Get the records matching a query
+     */
+    async list(resource, { filters = {}, q = '', sort = null, order = 'asc', page = null, limit = null, expand = [] } = {}) {
+        let records = await this.collection(resource);
+        
+        if (q) {
+            const text = q.toLowerCase();
+            records = records.filter(record => this.containsText(record, text));
+        }
+        
+        Object.entries(filters).forEach(([param, value]) => {
+            // Like json-server, equality filters on a field no record has are ignored
+            if (!OPERATOR.test(param) && !records.some(record => param in record)) return;
+            records = records.filter(record => this.matchesFilter(record, param, value));
+        });
+        
+        if (sort) {
+            const direction = order === 'desc' ? -1 : 1;
+            records = [...records].sort((a, b) => {
+                if (a[sort] === b[sort]) return 0;
+                if (a[sort] === undefined || a[sort] === null) return 1;
+                if (b[sort] === undefined || b[sort] === null) return -1;
+                return (a[sort] < b[sort] ? -1 : 1) * direction;
+            });
+        }
+        
+        const totalCount = records.length;
+        if (page !== null && limit !== null) {
+            records = records.slice((page - 1) * limit, page * limit);
+        }
+        
+        const data = [];
+        for (const record of records) {
+            data.push(await this.expandRecord(LocalStorageAdapter.copy(record), expand));
+        }
+        
+        return { data, totalCount, cachedAt: null };
+    }
+    
+    /**
+     * Get a record, or null when there is none with this id
+     */
+    async get(resource, id, { expand = [] } = {}) {
+        const record = (await this.collection(resource)).find(item => String(item.id) === String(id));
+        return record ? this.expandRecord(LocalStorageAdapter.copy(record), expand) : null;
+    }
+    
+    /**
+     * Create a record with the next free number id (unless it brings its own)
+     */
+    async create(resource, record) {
+        const records = await this.collection(resource);
+        const ids = records.map(item => Number(item.id)).filter(Number.isFinite);
+        const saved = { ...LocalStorageAdapter.copy(record), id: record.id ?? (ids.length > 0 ? Math.max(...ids) + 1 : 1) };
+        
+        records.push(saved);
+        LocalStorageAdapter.saveDb(await LocalStorageAdapter.loadDb());
+        return LocalStorageAdapter.copy(saved);
+    }
+    
+    /**
+     * Replace a record
+     */
+    async update(resource, id, record) {
+        const records = await this.collection(resource);
+        const index = records.findIndex(item => String(item.id) === String(id));
+        if (index === -1) LocalStorageAdapter.notFound(resource, id);
+        
+        records[index] = { ...LocalStorageAdapter.copy(record), id: records[index].id };
+        LocalStorageAdapter.saveDb(await LocalStorageAdapter.loadDb());
+        return LocalStorageAdapter.copy(records[index]);
+    }
+    
+    /**
+     * Change some fields of a record
+     */
+    async patch(resource, id, changes) {
+        const records = await this.collection(resource);
+        const index = records.findIndex(item => String(item.id) === String(id));
+        if (index === -1) LocalStorageAdapter.notFound(resource, id);
+        
+        records[index] = { ...records[index], ...LocalStorageAdapter.copy(changes), id: records[index].id };
+        LocalStorageAdapter.saveDb(await LocalStorageAdapter.loadDb());
+        return LocalStorageAdapter.copy(records[index]);
+    }
+    
+    /**
+     * Delete a record and the records that reference it (`<singular>Id`)
+     */
+    async remove(resource, id) {
+        const db = await LocalStorageAdapter.loadDb();
+        const records = await this.collection(resource);
+        const index = records.findIndex(item => String(item.id) === String(id));
+        if (index === -1) LocalStorageAdapter.notFound(resource, id);
+        
+        records.splice(index, 1);
+        
+        const reference = `${resource.replace(/s$/, '')}Id`;
+        Object.keys(db).forEach(name => {
+            if (Array.isArray(db[name])) {
+                db[name] = db[name].filter(item => String(item[reference]) !== String(id));
+            }
+        });
+        
+        LocalStorageAdapter.saveDb(db);
+    }
+}
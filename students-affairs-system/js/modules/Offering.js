@@ -0,0 +1,444 @@
+/**
+ * Offering Class - Courses given in an academic term, and who teaches them
+ * Extends DataTable for reusable functionality
+ *
+ * A course can be offered once per term; students enroll in a course
+ * for a term in which it is offered. An offering (the course's section in
+ * that term) can meet at set days and times in a room (see Schedule):
+ * its instructor, its room and its students cannot be in two places at once,
+ * and its room cannot be booked (see RoomBooking) while the class meets.
+ */
+
+import { DataTable } from './DataTable.js';
+import { Validator } from './Validator.js';
+import { DataSource } from './DataSource.js';
+import { AcademicTerm } from './AcademicTerm.js';
+import { Course } from './Course.js';
+import { Instructor } from './Instructor.js';
+import { Schedule } from './Schedule.js';
+import { Room } from './Room.js';
+import { Toast } from './Toast.js';
+import { TeachingLoad } from './TeachingLoad.js';
+import { Attendance } from './Attendance.js';
+import { Auth } from './Auth.js';
+import { Html } from './Html.js';
+
+export class Offering extends DataTable {
+    constructor() {
+        // Configuration for offerings
+        const config = {
+            resource: 'offerings',
+            entityName: 'Offering',
+            expand: ['term', 'course', 'instructor', 'room'],
+            termField: 'termId',
+            columns: [
+                { key: 'id', label: 'ID' },
+                {
+                    key: 'termId',
+                    label: 'Term',
+                    render: record => record.term ? record.term.name : ''
+                },
+                {
+                    key: 'courseId',
+                    label: 'Course',
+                    render: record => record.course ? `${record.course.code} - ${record.course.name}` : ''
+                },
+                {
+                    key: 'instructorId',
+                    label: 'Instructor',
+                    render: record => record.instructor ? record.instructor.name : ''
+                },
+                {
+                    key: 'days',
+                    label: 'Meets',
+                    filter: false,
+                    render: record => Schedule.format(record)
+                },
+                {
+                    key: 'roomId',
+                    label: 'Room',
+                    render: record => record.room ? record.room.name : ''
+                }
+            ],
+            formFields: [
+                {
+                    name: 'termId',
+                    label: 'Term',
+                    type: 'select',
+                    required: true,
+                    options: []
+                },
+                {
+                    name: 'courseId',
+                    label: 'Course',
+                    type: 'select',
+                    searchable: true,
+                    required: true,
+                    options: []
+                },
+                {
+                    name: 'instructorId',
+                    label: 'Instructor',
+                    type: 'select',
+                    searchable: true,
+                    required: true,
+                    options: []
+                },
+                {
+                    name: 'days',
+                    label: 'Meeting Days',
+                    type: 'text',
+                    placeholder: 'e.g. Sun, Tue',
+                    rules: {
+                        pattern: Schedule.getDayListPattern(),
+                        messages: { pattern: 'List days separated by commas, e.g. Sun, Tue' }
+                    }
+                },
+                {
+                    name: 'startTime',
+                    label: 'Starts At',
+                    type: 'time'
+                },
+                {
+                    name: 'endTime',
+                    label: 'Ends At',
+                    type: 'time'
+                },
+                {
+                    name: 'roomId',
+                    label: 'Room',
+                    type: 'select',
+                    searchable: true,
+                    options: []
+                }
+            ]
+        };
+        
+        super(config);
+    }
+    
+    /**
+     * Initialize offering module
+     */
+    async init(state = null) {
+        await this.loadPickerOptions();
+        super.init(state);
+    }
+    
+    /**
+     * Fill the term, course, instructor and room pickers
+     */
+    async loadPickerOptions() {
+        const [terms, courses, instructors, rooms] = await Promise.all([
+            new AcademicTerm().getAllTerms(),
+            new Course().getAllCourses(),
+            new Instructor().getAllInstructors(),
+            new Room().getAllRooms()
+        ]);
+        
+        // Aliases let CSV imports refer to records by name or code
+        this.getFormField('termId').options = terms.map(term => ({
+            value: term.id,
+            label: term.name,
+            aliases: [term.name]
+        }));
+        
+        this.getFormField('courseId').options = courses.map(course => ({
+            value: course.id,
+            label: `${course.code} - ${course.name}`,
+            aliases: [course.code]
+        }));
+        
+        this.getFormField('instructorId').options = instructors.map(instructor => ({
+            value: instructor.id,
+            label: instructor.name,
+            aliases: [instructor.name, instructor.email]
+        }));
+        
+        this.getFormField('roomId').options = rooms.map(room => ({
+            value: room.id,
+            label: `${room.name} (${room.capacity} seats)`,
+            aliases: [room.name]
+        }));
+    }
+    
+    /**
+     * Name an offering after its course and term in the change history
+     */
+    getRecordLabel(offering) {
+        const course = this.getOptionLabel(this.getFormField('courseId'), offering.courseId);
+        const term = this.getOptionLabel(this.getFormField('termId'), offering.termId);
+        return `${course} (${term})`;
+    }
+    
+    /**
+     * Get the offerings of a term with the course, instructor and room embedded
+     */
+    async getOfferingsByTerm(termId) {
+        try {
+            return await this.repository.findAll({ deleted: false, termId }, { expand: ['course', 'instructor', 'room'] });
+        } catch (error) {
+            console.error('Error fetching offerings by term:', error);
+            return [];
+        }
+    }
+    
+    /**
+     * Get the offerings of a course with the term, instructor and room embedded
+     */
+    async getOfferingsByCourse(courseId) {
+        try {
+            return await this.repository.findAll({ deleted: false, courseId }, { expand: ['term', 'instructor', 'room'] });
+        } catch (error) {
+            console.error('Error fetching offerings by course:', error);
+            return [];
+        }
+    }
+    
+    /**
+     * Get the offerings an instructor teaches
+     */
+    async getOfferingsByInstructor(instructorId) {
+        try {
+            return await this.repository.findAll({ deleted: false, instructorId }, { expand: ['term', 'course'] });
+        } catch (error) {
+            console.error('Error fetching offerings by instructor:', error);
+            return [];
+        }
+    }
+    
+    /**
+     * Get the offering of a course in a term, or null when it is not offered then
+     */
+    async findOffering(termId, courseId) {
+        const offerings = await this.repository.findAll({ deleted: false, termId, courseId });
+        return offerings[0] || null;
+    }
+    
+    /**
+     * Check that the days and times are given together and in order (field errors, or null)
+     */
+    checkMeetingTime(data) {
+        const parts = ['days', 'startTime', 'endTime'];
+        const given = parts.filter(name => String(data[name] || '').trim() !== '');
+        
+        if (given.length > 0 && given.length < parts.length) {
+            const missing = parts.find(name => !given.includes(name));
+            return { [missing]: 'Enter the meeting days, start and end time together (or none of them)' };
+        }
+        
+        if (given.length === parts.length && data.endTime <= data.startTime) {
+            return { endTime: 'The class must end after it starts' };
+        }
+        
+        return null;
+    }
+    
+    /**
+     * Find what an offering's meeting time clashes with in its term: another class of
+     * the same instructor, in the same room, taken by the same students, or a booking
+     * of its room on one of its days (field errors, or null)
+     */
+    async findClash(data, id = null) {
+        const meeting = { days: Schedule.parseDays(data.days), startTime: data.startTime, endTime: data.endTime };
+        if (!Schedule.hasMeeting(meeting)) return null;
+        
+        const others = (await this.getOfferingsByTerm(data.termId))
+            .filter(offering => String(offering.id) !== String(id) && Schedule.overlaps(meeting, offering));
+        const describe = offering => `${offering.course ? offering.course.code : `offering #${offering.id}`} (${Schedule.format(offering)})`;
+        
+        const teaching = others.find(offering => String(offering.instructorId) === String(data.instructorId));
+        if (teaching) {
+            return { instructorId: `This instructor already teaches ${describe(teaching)} at that time` };
+        }
+        
+        const sameRoom = data.roomId ? others.find(offering => String(offering.roomId) === String(data.roomId)) : null;
+        if (sameRoom) {
+            return { roomId: `This room is already used by ${describe(sameRoom)} at that time` };
+        }
+        
+        const booking = data.roomId ? await this.findRoomBooking(meeting, data.termId, data.roomId) : null;
+        if (booking) {
+            return { roomId: `This room is booked for ${booking.title} on ${booking.date} (${booking.startTime}–${booking.endTime})` };
+        }
+        
+        // Students taking this course must not be enrolled in another class at that time
+        const enrollments = (await DataSource.repository('enrollments').findAll({ deleted: false, termId: data.termId }, { expand: ['student'] }))
+            .filter(enrollment => enrollment.status !== 'Dropped');
+        const students = new Set(enrollments
+            .filter(enrollment => String(enrollment.courseId) === String(data.courseId))
+            .map(enrollment => String(enrollment.studentId)));
+        
+        for (const offering of others) {
+            const shared = enrollments.filter(enrollment =>
+                String(enrollment.courseId) === String(offering.courseId) && students.has(String(enrollment.studentId)));
+            
+            if (shared.length > 0) {
+                const names = shared.map(enrollment => enrollment.student ? enrollment.student.name : `#${enrollment.studentId}`);
+                return { days: `${names.join(', ')} also take${shared.length === 1 ? 's' : ''} ${describe(offering)} at that time` };
+            }
+        }
+        
+        return null;
+    }
+    
+    /**
+     * Find a booking of a room, during a term, that overlaps a weekly meeting, or null
+     */
+    async findRoomBooking(meeting, termId, roomId) {
+        const term = await new AcademicTerm().getTermById(termId);
+        if (!term) return null;
+        
+        const bookings = await DataSource.repository('bookings').findAll({
+            deleted: false,
+            roomId,
+            date_gte: term.startDate,
+            date_lte: term.endDate
+        });
+        
+        return bookings.find(booking => Schedule.overlaps(meeting, { ...booking, days: [Schedule.dayOf(booking.date)] })) || null;
+    }
+    
+    /**
+     * Warning when more students are enrolled in a course's offering than its room seats, or null
+     */
+    async getRoomCapacityWarning(termId, courseId) {
+        try {
+            const offering = (await this.repository.findAll({ deleted: false, termId, courseId }, { expand: ['course', 'room'] }))[0];
+            if (!offering || !offering.room) return null;
+            
+            const enrolled = (await DataSource.repository('enrollments').findAll({ deleted: false, termId, courseId, status: 'Enrolled' })).length;
+            if (enrolled <= offering.room.capacity) return null;
+            
+            const course = offering.course ? offering.course.code : `Course #${courseId}`;
+            return `Heads up: ${enrolled} students are enrolled in ${course}, but room ${offering.room.name} seats ${offering.room.capacity}.`;
+        } catch (error) {
+            console.error('Error checking the room capacity:', error);
+            return null;
+        }
+    }
+    
+    /**
+     * Ask before a new instructor, course or term takes the offering's
+     * instructor over the maximum load of the term
+     */
+    async confirmSave(data, before) {
+        const assigned = !before || ['instructorId', 'courseId', 'termId'].some(field => String(before[field]) !== String(data[field]));
+        if (!assigned || !data.instructorId) return true;
+        
+        const course = await new Course().getCourseById(data.courseId);
+        const warning = course && await TeachingLoad.getOverloadWarning({ id: before ? before.id : null, instructorId: data.instructorId, course }, data.termId);
+        return !warning || confirm(`${warning} Save anyway?`);
+    }
+    
+    /**
+     * Warn when the offering's room is too small for its students
+     */
+    async afterChange(action, before, after) {
+        if (action !== 'create' && action !== 'update') return;
+        
+        if (after.roomId) {
+            const warning = await this.getRoomCapacityWarning(after.termId, after.courseId);
+            if (warning) Toast.show(warning);
+        }
+    }
+    
+    /**
+     * Validate the fields, then check that the course is not offered twice in the term
+     * and that its meeting time is complete and clashes with nothing
+     */
+    async validateRecord(data, id = null) {
+        const validation = await super.validateRecord(data, id);
+        if (!validation.isValid) return validation;
+        
+        const meetingErrors = this.checkMeetingTime(data);
+        if (meetingErrors) return Validator.result(meetingErrors);
+        
+        try {
+            const existing = await this.findOffering(data.termId, data.courseId);
+            if (existing && String(existing.id) !== String(id)) {
+                return Validator.result({ courseId: 'This course is already offered in the selected term' });
+            }
+            
+            const clash = await this.findClash(data, id);
+            if (clash) return Validator.result(clash);
+        } catch (error) {
+            // Cannot be checked (e.g. offline): the server keeps the data as sent
+            console.error('Error checking the offering for duplicates and clashes:', error);
+        }
+        
+        return validation;
+    }
+    
+    /**
+     * Store references as numbers so they match the referenced ids,
+     * the meeting days as a list and no empty times or room
+     */
+    prepareRecord(data) {
+        data.termId = parseInt(data.termId);
+        data.courseId = parseInt(data.courseId);
+        data.instructorId = parseInt(data.instructorId);
+        data.days = Schedule.parseDays(data.days);
+        data.startTime = data.startTime || null;
+        data.endTime = data.endTime || null;
+        data.roomId = data.roomId ? parseInt(data.roomId) : null;
+        return data;
+    }
+    
+    /**
+     * Detail drawer: each student's attendance over the class sessions held so far
+     */
+    async getRelatedSections(offering) {
+        if (!Auth.canRead('sessions') || !Auth.canRead('enrollments') || !Auth.canRead('students')) return [];
+        
+        const filters = { deleted: false, termId: offering.termId, courseId: offering.courseId };
+        const [sessions, enrollments] = await Promise.all([
+            DataSource.repository('sessions').findAll(filters),
+            DataSource.repository('enrollments').findAll(filters, { expand: ['student'] })
+        ]);
+        const title = `Attendance (${sessions.length} sessions)`;
+        const students = enrollments.filter(enrollment => ['Enrolled', 'Completed'].includes(enrollment.status) && enrollment.student);
+        
+        if (sessions.length === 0 || students.length === 0) {
+            return [{ title, html: '<p class="info-empty">No attendance taken yet.</p>' }];
+        }
+        
+        const statuses = Attendance.getStatuses();
+        let html = `<table class="info-table"><thead><tr><th>Student</th>${statuses.map(status => `<th>${status}</th>`).join('')}<th>Attendance</th></tr></thead><tbody>`;
+        students.forEach(enrollment => {
+            const summary = Attendance.summarize(sessions, enrollment.studentId);
+            html += `<tr>
+                <td>${Html.escape(enrollment.student.name)}</td>
+                ${statuses.map(status => `<td>${summary[status]}</td>`).join('')}
+                <td>${Html.escape(Attendance.formatRate(summary.rate) || '-')}</td>
+            </tr>`;
+        });
+        html += '</tbody></table>';
+        
+        return [{ title, html }];
+    }
+    
+    /**
+     * Prevent deleting an offering that students are enrolled in or that has class sessions
+     */
+    async getDeleteBlocker(id) {
+        const offering = await this.repository.get(id);
+        if (!offering) return null;
+        
+        const filters = { deleted: false, termId: offering.termId, courseId: offering.courseId };
+        const [enrollments, sessions] = await Promise.all([
+            DataSource.repository('enrollments').findAll(filters),
+            DataSource.repository('sessions').findAll(filters)
+        ]);
+        
+        if (enrollments.length > 0) {
+            return `${enrollments.length} enrollment(s) belong to this offering. Delete or move them before deleting it.`;
+        }
+        
+        if (sessions.length > 0) {
+            return `${sessions.length} class session(s) belong to this offering. Delete them before deleting it.`;
+        }
+        
+        return null;
+    }
+}
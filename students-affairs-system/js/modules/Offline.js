@@ -0,0 +1,354 @@
+/**
+ * Offline Class - Keeps the app usable while the server cannot be reached
+ *
+ * - GET responses are cached in IndexedDB (by URL) and served from there offline
+ * - Writes made offline are queued and replayed in order once the server answers again;
+ *   an edit whose record changed (or disappeared) on the server meanwhile is reported
+ *   as a conflict instead of overwriting the newer version. A replayed change is
+ *   recorded by the table of its resource (see setTables), as if it had been saved online
+ * - Queued writes belong to the user who made them and only replay in their session;
+ *   the writes of other users stay queued until they log in on this browser again
+ *
+ * Queue entry shape:
+ *   { id, resource, operation: 'create' | 'update' | 'patch' | 'remove', recordId, body,
+ *     baseVersion (version the change was based on, or null), before (the record
+ *     as it was, or null), user (username of its author),
+ *     label, audit: { entity, recordId, recordLabel, action, changes }, queuedAt }
+ */
+
+import { Audit } from './Audit.js';
+import { Auth } from './Auth.js';
+import { Config } from './Config.js';
+import { DataSource } from './DataSource.js';
+import { Toast } from './Toast.js';
+
+const DB_NAME = 'students-affairs-offline';
+const DB_VERSION = 1;
+const PROBE_INTERVAL = 10000;
+
+let online = true;
+let probeTimer = null;
+let replaying = false;
+let dbPromise = null;
+
+// Called with { online, pending } whenever either changes
+const statusListeners = [];
+
+// Called after queued changes were sent to the server
+const syncListeners = [];
+
+// Table (DataTable) of each resource, which records its replayed changes
+const tables = new Map();
+
+export class Offline {
+    /**
+     * Open (once) the IndexedDB database with the `responses` and `queue` stores
+     */
+    static openDb() {
+        if (!dbPromise) {
+            dbPromise = new Promise((resolve, reject) => {
+                const request = indexedDB.open(DB_NAME, DB_VERSION);
+                request.onupgradeneeded = () => {
+                    request.result.createObjectStore('responses', { keyPath: 'url' });
+                    request.result.createObjectStore('queue', { keyPath: 'id', autoIncrement: true });
+                };
+                request.onsuccess = () => resolve(request.result);
+                request.onerror = () => reject(request.error);
+            });
+        }
+        return dbPromise;
+    }
+    
+    /**
+     * Run one IndexedDB request on a store and resolve to its result
+     */
+    static async request(storeName, mode, makeRequest) {
+        const db = await Offline.openDb();
+        
+        return new Promise((resolve, reject) => {
+            const request = makeRequest(db.transaction(storeName, mode).objectStore(storeName));
+            request.onsuccess = () => resolve(request.result);
+            request.onerror = () => reject(request.error);
+        });
+    }
+    
+    /**
+     * Forget stored data: by default both the cached responses and the queued writes
+     */
+    static async clear(storeNames = ['responses', 'queue']) {
+        try {
+            for (const storeName of storeNames) {
+                await Offline.request(storeName, 'readwrite', store => store.clear());
+            }
+        } catch (error) {
+            console.error('Error clearing offline data:', error);
+        }
+        Offline.notifyStatus();
+    }
+    
+    /**
+     * Tables that record the replayed changes of their resource through
+     * logChange, so afterChange updates derived values (GPAs, waitlist seats...)
+     */
+    static setTables(list) {
+        tables.clear();
+        list.forEach(table => tables.set(table.resource, table));
+    }
+    
+    /**
+     * Check if the last request reached the server
+     */
+    static isOnline() {
+        return online;
+    }
+    
+    /**
+     * Check if an error means the server could not be reached (as opposed to an HTTP error)
+     */
+    static isNetworkError(error) {
+        return error instanceof TypeError;
+    }
+    
+    /**
+     * Record whether the server can be reached; coming back online replays the queue
+     */
+    static setOnline(isOnline) {
+        if (online === isOnline) return;
+        online = isOnline;
+        
+        clearInterval(probeTimer);
+        probeTimer = isOnline ? null : setInterval(() => Offline.probe(), PROBE_INTERVAL);
+        
+        Offline.notifyStatus();
+        if (isOnline) Offline.replay();
+    }
+    
+    /**
+     * URL asked to find out whether the server is up and who is logged in
+     */
+    static getProbeUrl() {
+        return `${Config.getApiBaseUrl()}/auth/me`;
+    }
+    
+    /**
+     * Try to reach the server (any HTTP answer counts)
+     */
+    static async probe() {
+        try {
+            await fetch(Offline.getProbeUrl(), { credentials: 'include' });
+            Offline.setOnline(true);
+        } catch (error) {
+            Offline.setOnline(false);
+        }
+    }
+    
+    /**
+     * Listen for status changes: listener({ online, pending })
+     */
+    static onStatusChange(listener) {
+        statusListeners.push(listener);
+        Offline.notifyStatus();
+    }
+    
+    /**
+     * Listen for finished replays: listener(sentCount)
+     */
+    static onSynced(listener) {
+        syncListeners.push(listener);
+    }
+    
+    /**
+     * Tell the status listeners about the current state
+     */
+    static async notifyStatus() {
+        const pending = await Offline.getPendingCount();
+        statusListeners.forEach(listener => listener({ online, pending }));
+    }
+    
+    /**
+     * GET a URL, caching the answer. Offline, the cached answer is returned instead.
+     * Resolves to { data, totalCount, cachedAt } (cachedAt is null for fresh data).
+     */
+    static async fetchJson(url) {
+        let response;
+        
+        try {
+            response = await fetch(url, { credentials: 'include' });
+        } catch (error) {
+            if (!Offline.isNetworkError(error)) throw error;
+            Offline.setOnline(false);
+            
+            const cached = await Offline.request('responses', 'readonly', store => store.get(url));
+            if (!cached) throw new Error('You are offline and this data has not been loaded before.');
+            return cached;
+        }
+        
+        Offline.setOnline(true);
+        if (!response.ok) {
+            const error = new Error(`HTTP error! status: ${response.status}`);
+            error.status = response.status;
+            throw error;
+        }
+        
+        const data = await response.json();
+        const totalCount = response.headers.get('X-Total-Count');
+        const entry = { url, data, totalCount: totalCount === null ? null : parseInt(totalCount), cachedAt: new Date().toISOString() };
+        
+        try {
+            await Offline.request('responses', 'readwrite', store => store.put(entry));
+        } catch (error) {
+            console.error('Error caching response:', error);
+        }
+        
+        return { ...entry, cachedAt: null };
+    }
+    
+    /**
+     * Replace the cached copy of a single record (e.g. after queuing an edit of it),
+     * so the next offline edit starts from the queued version
+     */
+    static async cacheRecord(url, record) {
+        try {
+            await Offline.request('responses', 'readwrite', store => store.put({ url, data: record, totalCount: null, cachedAt: new Date().toISOString() }));
+        } catch (error) {
+            console.error('Error caching record:', error);
+        }
+    }
+    
+    /**
+     * Queue a write to send when the server can be reached again
+     */
+    static async enqueue(entry) {
+        await Offline.request('queue', 'readwrite', store => store.add({ ...entry, user: Offline.getUsername(), queuedAt: new Date().toISOString() }));
+        Offline.notifyStatus();
+    }
+    
+    /**
+     * Username the queued writes of the logged-in user are stored under
+     */
+    static getUsername() {
+        const user = Auth.getUser();
+        return user ? user.username : null;
+    }
+    
+    /**
+     * Number of queued writes of the logged-in user
+     */
+    static async getPendingCount() {
+        try {
+            const entries = await Offline.request('queue', 'readonly', store => store.getAll());
+            return entries.filter(entry => entry.user === Offline.getUsername()).length;
+        } catch (error) {
+            console.error('Error reading the offline queue:', error);
+            return 0;
+        }
+    }
+    
+    /**
+     * Send the queued writes in the order they were made. Stops (keeping the
+     * rest) when the server cannot be reached; conflicts are dropped and reported.
+     * Writes of other users are kept for their next session and reported.
+     */
+    static async replay() {
+        if (replaying) return;
+        replaying = true;
+        
+        const conflicts = [];
+        const waiting = {};
+        let sent = 0;
+        
+        try {
+            // Queued changes wait until someone is logged in again
+            const session = await fetch(Offline.getProbeUrl(), { credentials: 'include' });
+            if (!session.ok) return;
+            
+            const { username } = await session.json();
+            const entries = await Offline.request('queue', 'readonly', store => store.getAll());
+            
+            for (const entry of entries) {
+                // Changes made by someone else on this browser are never sent as this user
+                if (entry.user !== username) {
+                    waiting[entry.user] = (waiting[entry.user] || 0) + 1;
+                    continue;
+                }
+                
+                try {
+                    const conflict = await Offline.send(entry);
+                    if (conflict) {
+                        conflicts.push(`${entry.label}: ${conflict}`);
+                    } else {
+                        sent++;
+                    }
+                } catch (error) {
+                    if (Offline.isNetworkError(error)) {
+                        Offline.setOnline(false);
+                        break;
+                    }
+                    console.error('Error replaying offline change:', error);
+                    conflicts.push(`${entry.label}: ${error.message}`);
+                }
+                
+                await Offline.request('queue', 'readwrite', store => store.delete(entry.id));
+            }
+        } catch (error) {
+            console.error('Error replaying the offline queue:', error);
+        } finally {
+            replaying = false;
+        }
+        
+        Offline.notifyStatus();
+        if (sent > 0 || conflicts.length > 0) syncListeners.forEach(listener => listener(sent));
+        
+        if (conflicts.length > 0) {
+            alert(`${conflicts.length} change(s) made while offline were not saved:\n\n${conflicts.join('\n')}`);
+        }
+        
+        Object.entries(waiting).forEach(([user, count]) => {
+            Toast.show(`${count} change(s) made offline by ${user} ${count === 1 ? 'is' : 'are'} kept until they log in on this browser again.`);
+        });
+    }
+    
+    /**
+     * Send one queued write. Resolves to a conflict message, or null when it was saved.
+     */
+    static async send(entry) {
+        const repository = DataSource.repository(entry.resource);
+        
+        if (entry.baseVersion !== null && entry.baseVersion !== undefined) {
+            const record = await repository.get(entry.recordId, { useCache: false });
+            if (!record) return 'it was deleted by someone else';
+            if (record.deleted) return 'it was moved to the trash by someone else';
+            if ((record.version || 0) !== entry.baseVersion) {
+                return `it was changed by someone else${record.updatedAt ? ` at ${new Date(record.updatedAt).toLocaleString()}` : ''}`;
+            }
+        }
+        
+        let saved;
+        
+        try {
+            if (entry.operation === 'create') {
+                saved = await repository.create(entry.body);
+            } else if (entry.operation === 'remove') {
+                await repository.remove(entry.recordId);
+            } else {
+                saved = await repository[entry.operation](entry.recordId, entry.body);
+            }
+        } catch (error) {
+            if (error.status === 404) return 'it no longer exists';
+            // The server explains the conflict (changed meanwhile, course full...)
+            if (error.status === 409) return error.message;
+            throw error;
+        }
+        
+        if (!entry.audit) return null;
+        
+        const table = tables.get(entry.resource);
+        if (table) {
+            const { action, changes } = entry.audit;
+            await table.logChange(action, entry.before || null, ['delete', 'purge'].includes(action) ? null : saved, changes);
+        } else {
+            await Audit.log({ ...entry.audit, recordId: entry.audit.recordId ?? saved.id });
+        }
+        return null;
+    }
+}
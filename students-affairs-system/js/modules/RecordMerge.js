@@ -0,0 +1,144 @@
+/**
+ * RecordMerge Class - Conflict dialog for a DataTable module
+ * Shown when a record was saved by someone else after the edit form was
+ * opened: lists every field where "yours" and "theirs" differ and lets the
+ * user pick a value for each before saving the merged version
+ */
+
+import { Html } from './Html.js';
+
+export class RecordMerge {
+    constructor(table) {
+        this.table = table;
+        
+        // The version the form was opened with, the form values and the server copy
+        this.base = null;
+        this.mine = null;
+        this.theirs = null;
+        
+        // Fields that differ: { field, changedByMe, changedByThem }
+        this.rows = [];
+        
+        // DOM Elements
+        this.modal = document.getElementById('mergeModal');
+        this.modalOverlay = document.getElementById('mergeModalOverlay');
+        this.modalClose = document.getElementById('mergeModalClose');
+        this.introElement = document.getElementById('mergeIntro');
+        this.fieldsElement = document.getElementById('mergeFields');
+        this.cancelBtn = document.getElementById('mergeCancelBtn');
+        this.applyBtn = document.getElementById('mergeApplyBtn');
+    }
+    
+    /**
+     * Attach event listeners (removed together with the table's listeners)
+     */
+    initEventListeners(signal) {
+        this.modalClose.addEventListener('click', () => this.close(), { signal });
+        this.modalOverlay.addEventListener('click', () => this.close(), { signal });
+        this.cancelBtn.addEventListener('click', () => this.close(), { signal });
+        this.applyBtn.addEventListener('click', () => this.apply(), { signal });
+    }
+    
+    /**
+     * Compare the three versions and ask the user to settle the differences.
+     * When "yours" and "theirs" agree on every field the save goes ahead at once.
+     */
+    open(base, mine, theirs) {
+        this.base = base;
+        this.mine = mine;
+        this.theirs = theirs;
+        
+        this.rows = this.table.formFields
+            .filter(field => !this.isSame(mine[field.name], theirs[field.name]))
+            .map(field => ({
+                field,
+                changedByMe: !this.isSame(base[field.name], mine[field.name]),
+                changedByThem: !this.isSame(base[field.name], theirs[field.name])
+            }));
+        
+        if (this.rows.length === 0) {
+            this.table.applyMerge(this.getMergedValues(), theirs);
+            return;
+        }
+        
+        const savedAt = theirs.updatedAt ? ` at ${new Date(theirs.updatedAt).toLocaleString()}` : '';
+        this.introElement.textContent =
+            `Someone else saved this ${this.table.entityName.toLowerCase()}${savedAt}, after you opened it. ` +
+            'Choose the value to keep for each field below; fields marked "both changed" were edited by both of you.';
+        
+        this.render();
+        this.modal.classList.add('active');
+    }
+    
+    /**
+     * Close the dialog and go back to the edit form
+     */
+    close() {
+        this.modal.classList.remove('active');
+    }
+    
+    /**
+     * Compare two stored values the way the form would show them
+     */
+    isSame(a, b) {
+        const normalize = value => value === undefined || value === null ? '' : String(value);
+        return normalize(a) === normalize(b);
+    }
+    
+    /**
+     * Render one row per differing field with a choice between both values.
+     * The default is the side that actually changed the field.
+     */
+    render() {
+        let html = '<table class="info-table merge-table"><thead><tr><th>Field</th><th>Yours</th><th>Theirs</th></tr></thead><tbody>';
+        
+        this.rows.forEach(({ field, changedByMe, changedByThem }) => {
+            const keepTheirs = changedByThem && !changedByMe;
+            const conflict = changedByMe && changedByThem;
+            
+            html += `<tr class="${conflict ? 'merge-conflict' : ''}">`;
+            html += `<td>${Html.escape(field.label)}${conflict ? '<span class="merge-badge">both changed</span>' : ''}</td>`;
+            html += `<td><label class="merge-choice"><input type="radio" name="merge-${field.name}" value="mine" ${keepTheirs ? '' : 'checked'}> ${this.formatValue(field, this.mine[field.name])}</label></td>`;
+            html += `<td><label class="merge-choice"><input type="radio" name="merge-${field.name}" value="theirs" ${keepTheirs ? 'checked' : ''}> ${this.formatValue(field, this.theirs[field.name])}</label></td>`;
+            html += '</tr>';
+        });
+        
+        html += '</tbody></table>';
+        this.fieldsElement.innerHTML = html;
+    }
+    
+    /**
+     * Show a value as the form would (select labels, "(empty)")
+     */
+    formatValue(field, value) {
+        if (value === undefined || value === null || value === '') return '<em>(empty)</em>';
+        
+        const display = field.type === 'select' ? this.table.getOptionLabel(field, value) : value;
+        return Html.escape(display);
+    }
+    
+    /**
+     * Form values for the merged record: the chosen side for differing
+     * fields, otherwise the (identical) form value
+     */
+    getMergedValues() {
+        const values = {};
+        
+        this.table.formFields.forEach(field => {
+            const choice = this.fieldsElement.querySelector(`input[name="merge-${field.name}"]:checked`);
+            const useTheirs = this.rows.some(row => row.field === field) && choice && choice.value === 'theirs';
+            values[field.name] = useTheirs ? this.theirs[field.name] : this.mine[field.name];
+        });
+        
+        return values;
+    }
+    
+    /**
+     * Save the merged version over the latest server copy
+     */
+    apply() {
+        const values = this.getMergedValues();
+        this.close();
+        this.table.applyMerge(values, this.theirs);
+    }
+}
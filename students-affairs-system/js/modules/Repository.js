@@ -0,0 +1,86 @@
+/**
+ * Repository Class - Reads and writes the records of one resource (e.g. 'students')
+ * through the configured adapter, so modules never build URLs or call fetch
+ *
+ * Adapter interface (see RestAdapter and LocalStorageAdapter):
+ *   list(resource, query)           -> { data, totalCount, cachedAt }
+ *   get(resource, id, options)      -> record, or null when it does not exist
+ *   create(resource, record)        -> saved record (with its new id)
+ *   update(resource, id, record)    -> saved record (replaces every field)
+ *   patch(resource, id, changes)    -> saved record (changes only the given fields)
+ *   remove(resource, id)            -> nothing
+ * Errors from a write to a missing record have `status: 404`.
+ *
+ * List query: { filters, q, sort, order, page, limit, expand }
+ *   filters: { field: value } (a list of values matches any of them), plus the
+ *            operators field_gte, field_lte, field_ne and field_like (regular expression)
+ *   q:       text searched in every field
+ *   sort / order: field name and 'asc' | 'desc'
+ *   page / limit: 1-based page and page size (both left out = every record)
+ *   expand:  singular names of referenced records to embed (e.g. ['student'] for studentId)
+ */
+
+export class Repository {
+    constructor(adapter, resource) {
+        this.adapter = adapter;
+        this.resource = resource;
+    }
+    
+    /**
+     * Get one page (or all) of the records matching a query
+     */
+    async list(query = {}) {
+        return this.adapter.list(this.resource, query);
+    }
+    
+    /**
+     * Get every record matching the filters (no paging)
+     */
+    async findAll(filters = {}, options = {}) {
+        const { data } = await this.adapter.list(this.resource, { ...options, filters });
+        return data;
+    }
+    
+    /**
+     * Get a record by id, or null. `options.expand` embeds referenced records;
+     * `options.useCache: false` skips the offline copy.
+     */
+    async get(id, options = {}) {
+        return this.adapter.get(this.resource, id, options);
+    }
+    
+    /**
+     * Create a record
+     */
+    async create(record) {
+        return this.adapter.create(this.resource, record);
+    }
+    
+    /**
+     * Replace a record
+     */
+    async update(id, record) {
+        return this.adapter.update(this.resource, id, record);
+    }
+    
+    /**
+     * Change some fields of a record
+     */
+    async patch(id, changes) {
+        return this.adapter.patch(this.resource, id, changes);
+    }
+    
+    /**
+     * Delete a record for good
+     */
+    async remove(id) {
+        return this.adapter.remove(this.resource, id);
+    }
+    
+    /**
+     * Keep a copy of a record for offline use, when the adapter caches (REST)
+     */
+    async cacheRecord(id, record) {
+        if (this.adapter.cacheRecord) await this.adapter.cacheRecord(this.resource, id, record);
+    }
+}
@@ -0,0 +1,142 @@
+/**
+ * RestAdapter Class - Repository adapter for the json-server REST API (server.js)
+ *
+ * Reads go through the offline cache (see Offline), so pages loaded before
+ * stay available while the server cannot be reached. Network failures surface
+ * as TypeError (see Offline.isNetworkError); HTTP errors carry `status` and the
+ * server's explanation as their message.
+ */
+
+import { Offline } from './Offline.js';
+
+export class RestAdapter {
+    constructor(baseUrl) {
+        this.baseUrl = baseUrl;
+    }
+    
+    /**
+     * URL of a resource, or of one of its records
+     */
+    url(resource, id = null) {
+        return id === null ? `${this.baseUrl}/${resource}` : `${this.baseUrl}/${resource}/${id}`;
+    }
+    
+    /**
+     * Turn a repository query into json-server query parameters
+     */
+    buildQueryString({ filters = {}, q = '', sort = null, order = 'asc', page = null, limit = null, expand = [] } = {}) {
+        const params = new URLSearchParams();
+        
+        Object.entries(filters).forEach(([param, value]) => {
+            [].concat(value).forEach(item => params.append(param, item));
+        });
+        
+        if (q) params.append('q', q);
+        
+        if (sort) {
+            params.append('_sort', sort);
+            params.append('_order', order);
+        }
+        
+        if (page !== null && limit !== null) {
+            params.append('_page', page);
+            params.append('_limit', limit);
+        }
+        
+        // Embed referenced records (e.g. studentId -> student)
+        expand.forEach(name => params.append('_expand', name));
+        
+        const query = params.toString();
+        return query ? `?${query}` : '';
+    }
+    
+    /**
+     * Throw an Error carrying the status of a failed response, and the
+     * server's explanation ({ error }) as its message when there is one
+     */
+    async check(response) {
+        if (response.ok) return;
+        
+        const body = await response.json().catch(() => null);
+        const error = new Error(body && body.error ? body.error : `HTTP error! status: ${response.status}`);
+        error.status = response.status;
+        throw error;
+    }
+    
+    /**
+     * Send a JSON body and resolve to the saved record
+     */
+    async send(method, url, body) {
+        const response = await fetch(url, {
+            method,
+            credentials: 'include',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify(body)
+        });
+        
+        await this.check(response);
+        return await response.json();
+    }
+    
+    /**
+     * Get the records matching a query
+     */
+    async list(resource, query = {}) {
+        const { data, totalCount, cachedAt } = await Offline.fetchJson(`${this.url(resource)}${this.buildQueryString(query)}`);
+        return { data, totalCount: totalCount !== null ? totalCount : data.length, cachedAt };
+    }
+    
+    /**
+     * Get a record, or null when the server does not have it
+     */
+    async get(resource, id, { expand = [], useCache = true } = {}) {
+        const url = `${this.url(resource, id)}${this.buildQueryString({ expand })}`;
+        
+        try {
+            if (useCache) return (await Offline.fetchJson(url)).data;
+            
+            const response = await fetch(url, { credentials: 'include' });
+            await this.check(response);
+            return await response.json();
+        } catch (error) {
+            if (error.status === 404) return null;
+            throw error;
+        }
+    }
+    
+    /**
+     * Create a record
+     */
+    async create(resource, record) {
+        return this.send('POST', this.url(resource), record);
+    }
+    
+    /**
+     * Replace a record
+     */
+    async update(resource, id, record) {
+        return this.send('PUT', this.url(resource, id), record);
+    }
+    
+    /**
+     * Change some fields of a record
+     */
+    async patch(resource, id, changes) {
+        return this.send('PATCH', this.url(resource, id), changes);
+    }
+    
+    /**
+     * Delete a record (json-server also deletes the records that reference it)
+     */
+    async remove(resource, id) {
+        const response = await fetch(this.url(resource, id), { method: 'DELETE', credentials: 'include' });
+        await this.check(response);
+    }
+    
+    /**
+     * Replace the offline copy of a record (e.g. after queuing an edit of it)
+     */
+    async cacheRecord(resource, id, record) {
+        await Offline.cacheRecord(this.url(resource, id), record);
+    }
+}
@@ -0,0 +1,202 @@
+/**
+ * Room Class - Manages the rooms classes, exams and events take place in
+ * Extends DataTable for reusable functionality
+ *
+ * A room is used every week by the offerings scheduled in it (see Offering)
+ * and on single dates by room bookings (see RoomBooking).
+ */
+
+import { DataTable } from './DataTable.js';
+import { DataSource } from './DataSource.js';
+import { TermScope } from './TermScope.js';
+import { Schedule } from './Schedule.js';
+import { Html } from './Html.js';
+
+export class Room extends DataTable {
+    constructor() {
+        // Configuration for rooms
+        const config = {
+            resource: 'rooms',
+            entityName: 'Room',
+            defaultSort: { column: 'name', order: 'asc' },
+            columns: [
+                { key: 'id', label: 'ID' },
+                { key: 'name', label: 'Room' },
+                { key: 'building', label: 'Building', filter: 'text' },
+                { key: 'type', label: 'Type' },
+                { key: 'capacity', label: 'Capacity' },
+                {
+                    key: 'equipment',
+                    label: 'Equipment',
+                    filter: 'text',
+                    render: record => Room.getEquipment(record).join(', ')
+                }
+            ],
+            formFields: [
+                {
+                    name: 'name',
+                    label: 'Room Name',
+                    type: 'text',
+                    required: true,
+                    placeholder: 'e.g. B-101',
+                    rules: {
+                        maxLength: 30,
+                        unique: true,
+                        messages: { unique: 'A room with this name already exists' }
+                    }
+                },
+                {
+                    name: 'building',
+                    label: 'Building',
+                    type: 'text',
+                    required: true,
+                    rules: { minLength: 2, maxLength: 50 }
+                },
+                {
+                    name: 'type',
+                    label: 'Room Type',
+                    type: 'select',
+                    required: true,
+                    options: [
+                        'Classroom',
+                        'Lecture Hall',
+                        'Laboratory',
+                        'Seminar Room',
+                        'Auditorium'
+                    ]
+                },
+                {
+                    name: 'capacity',
+                    label: 'Capacity (seats)',
+                    type: 'number',
+                    required: true,
+                    rules: {
+                        min: 1,
+                        max: 1000,
+                        integer: true,
+                        messages: { range: 'Capacity must be between 1 and 1000 seats' }
+                    }
+                },
+                {
+                    name: 'equipment',
+                    label: 'Equipment',
+                    type: 'text',
+                    placeholder: 'e.g. Projector, Whiteboard',
+                    rules: { maxLength: 200 }
+                }
+            ]
+        };
+        
+        super(config);
+    }
+    
+    /**
+     * Initialize room module
+     */
+    init(state = null) {
+        super.init(state);
+    }
+    
+    /**
+     * Equipment of a room (older records have none)
+     */
+    static getEquipment(room) {
+        return room && Array.isArray(room.equipment) ? room.equipment : [];
+    }
+    
+    /**
+     * Get all rooms, by name
+     */
+    async getAllRooms() {
+        try {
+            return await this.repository.findAll({ deleted: false }, { sort: 'name', order: 'asc' });
+        } catch (error) {
+            console.error('Error fetching all rooms:', error);
+            return [];
+        }
+    }
+    
+    /**
+     * Get room by ID
+     */
+    async getRoomById(id) {
+        try {
+            return await this.repository.get(id);
+        } catch (error) {
+            console.error('Error fetching room:', error);
+            return null;
+        }
+    }
+    
+    /**
+     * Store the capacity as a number and the equipment as a list (each item once, ignoring case)
+     */
+    prepareRecord(data) {
+        const items = String(data.equipment || '').split(',').map(item => item.trim()).filter(Boolean);
+        
+        data.capacity = parseInt(data.capacity);
+        data.equipment = items.filter((item, index) =>
+            items.findIndex(other => other.toLowerCase() === item.toLowerCase()) === index);
+        return data;
+    }
+    
+    /**
+     * Detail drawer: the weekly classes in this room (selected or current term) and its upcoming bookings
+     */
+    async getRelatedSections(room) {
+        const term = TermScope.getTerm() || TermScope.getCurrentTerm();
+        const today = new Date().toISOString().slice(0, 10);
+        
+        const [offerings, bookings] = await Promise.all([
+            term ? DataSource.repository('offerings').findAll({ deleted: false, termId: term.id, roomId: room.id }, { expand: ['course', 'instructor'] }) : [],
+            DataSource.repository('bookings').findAll({ deleted: false, roomId: room.id, date_gte: today }, { sort: 'date', order: 'asc' })
+        ]);
+        
+        let classesHtml = '<p class="info-empty">No classes meet here in this term.</p>';
+        if (offerings.length > 0) {
+            classesHtml = '<table class="info-table"><thead><tr><th>Course</th><th>Meets</th><th>Instructor</th></tr></thead><tbody>';
+            offerings.forEach(offering => {
+                classesHtml += `<tr>
+                    <td>${Html.escape(offering.course ? offering.course.code : '')}</td>
+                    <td>${Html.escape(Schedule.format(offering) || '-')}</td>
+                    <td>${Html.escape(offering.instructor ? offering.instructor.name : '')}</td>
+                </tr>`;
+            });
+            classesHtml += '</tbody></table>';
+        }
+        
+        let bookingsHtml = '<p class="info-empty">No upcoming bookings.</p>';
+        if (bookings.length > 0) {
+            bookingsHtml = '<table class="info-table"><thead><tr><th>Date</th><th>Time</th><th>Booked For</th></tr></thead><tbody>';
+            bookings.forEach(booking => {
+                bookingsHtml += `<tr>
+                    <td>${Html.escape(booking.date)}</td>
+                    <td>${Html.escape(`${booking.startTime}–${booking.endTime}`)}</td>
+                    <td>${Html.escape(`${booking.purpose}: ${booking.title}`)}</td>
+                </tr>`;
+            });
+            bookingsHtml += '</tbody></table>';
+        }
+        
+        return [
+            { title: term ? `Weekly Classes (${term.name})` : 'Weekly Classes', html: classesHtml },
+            { title: `Upcoming Bookings (${bookings.length})`, html: bookingsHtml }
+        ];
+    }
+    
+    /**
+     * Prevent deleting a room that classes or bookings still use
+     */
+    async getDeleteBlocker(id) {
+        const [offerings, bookings] = await Promise.all([
+            DataSource.repository('offerings').findAll({ deleted: false, roomId: id }),
+            DataSource.repository('bookings').findAll({ deleted: false, roomId: id })
+        ]);
+        
+        if (offerings.length > 0 || bookings.length > 0) {
+            return `This room is still used by ${offerings.length} offering(s) and ${bookings.length} booking(s). Move them to another room before deleting it.`;
+        }
+        
+        return null;
+    }
+}
@@ -0,0 +1,235 @@
+/**
+ * RoomBooking Class - Books a room on a date for a class, an exam or an event
+ * Extends DataTable for reusable functionality
+ *
+ * A booking cannot overlap another booking of the room, nor the weekly classes
+ * of the offerings scheduled in it (on that weekday, during their term).
+ * Saving one for more people than the room seats only shows a warning.
+ */
+
+import { DataTable } from './DataTable.js';
+import { Validator } from './Validator.js';
+import { DataSource } from './DataSource.js';
+import { Schedule } from './Schedule.js';
+import { Toast } from './Toast.js';
+import { Room } from './Room.js';
+
+export class RoomBooking extends DataTable {
+    constructor() {
+        // Configuration for room bookings
+        const config = {
+            resource: 'bookings',
+            entityName: 'Room Booking',
+            expand: ['room'],
+            defaultSort: { column: 'date', order: 'desc' },
+            columns: [
+                { key: 'id', label: 'ID' },
+                { key: 'date', label: 'Date' },
+                {
+                    key: 'startTime',
+                    label: 'Time',
+                    filter: false,
+                    render: record => `${record.startTime}–${record.endTime}`
+                },
+                {
+                    key: 'roomId',
+                    label: 'Room',
+                    render: record => record.room ? record.room.name : ''
+                },
+                { key: 'purpose', label: 'Purpose' },
+                { key: 'title', label: 'Title', filter: 'text' },
+                { key: 'attendees', label: 'Attendees', filter: false }
+            ],
+            formFields: [
+                {
+                    name: 'roomId',
+                    label: 'Room',
+                    type: 'select',
+                    searchable: true,
+                    required: true,
+                    options: []
+                },
+                {
+                    name: 'purpose',
+                    label: 'Purpose',
+                    type: 'select',
+                    required: true,
+                    options: ['Class', 'Exam', 'Event']
+                },
+                {
+                    name: 'title',
+                    label: 'Title',
+                    type: 'text',
+                    required: true,
+                    placeholder: 'e.g. CS101 Midterm Exam',
+                    rules: { minLength: 3, maxLength: 100 }
+                },
+                {
+                    name: 'offeringId',
+                    label: 'Course Offering',
+                    type: 'select',
+                    searchable: true,
+                    options: []
+                },
+                {
+                    name: 'date',
+                    label: 'Date',
+                    type: 'date',
+                    required: true
+                },
+                {
+                    name: 'startTime',
+                    label: 'Starts At',
+                    type: 'time',
+                    required: true
+                },
+                {
+                    name: 'endTime',
+                    label: 'Ends At',
+                    type: 'time',
+                    required: true
+                },
+                {
+                    name: 'attendees',
+                    label: 'Expected Attendees',
+                    type: 'number',
+                    placeholder: 'Defaults to the students enrolled in the offering',
+                    rules: { min: 1, max: 5000, integer: true }
+                }
+            ]
+        };
+        
+        super(config);
+    }
+    
+    /**
+     * Initialize room booking module
+     */
+    async init(state = null) {
+        await this.loadPickerOptions();
+        super.init(state);
+    }
+    
+    /**
+     * Fill the room and offering pickers
+     */
+    async loadPickerOptions() {
+        const [rooms, offerings] = await Promise.all([
+            new Room().getAllRooms(),
+            DataSource.repository('offerings').findAll({ deleted: false }, { expand: ['course', 'term'] })
+        ]);
+        
+        // Aliases let CSV imports refer to rooms by name
+        this.getFormField('roomId').options = rooms.map(room => ({
+            value: room.id,
+            label: `${room.name} (${room.capacity} seats)`,
+            aliases: [room.name]
+        }));
+        
+        this.getFormField('offeringId').options = offerings.map(offering => ({
+            value: offering.id,
+            label: `${offering.course ? offering.course.code : `#${offering.courseId}`} (${offering.term ? offering.term.name : ''})`
+        }));
+    }
+    
+    /**
+     * Name a booking after its title and date in the change history
+     */
+    getRecordLabel(booking) {
+        return `${booking.title} (${booking.date})`;
+    }
+    
+    /**
+     * Find what a booking overlaps in its room: another booking on that date or a weekly
+     * class of the term the date falls in, described as "CS101 (Sun, Tue 09:00–10:30)", or null
+     */
+    async findConflict(data, id = null) {
+        const meeting = { days: [Schedule.dayOf(data.date)], startTime: data.startTime, endTime: data.endTime };
+        
+        const bookings = await this.repository.findAll({ deleted: false, roomId: data.roomId, date: data.date });
+        const booking = bookings.find(other => String(other.id) !== String(id) && Schedule.overlaps(meeting, { ...other, days: meeting.days }));
+        if (booking) return `${booking.title} (${booking.startTime}–${booking.endTime})`;
+        
+        const offerings = await DataSource.repository('offerings').findAll({ deleted: false, roomId: data.roomId }, { expand: ['course', 'term'] });
+        const offering = offerings.find(other =>
+            other.term && other.term.startDate <= data.date && data.date <= other.term.endDate &&
+            Schedule.overlaps(meeting, other));
+        if (offering) return `${offering.course ? offering.course.code : `Offering #${offering.id}`} (${Schedule.format(offering)})`;
+        
+        return null;
+    }
+    
+    /**
+     * Validate the fields, then check that the booking ends after it starts
+     * and that the room is free at that time
+     */
+    async validateRecord(data, id = null) {
+        const validation = await super.validateRecord(data, id);
+        if (!validation.isValid) return validation;
+        
+        if (data.endTime <= data.startTime) {
+            return Validator.result({ endTime: 'The booking must end after it starts' });
+        }
+        
+        try {
+            const conflict = await this.findConflict(data, id);
+            if (conflict) {
+                return Validator.result({ roomId: `The room is already taken at that time by ${conflict}` });
+            }
+        } catch (error) {
+            // Cannot be checked (e.g. offline): the server keeps the data as sent
+            console.error('Error checking for overlapping bookings:', error);
+        }
+        
+        return validation;
+    }
+    
+    /**
+     * Store references and the number of attendees as numbers (or null when not given)
+     */
+    prepareRecord(data) {
+        data.roomId = parseInt(data.roomId);
+        data.offeringId = data.offeringId ? parseInt(data.offeringId) : null;
+        data.attendees = data.attendees === '' || data.attendees === undefined || data.attendees === null ? null : parseInt(data.attendees);
+        return data;
+    }
+    
+    /**
+     * Number of people expected: the attendees given, else the students enrolled in the offering
+     */
+    async getExpectedAttendees(booking) {
+        if (booking.attendees) return booking.attendees;
+        if (!booking.offeringId) return 0;
+        
+        const offering = await DataSource.repository('offerings').get(booking.offeringId);
+        if (!offering) return 0;
+        
+        const enrollments = await DataSource.repository('enrollments').findAll({
+            deleted: false,
+            termId: offering.termId,
+            courseId: offering.courseId,
+            status: 'Enrolled'
+        });
+        return enrollments.length;
+    }
+    
+    /**
+     * Warn when more people are expected than the booked room seats
+     */
+    async afterChange(action, before, after) {
+        if (action !== 'create' && action !== 'update') return;
+        
+        try {
+            const [room, expected] = await Promise.all([
+                new Room().getRoomById(after.roomId),
+                this.getExpectedAttendees(after)
+            ]);
+            
+            if (room && expected > room.capacity) {
+                Toast.show(`Heads up: ${expected} people are expected for ${after.title}, but room ${room.name} seats ${room.capacity}.`);
+            }
+        } catch (error) {
+            console.error('Error checking the room capacity:', error);
+        }
+    }
+}
@@ -0,0 +1,140 @@
+/**
+ * Router Class - Keeps the current page and table state in the URL hash
+ * Format: #/students?term=9&page=2&limit=20&sort=name&order=desc&q=ali&f.department=Arts&view=3&edit=5
+ * so reloads, shared links and back/forward restore the exact view
+ * (`term` is the term picked in the header, 'all' for all terms; see TermScope)
+ */
+
+export class Router {
+    constructor(onRoute) {
+        // Called with (page, state) whenever the hash changes from outside the app
+        this.onRoute = onRoute;
+        this.currentHash = null;
+    }
+    
+    /**
+     * Start listening to hash changes and return the initial route
+     */
+    start() {
+        window.addEventListener('hashchange', () => this.handleHashChange());
+        
+        const route = this.parse(window.location.hash);
+        this.currentHash = this.build(route.page, route.state);
+        return route;
+    }
+    
+    /**
+     * Handle back/forward, edited URLs and navigation links
+     */
+    handleHashChange() {
+        const route = this.parse(window.location.hash);
+        const hash = this.build(route.page, route.state);
+        
+        // Ignore hashes the app has just written itself
+        if (hash === this.currentHash) return;
+        
+        // Show old "#students" style links in the current format
+        if (window.location.hash !== hash) {
+            history.replaceState(null, '', hash);
+        }
+        
+        this.currentHash = hash;
+        this.onRoute(route.page, route.state);
+    }
+    
+    /**
+     * Navigate to a page with its default state (adds a history entry)
+     */
+    navigate(page, state = {}) {
+        window.location.hash = this.build(page, state);
+    }
+    
+    /**
+     * Record the state of the current page in the URL. Typing in the search
+     * box replaces the current entry; every other change adds a new one.
+     */
+    update(page, state) {
+        const hash = this.build(page, state);
+        if (hash === this.currentHash) return;
+        
+        // A new search also resets the table to page 1
+        const previous = this.parse(this.currentHash || '');
+        const onlySearchChanged = previous.page === page &&
+            previous.state.searchQuery !== state.searchQuery &&
+            this.build(page, { ...state, searchQuery: '', currentPage: 1 }) ===
+            this.build(page, { ...previous.state, searchQuery: '', currentPage: 1 });
+        
+        this.currentHash = hash;
+        
+        if (onlySearchChanged) {
+            history.replaceState(null, '', hash);
+        } else {
+            history.pushState(null, '', hash);
+        }
+    }
+    
+    /**
+     * Rewrite the current entry without adding to the history
+     * (used to normalize old or invalid links)
+     */
+    replace(page, state) {
+        this.currentHash = this.build(page, state);
+        history.replaceState(null, '', this.currentHash);
+    }
+    
+    /**
+     * Build a hash from a page name and table state
+     */
+    build(page, state = {}) {
+        const params = new URLSearchParams();
+        
+        if (state.term) params.set('term', state.term);
+        if (state.currentPage && state.currentPage > 1) params.set('page', state.currentPage);
+        if (state.itemsPerPage && state.itemsPerPage !== 10) params.set('limit', state.itemsPerPage);
+        if (state.sortColumn) {
+            params.set('sort', state.sortColumn);
+            params.set('order', state.sortOrder || 'asc');
+        }
+        if (state.searchQuery) params.set('q', state.searchQuery);
+        if (state.trash) params.set('trash', '1');
+        
+        Object.keys(state.filters || {}).sort().forEach(param => {
+            params.set(`f.${param}`, state.filters[param]);
+        });
+        
+        if (state.viewId !== null && state.viewId !== undefined) params.set('view', state.viewId);
+        if (state.editId !== null && state.editId !== undefined) params.set('edit', state.editId);
+        
+        const query = params.toString();
+        return `#/${page}${query ? `?${query}` : ''}`;
+    }
+    
+    /**
+     * Parse a hash into { page, state }. Also accepts the old "#students" links.
+     */
+    parse(hash) {
+        const [path, query = ''] = hash.replace(/^#\/?/, '').split('?');
+        const params = new URLSearchParams(query);
+        
+        const state = {
+            term: params.get('term'),
+            currentPage: parseInt(params.get('page')) || 1,
+            itemsPerPage: parseInt(params.get('limit')) || 10,
+            sortColumn: params.get('sort') || null,
+            sortOrder: params.get('order') === 'desc' ? 'desc' : 'asc',
+            searchQuery: params.get('q') || '',
+            trash: params.get('trash') === '1',
+            filters: {},
+            viewId: params.get('view'),
+            editId: params.get('edit')
+        };
+        
+        params.forEach((value, key) => {
+            if (key.startsWith('f.')) {
+                state.filters[key.slice(2)] = value;
+            }
+        });
+        
+        return { page: path || null, state };
+    }
+}
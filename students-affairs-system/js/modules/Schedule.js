@@ -0,0 +1,109 @@
+/**
+ * Schedule Class - Weekly meeting times of course offerings
+ *
+ * An offering meets on one or more days (stored as short day names, e.g.
+ * ['Sun', 'Tue']) from `startTime` to `endTime` ('HH:MM', 24-hour clock),
+ * optionally in a room. Two meetings clash when they share a day and
+ * their times overlap; one ending at 10:30 and one starting at 10:30 do not.
+ * A one-off room booking is a meeting on the weekday of its date.
+ */
+
+// Days of the teaching week, in calendar order
+const DAYS = ['Sat', 'Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri'];
+
+// Days shown in the weekly calendar even when nothing meets on them
+const WORKING_DAYS = ['Sat', 'Sun', 'Mon', 'Tue', 'Wed', 'Thu'];
+
+// Day names or their first three letters, e.g. "Sun, Tue" or "sunday,tuesday"
+const DAY = '(sat|sun|mon|tue|wed|thu|fri)[a-z]*';
+const DAY_LIST_PATTERN = new RegExp(`^${DAY}(\\s*,\\s*${DAY})*$`, 'i');
+
+export class Schedule {
+    /**
+     * Days of the week, Saturday first
+     */
+    static getDays() {
+        return DAYS;
+    }
+    
+    /**
+     * Days the weekly calendar shows: the working days and any other day that has a meeting
+     */
+    static getCalendarDays(meetings) {
+        const used = new Set(meetings.flatMap(meeting => Schedule.getMeetingDays(meeting)));
+        return DAYS.filter(day => WORKING_DAYS.includes(day) || used.has(day));
+    }
+    
+    /**
+     * Pattern of a comma-separated day list (for the form)
+     */
+    static getDayListPattern() {
+        return DAY_LIST_PATTERN;
+    }
+    
+    /**
+     * Turn a comma-separated list or an array of day names into unique short
+     * names in week order, e.g. "tuesday, Sun" -> ['Sun', 'Tue']
+     */
+    static parseDays(value) {
+        const names = Array.isArray(value) ? value : String(value || '').split(',');
+        const days = names
+            .map(name => String(name).trim().slice(0, 3).toLowerCase())
+            .map(short => DAYS.find(day => day.toLowerCase() === short))
+            .filter(Boolean);
+        
+        return DAYS.filter(day => days.includes(day));
+    }
+    
+    /**
+     * Days a record meets on (older records have none)
+     */
+    static getMeetingDays(record) {
+        return record ? Schedule.parseDays(record.days) : [];
+    }
+    
+    /**
+     * Whether a record has a complete meeting time
+     */
+    static hasMeeting(record) {
+        return Schedule.getMeetingDays(record).length > 0 && Boolean(record.startTime) && Boolean(record.endTime);
+    }
+    
+    /**
+     * Minutes since midnight of an 'HH:MM' time
+     */
+    static toMinutes(time) {
+        const [hours, minutes] = String(time).split(':').map(Number);
+        return hours * 60 + (minutes || 0);
+    }
+    
+    /**
+     * Whether two meetings share a day and overlap in time
+     */
+    static overlaps(a, b) {
+        if (!Schedule.hasMeeting(a) || !Schedule.hasMeeting(b)) return false;
+        
+        const bDays = Schedule.getMeetingDays(b);
+        const shareDay = Schedule.getMeetingDays(a).some(day => bDays.includes(day));
+        
+        return shareDay &&
+            Schedule.toMinutes(a.startTime) < Schedule.toMinutes(b.endTime) &&
+            Schedule.toMinutes(b.startTime) < Schedule.toMinutes(a.endTime);
+    }
+    
+    /**
+     * Short day name of a 'YYYY-MM-DD' date, e.g. '2026-10-25' -> 'Sun'
+     */
+    static dayOf(date) {
+        const weekday = new Date(`${date}T00:00:00Z`).getUTCDay();
+        return isNaN(weekday) ? null : ['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat'][weekday];
+    }
+    
+    /**
+     * Meeting time as text, e.g. "Sun, Tue 09:00–10:30", or '' without one
+     */
+    static format(record) {
+        if (!Schedule.hasMeeting(record)) return '';
+        return `${Schedule.getMeetingDays(record).join(', ')} ${record.startTime}–${record.endTime}`;
+    }
+}
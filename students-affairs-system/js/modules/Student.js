@@ -1,15 +1,28 @@
 /**
  * Student Class - Manages student records
  * Extends DataTable for reusable functionality
+ *
+ * Registrars can issue a student's transcript and enrollment certificate from
+ * here (see Documents); every issued document is kept in IssuedDocument.
  */
 
 import { DataTable } from './DataTable.js';
+import { Enrollment } from './Enrollment.js';
+import { Course } from './Course.js';
+import { Html } from './Html.js';
+import { Grades } from './Grades.js';
+import { Attendance } from './Attendance.js';
+import { AcademicTerm } from './AcademicTerm.js';
+import { Documents } from './Documents.js';
+import { IssuedDocument } from './IssuedDocument.js';
+import { Auth } from './Auth.js';
+import { Toast } from './Toast.js';
 
 export class Student extends DataTable {
     constructor() {
         // Configuration for students
         const config = {
-            apiUrl: 'http://localhost:3000/students',
+            resource: 'students',
             entityName: 'Student',
             columns: [
                 { key: 'id', label: 'ID' },
@@ -20,12 +33,18 @@ export class Student extends DataTable {
                 { key: 'gpa', label: 'GPA' },
                 { key: 'enrollmentDate', label: 'Enrollment Date' }
             ],
+            rowActions: [
+                { action: 'courses', label: 'Courses', resource: 'enrollments' },
+                { action: 'transcript', label: 'Transcript', resource: 'documents', write: true },
+                { action: 'certificate', label: 'Certificate', resource: 'documents', write: true }
+            ],
             formFields: [
                 {
                     name: 'name',
                     label: 'Full Name',
                     type: 'text',
-                    required: true
+                    required: true,
+                    rules: { minLength: 3 }
                 },
                 {
                     name: 'email',
@@ -37,7 +56,11 @@ export class Student extends DataTable {
                     name: 'phone',
                     label: 'Phone Number',
                     type: 'tel',
-                    required: true
+                    required: true,
+                    rules: {
+                        minLength: 10,
+                        messages: { minLength: 'Please enter a valid phone number' }
+                    }
                 },
                 {
                     name: 'department',
@@ -54,10 +77,11 @@ export class Student extends DataTable {
                     ]
                 },
                 {
+                    // Calculated from the enrollment grades (see recalculateGpa)
                     name: 'gpa',
-                    label: 'GPA (0.0 - 4.0)',
+                    label: 'GPA (calculated)',
                     type: 'number',
-                    required: true
+                    readOnly: true
                 },
                 {
                     name: 'enrollmentDate',
@@ -74,8 +98,8 @@ export class Student extends DataTable {
     /**
      * Initialize student module
      */
-    init() {
-        this.loadData();
+    init(state = null) {
+        super.init(state);
     }
     
     /**
@@ -83,9 +107,7 @@ export class Student extends DataTable {
      */
     async getAllStudents() {
         try {
-            const response = await fetch(this.apiUrl);
-            if (!response.ok) throw new Error('Failed to fetch students');
-            return await response.json();
+            return await this.repository.findAll({ deleted: false });
         } catch (error) {
             console.error('Error fetching all students:', error);
             return [];
@@ -97,9 +119,7 @@ export class Student extends DataTable {
      */
     async getStudentById(id) {
         try {
-            const response = await fetch(`${this.apiUrl}/${id}`);
-            if (!response.ok) throw new Error('Failed to fetch student');
-            return await response.json();
+            return await this.repository.get(id);
         } catch (error) {
             console.error('Error fetching student:', error);
             return null;
@@ -111,9 +131,7 @@ export class Student extends DataTable {
      */
     async searchStudents(query) {
         try {
-            const response = await fetch(`${this.apiUrl}?q=${encodeURIComponent(query)}`);
-            if (!response.ok) throw new Error('Failed to search students');
-            return await response.json();
+            return await this.repository.findAll({ deleted: false }, { q: query });
         } catch (error) {
             console.error('Error searching students:', error);
             return [];
@@ -125,9 +143,7 @@ export class Student extends DataTable {
      */
     async filterByDepartment(department) {
         try {
-            const response = await fetch(`${this.apiUrl}?department=${encodeURIComponent(department)}`);
-            if (!response.ok) throw new Error('Failed to filter students');
-            return await response.json();
+            return await this.repository.findAll({ deleted: false, department });
         } catch (error) {
             console.error('Error filtering students:', error);
             return [];
@@ -135,13 +151,22 @@ export class Student extends DataTable {
     }
     
     /**
-     * Get students with high GPA (>= 3.5)
+     * Get students with high GPA (>= 3.5), calculated from their grades, best first
      */
     async getHonorStudents() {
         try {
-            const response = await fetch(`${this.apiUrl}?gpa_gte=3.5&_sort=gpa&_order=desc`);
-            if (!response.ok) throw new Error('Failed to fetch honor students');
-            return await response.json();
+            const [students, enrollments] = await Promise.all([
+                this.getAllStudents(),
+                new Enrollment().getGradedEnrollments()
+            ]);
+            
+            return students
+                .map(student => ({
+                    ...student,
+                    gpa: Grades.calculateGpa(enrollments.filter(enrollment => String(enrollment.studentId) === String(student.id)))
+                }))
+                .filter(student => student.gpa !== null && student.gpa >= 3.5)
+                .sort((a, b) => b.gpa - a.gpa);
         } catch (error) {
             console.error('Error fetching honor students:', error);
             return [];
@@ -149,93 +174,269 @@ export class Student extends DataTable {
     }
     
     /**
-     * Validate student data before saving
+     * Store a student's GPA as calculated from their graded enrollments
+     * (null while none is graded), logging the change in the history
      */
-    validateStudent(data) {
-        const errors = [];
-        
-        // Name validation
-        if (!data.name || data.name.trim().length < 3) {
-            errors.push('Name must be at least 3 characters long');
-        }
-        
-        // Email validation
-        const emailRegex = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
-        if (!data.email || !emailRegex.test(data.email)) {
-            errors.push('Please enter a valid email address');
-        }
-        
-        // Phone validation (basic)
-        if (!data.phone || data.phone.trim().length < 10) {
-            errors.push('Please enter a valid phone number');
-        }
-        
-        // GPA validation
-        const gpa = parseFloat(data.gpa);
-        if (isNaN(gpa) || gpa < 0 || gpa > 4.0) {
-            errors.push('GPA must be between 0.0 and 4.0');
+    async recalculateGpa(id) {
+        try {
+            const [student, enrollments] = await Promise.all([
+                this.fetchRecord(id),
+                new Enrollment().getEnrollmentsByStudent(id)
+            ]);
+            if (!student) return;
+            
+            const gpa = Grades.calculateGpa(enrollments);
+            if (gpa === (student.gpa ?? null)) return;
+            
+            const saved = await this.repository.patch(student.id, { gpa, ...this.nextVersion(student) });
+            await this.logChange('update', student, saved);
+        } catch (error) {
+            console.error(`Error recalculating the GPA of student ${id}:`, error);
         }
-        
-        // Department validation
-        if (!data.department || data.department.trim() === '') {
-            errors.push('Please select a department');
+    }
+    
+    /**
+     * Handle row actions
+     */
+    handleRowAction(action, id) {
+        if (action === 'courses') {
+            this.showStudentCourses(id);
+        } else if (action === 'transcript') {
+            this.issueTranscript(id);
+        } else if (action === 'certificate') {
+            this.showCertificateForm(id);
         }
-        
-        // Enrollment date validation
-        if (!data.enrollmentDate) {
-            errors.push('Please enter enrollment date');
+    }
+    
+    /**
+     * Issue and print a student's academic transcript
+     */
+    async issueTranscript(id) {
+        try {
+            const [student, enrollments] = await Promise.all([
+                this.getStudentById(id),
+                new Enrollment().getEnrollmentsByStudent(id)
+            ]);
+            if (!student) throw new Error('Student not found');
+            
+            const register = new IssuedDocument();
+            const entry = await register.issue('Transcript', Documents.snapshot(student, enrollments));
+            
+            register.print(entry);
+            Toast.show(`Transcript ${entry.reference} issued for ${student.name}.`);
+        } catch (error) {
+            console.error('Error issuing the transcript:', error);
+            alert('Could not issue the transcript. Please try again.');
         }
-        
-        return {
-            isValid: errors.length === 0,
-            errors: errors
-        };
     }
     
     /**
-     * Override saveRecord to include validation
+     * Ask who an enrollment certificate is addressed to, then issue and print it.
+     * Only students enrolled in courses of the current term can get one.
      */
-    async saveRecord() {
+    async showCertificateForm(id) {
         try {
-            const formData = new FormData(this.recordForm);
-            const data = Object.fromEntries(formData.entries());
+            const [student, term, enrollments] = await Promise.all([
+                this.getStudentById(id),
+                new AcademicTerm().getCurrentTerm(),
+                new Enrollment().getEnrollmentsByStudent(id)
+            ]);
+            if (!student) throw new Error('Student not found');
             
-            // Validate data
-            const validation = this.validateStudent(data);
-            if (!validation.isValid) {
-                alert('Validation errors:\n' + validation.errors.join('\n'));
+            if (!term) {
+                alert('Mark an academic term as current before issuing enrollment certificates.');
                 return;
             }
             
-            // Convert GPA to number
-            data.gpa = parseFloat(data.gpa);
-            
-            let response;
-            
-            if (this.currentRecord) {
-                // Update existing record
-                response = await fetch(`${this.apiUrl}/${this.currentRecord.id}`, {
-                    method: 'PUT',
-                    headers: { 'Content-Type': 'application/json' },
-                    body: JSON.stringify({ ...data, id: this.currentRecord.id })
-                });
-            } else {
-                // Create new record
-                response = await fetch(this.apiUrl, {
-                    method: 'POST',
-                    headers: { 'Content-Type': 'application/json' },
-                    body: JSON.stringify(data)
-                });
+            const current = enrollments.filter(enrollment => String(enrollment.termId) === String(term.id) && enrollment.status === 'Enrolled');
+            if (current.length === 0) {
+                alert(`${student.name} is not enrolled in any course in ${term.name}, so an enrollment certificate cannot be issued.`);
+                return;
             }
             
-            if (!response.ok) throw new Error('Failed to save student');
+            this.openInfoModal(`Enrollment Certificate - ${student.name}`, `<form id="certificateForm">
+                <p>${Html.escape(student.name)} is enrolled in ${current.length} course(s) in ${Html.escape(term.name)}.</p>
+                <div class="form-group">
+                    <label class="form-label" for="certificateAddressedTo">Addressed To</label>
+                    <input type="text" class="form-input" id="certificateAddressedTo" maxlength="120" placeholder="To Whom It May Concern">
+                </div>
+                <div class="modal-footer">
+                    <button type="submit" class="btn btn-primary">Issue &amp; Print</button>
+                </div>
+            </form>`);
             
-            this.closeModal();
-            this.loadData();
+            document.getElementById('certificateForm').addEventListener('submit', async (e) => {
+                e.preventDefault();
+                const addressedTo = document.getElementById('certificateAddressedTo').value.trim() || null;
+                await this.issueCertificate(student, term, current, addressedTo);
+            });
+        } catch (error) {
+            console.error('Error preparing the enrollment certificate:', error);
+            alert('Could not prepare the enrollment certificate. Please try again.');
+        }
+    }
+    
+    /**
+     * Issue and print an enrollment certificate for the student's courses in a term
+     */
+    async issueCertificate(student, term, enrollments, addressedTo) {
+        try {
+            const register = new IssuedDocument();
+            const entry = await register.issue('Enrollment Certificate', Documents.snapshot(student, enrollments, term), addressedTo);
             
+            this.closeInfoModal();
+            register.print(entry);
+            Toast.show(`Enrollment certificate ${entry.reference} issued for ${student.name}.`);
         } catch (error) {
-            console.error('Error saving student:', error);
-            alert('Failed to save student. Please try again.');
+            console.error('Error issuing the enrollment certificate:', error);
+            alert('Could not issue the enrollment certificate. Please try again.');
         }
     }
+    
+    /**
+     * Show the courses a student is enrolled in
+     */
+    async showStudentCourses(id) {
+        const [student, enrollments] = await Promise.all([
+            this.getStudentById(id),
+            new Enrollment().getEnrollmentsByStudent(id)
+        ]);
+        
+        const title = student ? `Courses - ${student.name}` : 'Student Courses';
+        
+        if (enrollments.length === 0) {
+            this.openInfoModal(title, '<p class="info-empty">This student is not enrolled in any course yet.</p>');
+            return;
+        }
+        
+        let html = '<table class="info-table"><thead><tr><th>Code</th><th>Course</th><th>Credits</th><th>Term</th><th>Enrolled</th><th>Status</th><th>Grade</th></tr></thead><tbody>';
+        enrollments.forEach(enrollment => {
+            const course = enrollment.course || {};
+            html += `<tr>
+                <td>${Html.escape(course.code) || '-'}</td>
+                <td>${Html.escape(course.name) || '-'}</td>
+                <td>${Html.escape(course.credits) || '-'}</td>
+                <td>${enrollment.term ? Html.escape(enrollment.term.name) : '-'}</td>
+                <td>${Html.escape(enrollment.enrollmentDate) || '-'}</td>
+                <td>${Html.escape(enrollment.status) || '-'}</td>
+                <td>${Html.escape(enrollment.grade) || '-'}</td>
+            </tr>`;
+        });
+        html += '</tbody></table>';
+        
+        this.openInfoModal(title, html);
+    }
+    
+    /**
+     * Detail drawer: the GPA of each term and the courses offered by the student's department
+     */
+    async getRelatedSections(student) {
+        const [enrollments, courses] = await Promise.all([
+            new Enrollment().getEnrollmentsByStudent(student.id),
+            new Course().filterByDepartment(student.department)
+        ]);
+        const gradesSection = this.renderTermResults(Grades.getTermResults(enrollments));
+        const attendanceSection = this.renderAttendance(enrollments);
+        const documentSections = Auth.canRead('documents')
+            ? [this.renderDocuments(await new IssuedDocument().getDocumentsByStudent(student.id))]
+            : [];
+        const title = `${student.department} Courses`;
+        
+        if (courses.length === 0) {
+            return [gradesSection, attendanceSection, ...documentSections, { title, html: '<p class="info-empty">No courses in this department yet.</p>' }];
+        }
+        
+        let html = '<table class="info-table"><thead><tr><th>Code</th><th>Course</th><th>Credits</th></tr></thead><tbody>';
+        courses.forEach(course => {
+            html += `<tr>
+                <td>${Html.escape(course.code)}</td>
+                <td>${Html.escape(course.name)}</td>
+                <td>${Html.escape(course.credits)}</td>
+            </tr>`;
+        });
+        html += '</tbody></table>';
+        
+        return [gradesSection, attendanceSection, ...documentSections, { title, html }];
+    }
+    
+    /**
+     * Detail drawer section: the transcripts and certificates issued to the student
+     */
+    renderDocuments(documents) {
+        const title = `Issued Documents (${documents.length})`;
+        
+        if (documents.length === 0) {
+            return { title, html: '<p class="info-empty">No documents issued yet.</p>' };
+        }
+        
+        let html = '<table class="info-table"><thead><tr><th>Reference</th><th>Document</th><th>Issued</th><th>By</th></tr></thead><tbody>';
+        documents.forEach(entry => {
+            html += `<tr>
+                <td>${Html.escape(entry.reference)}</td>
+                <td>${Html.escape(entry.type)}</td>
+                <td>${Html.escape(entry.date)}</td>
+                <td>${Html.escape(entry.issuedBy)}</td>
+            </tr>`;
+        });
+        html += '</tbody></table>';
+        
+        return { title, html };
+    }
+    
+    /**
+     * Detail drawer section: attendance rate per course, flagging the ones with too many absences
+     */
+    renderAttendance(enrollments) {
+        const tracked = enrollments.filter(enrollment => enrollment.attendanceRate !== null && enrollment.attendanceRate !== undefined);
+        const flagged = tracked.filter(enrollment => Attendance.isFlagged(enrollment.attendanceRate)).length;
+        const title = flagged > 0 ? `Attendance (${flagged} to follow up)` : 'Attendance';
+        
+        if (tracked.length === 0) {
+            return { title, html: '<p class="info-empty">No attendance taken yet.</p>' };
+        }
+        
+        let html = '<table class="info-table"><thead><tr><th>Course</th><th>Term</th><th>Attendance</th></tr></thead><tbody>';
+        tracked.forEach(enrollment => {
+            html += `<tr>
+                <td>${Html.escape(enrollment.course ? enrollment.course.code : '')}</td>
+                <td>${Html.escape(enrollment.term ? enrollment.term.name : '')}</td>
+                <td>${Html.escape(Attendance.formatRate(enrollment.attendanceRate))}</td>
+            </tr>`;
+        });
+        html += '</tbody></table>';
+        
+        return { title, html };
+    }
+    
+    /**
+     * Detail drawer section: credits, term GPA and cumulative GPA per term
+     */
+    renderTermResults(terms) {
+        const title = 'Grades by Term';
+        
+        if (terms.length === 0) {
+            return { title, html: '<p class="info-empty">No graded courses yet.</p>' };
+        }
+        
+        let html = '<table class="info-table"><thead><tr><th>Term</th><th>Credits</th><th>Term GPA</th><th>Cumulative GPA</th></tr></thead><tbody>';
+        terms.forEach(term => {
+            html += `<tr>
+                <td>${Html.escape(term.term)}</td>
+                <td>${term.credits}</td>
+                <td>${Grades.formatGpa(term.gpa)}</td>
+                <td>${Grades.formatGpa(term.cumulativeGpa)}</td>
+            </tr>`;
+        });
+        html += '</tbody></table>';
+        
+        return { title, html };
+    }
+    
+    /**
+     * Keep the calculated GPA a number (null while nothing is graded)
+     */
+    prepareRecord(data) {
+        data.gpa = data.gpa === undefined || data.gpa === '' ? null : parseFloat(data.gpa);
+        return data;
+    }
 }
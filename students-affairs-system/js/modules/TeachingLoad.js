@@ -0,0 +1,150 @@
+/**
+ * TeachingLoad Class - Courses and credit hours each instructor carries
+ *
+ * In a term, an instructor's load is the offerings they teach in it; across
+ * all terms it is the courses of the catalog assigned to them. A load below
+ * the minimum or above the maximum number of credits is flagged. The
+ * thresholds are remembered in this browser.
+ */
+
+import { DataSource } from './DataSource.js';
+
+const THRESHOLDS_KEY = 'teachingLoadThresholds';
+
+// Credit hours an instructor should teach, unless changed on the Teaching Load page
+const DEFAULT_THRESHOLDS = { minCredits: 3, maxCredits: 9 };
+
+// Highest threshold accepted
+const MAX_CREDITS = 60;
+
+export class TeachingLoad {
+    /**
+     * Minimum and maximum credits: the saved ones, else the defaults
+     */
+    static getThresholds() {
+        try {
+            const stored = JSON.parse(localStorage.getItem(THRESHOLDS_KEY) || 'null');
+            if (stored && TeachingLoad.checkThresholds(stored) === null) {
+                return { minCredits: stored.minCredits, maxCredits: stored.maxCredits };
+            }
+        } catch (error) {
+            console.error('Error reading the teaching load thresholds:', error);
+        }
+        
+        return { ...DEFAULT_THRESHOLDS };
+    }
+    
+    /**
+     * Why a pair of thresholds cannot be used, or null when it can
+     */
+    static checkThresholds({ minCredits, maxCredits }) {
+        const valid = value => Number.isInteger(value) && value >= 0 && value <= MAX_CREDITS;
+        
+        if (!valid(minCredits) || !valid(maxCredits)) {
+            return `Thresholds must be whole numbers of credits between 0 and ${MAX_CREDITS}`;
+        }
+        if (minCredits > maxCredits) {
+            return 'The minimum load cannot be above the maximum';
+        }
+        
+        return null;
+    }
+    
+    /**
+     * Save new thresholds; returns the reason they were refused, or null
+     */
+    static setThresholds(thresholds) {
+        const error = TeachingLoad.checkThresholds(thresholds);
+        if (error) return error;
+        
+        localStorage.setItem(THRESHOLDS_KEY, JSON.stringify({
+            minCredits: thresholds.minCredits,
+            maxCredits: thresholds.maxCredits
+        }));
+        return null;
+    }
+    
+    /**
+     * Forget the saved thresholds and use the defaults again
+     */
+    static resetThresholds() {
+        localStorage.removeItem(THRESHOLDS_KEY);
+    }
+    
+    /**
+     * 'Overloaded', 'Underloaded' or 'Normal' for a number of credits
+     */
+    static getStatus(credits) {
+        const { minCredits, maxCredits } = TeachingLoad.getThresholds();
+        
+        if (credits > maxCredits) return 'Overloaded';
+        if (credits < minCredits) return 'Underloaded';
+        return 'Normal';
+    }
+    
+    /**
+     * What is taught: the offerings of a term, or the catalog's courses without
+     * a term, as { id, instructorId, course } records (id of the offering or course)
+     */
+    static async getTeaching(termId = null) {
+        if (termId) {
+            const offerings = await DataSource.repository('offerings').findAll({ deleted: false, termId }, { expand: ['course'] });
+            return offerings
+                .filter(offering => offering.course && !offering.course.deleted)
+                .map(offering => ({ id: offering.id, instructorId: offering.instructorId, course: offering.course }));
+        }
+        
+        const courses = await DataSource.repository('courses').findAll({ deleted: false });
+        return courses.map(course => ({ id: course.id, instructorId: course.instructorId, course }));
+    }
+    
+    /**
+     * Total the teaching per instructor id: { courses, credits }, courses by code
+     */
+    static sumLoads(teaching) {
+        const loads = new Map();
+        
+        teaching
+            .filter(item => item.instructorId)
+            .forEach(item => {
+                const id = String(item.instructorId);
+                if (!loads.has(id)) loads.set(id, { courses: [], credits: 0 });
+                
+                const load = loads.get(id);
+                load.courses.push(item.course);
+                load.credits += parseInt(item.course.credits) || 0;
+            });
+        
+        loads.forEach(load => load.courses.sort((a, b) => String(a.code).localeCompare(String(b.code))));
+        return loads;
+    }
+    
+    /**
+     * Warning for an instructor who would teach more than the maximum (in a term,
+     * or in the catalog without one) once an offering or course is saved, or null.
+     * `change` is what is being saved as { id (null when new), instructorId, course }.
+     */
+    static async getOverloadWarning(change, termId = null) {
+        const instructorId = change.instructorId;
+        if (!instructorId) return null;
+        
+        try {
+            const teaching = (await TeachingLoad.getTeaching(termId))
+                .filter(item => change.id === null || String(item.id) !== String(change.id));
+            const load = TeachingLoad.sumLoads([...teaching, change]).get(String(instructorId));
+            if (!load || TeachingLoad.getStatus(load.credits) !== 'Overloaded') return null;
+            
+            const [instructor, term] = await Promise.all([
+                DataSource.repository('instructors').get(instructorId),
+                termId ? DataSource.repository('terms').get(termId) : null
+            ]);
+            const name = instructor ? instructor.name : `Instructor #${instructorId}`;
+            const where = term ? ` in ${term.name}` : '';
+            
+            return `${name} would teach ${load.credits} credits${where}, above the maximum load of ${TeachingLoad.getThresholds().maxCredits}.`;
+        } catch (error) {
+            console.error('Error checking the teaching load:', error);
+            return null;
+        }
+    }
+}
@@ -0,0 +1,278 @@
+/**
+ * TeachingLoadReport Class - Teaching load of every instructor, opened from the Instructors page
+ *
+ * Totals the courses and credit hours of each instructor in the term picked
+ * in the header (across the course catalog when "All terms" is picked),
+ * grouped by department and specialization, and flags the instructors above
+ * or below the load thresholds (see TeachingLoad). The thresholds can be
+ * changed on the page; the status filter is kept in the URL.
+ */
+
+import { Html } from './Html.js';
+import { Auth } from './Auth.js';
+import { TermScope } from './TermScope.js';
+import { TeachingLoad } from './TeachingLoad.js';
+import { Instructor } from './Instructor.js';
+
+// Load statuses, in the order of the filter and the summary
+const STATUSES = ['Overloaded', 'Underloaded', 'Normal'];
+
+// Badge of each load status
+const STATUS_BADGES = {
+    Overloaded: 'badge-danger',
+    Underloaded: 'badge-warning',
+    Normal: 'badge-success'
+};
+
+export class TeachingLoadReport {
+    constructor(onNavigate) {
+        // Called with (page, state) to open a record in its table
+        this.onNavigate = onNavigate;
+        
+        // Called with { filters } whenever the filters change (set by app.js)
+        this.onStateChange = null;
+        
+        // The term shown (null: the course catalog) and each instructor's load
+        this.term = null;
+        this.rows = [];
+        
+        this.filters = {};
+        this.thresholdError = '';
+        this.isDestroyed = false;
+        
+        // DOM Elements
+        this.view = document.getElementById('teachingLoadView');
+        this.tableView = document.getElementById('tableView');
+    }
+    
+    /**
+     * Initialize the report
+     */
+    async init(state = null) {
+        this.tableView.style.display = 'none';
+        this.view.style.display = 'block';
+        this.filters = this.pickFilters(state);
+        
+        await this.loadData();
+    }
+    
+    /**
+     * Remove the report and show the table view again (called when switching pages)
+     */
+    destroy() {
+        this.isDestroyed = true;
+        this.view.innerHTML = '';
+        this.view.style.display = 'none';
+        this.tableView.style.display = '';
+    }
+    
+    /**
+     * Apply the filters of a URL (back/forward, edited links)
+     */
+    restoreState(state) {
+        this.filters = this.pickFilters(state);
+        this.render();
+    }
+    
+    /**
+     * Keep the known status filter of a page state
+     */
+    pickFilters(state) {
+        const status = state && state.filters ? state.filters.status : '';
+        return STATUSES.includes(status) ? { status } : {};
+    }
+    
+    /**
+     * Load the instructors and what they teach in the selected term (or the catalog), then render
+     */
+    async loadData() {
+        this.view.innerHTML = '<div class="loading-spinner"><div class="spinner"></div><p>Loading teaching load...</p></div>';
+        
+        // Term loads come from offerings, which not every role can read
+        this.term = Auth.canRead('offerings') ? TermScope.getTerm() : null;
+        
+        try {
+            const [instructors, teaching] = await Promise.all([
+                new Instructor().getAllInstructors(),
+                TeachingLoad.getTeaching(this.term ? this.term.id : null)
+            ]);
+            const loads = TeachingLoad.sumLoads(teaching);
+            
+            this.rows = instructors.map(instructor => {
+                const load = loads.get(String(instructor.id)) || { courses: [], credits: 0 };
+                return { instructor, courses: load.courses, credits: load.credits };
+            });
+        } catch (error) {
+            console.error('Error loading the teaching load:', error);
+            this.rows = [];
+        }
+        
+        // The user may have left the page while the data was loading
+        if (this.isDestroyed) return;
+        this.render();
+    }
+    
+    /**
+     * Group rows by department, then by specialization (both alphabetical)
+     */
+    groupRows(rows) {
+        const groups = new Map();
+        
+        rows.forEach(row => {
+            const department = row.instructor.department || 'No Department';
+            const specialization = row.instructor.specialization || 'No Specialization';
+            
+            if (!groups.has(department)) groups.set(department, new Map());
+            const specializations = groups.get(department);
+            if (!specializations.has(specialization)) specializations.set(specialization, []);
+            specializations.get(specialization).push(row);
+        });
+        
+        const byName = (a, b) => a[0].localeCompare(b[0]);
+        return [...groups.entries()].sort(byName).map(([department, specializations]) => ({
+            department,
+            specializations: [...specializations.entries()].sort(byName).map(([specialization, items]) => ({
+                specialization,
+                rows: items.sort((a, b) => b.credits - a.credits || a.instructor.name.localeCompare(b.instructor.name))
+            }))
+        }));
+    }
+    
+    /**
+     * Render the thresholds, the summary and the grouped tables
+     */
+    render() {
+        const { minCredits, maxCredits } = TeachingLoad.getThresholds();
+        const rows = this.rows.map(row => ({ ...row, status: TeachingLoad.getStatus(row.credits) }));
+        const shown = rows.filter(row => !this.filters.status || row.status === this.filters.status);
+        const counts = STATUSES.map(status => `${rows.filter(row => row.status === status).length} ${status.toLowerCase()}`);
+        
+        const source = this.term
+            ? `Offerings of ${Html.escape(this.term.name)}`
+            : 'Courses assigned in the catalog (all terms)';
+        
+        this.view.innerHTML = `
+            <div class="page-header">
+                <div class="page-title-wrapper">
+                    <h2 class="page-title">Teaching Load</h2>
+                    <p class="page-subtitle">${source} · ${rows.length} instructors: ${counts.join(', ')}</p>
+                </div>
+                <a href="#/instructors" class="btn btn-secondary">← Instructors</a>
+            </div>
+            
+            <form class="filter-bar" id="teachingLoadThresholds" novalidate>
+                <div class="filter-group">
+                    <label class="filter-label" for="teachingLoadMin">Min Credits</label>
+                    <input type="number" class="filter-input" id="teachingLoadMin" min="0" step="1" value="${minCredits}">
+                </div>
+                <div class="filter-group">
+                    <label class="filter-label" for="teachingLoadMax">Max Credits</label>
+                    <input type="number" class="filter-input" id="teachingLoadMax" min="0" step="1" value="${maxCredits}">
+                </div>
+                <button type="submit" class="btn btn-primary btn-sm">Apply</button>
+                <button type="button" class="btn btn-secondary btn-sm" id="resetTeachingLoadBtn">Reset</button>
+                <div class="filter-group">
+                    <label class="filter-label" for="teachingLoad-status">Load</label>
+                    <select class="filter-input" id="teachingLoad-status">
+                        <option value="">All</option>
+                        ${STATUSES.map(status => `
+                            <option value="${status}" ${this.filters.status === status ? 'selected' : ''}>${status}</option>
+                        `).join('')}
+                    </select>
+                </div>
+                <span class="form-error" id="teachingLoadError">${Html.escape(this.thresholdError)}</span>
+            </form>
+            
+            ${shown.length === 0
+                ? '<p class="chart-empty">No instructors match this filter.</p>'
+                : this.groupRows(shown).map(group => this.renderGroup(group)).join('')}
+        `;
+        
+        this.attachEventListeners();
+    }
+    
+    /**
+     * Render one department: a table per specialization with the department's totals
+     */
+    renderGroup(group) {
+        const rows = group.specializations.flatMap(item => item.rows);
+        const courses = rows.reduce((sum, row) => sum + row.courses.length, 0);
+        const credits = rows.reduce((sum, row) => sum + row.credits, 0);
+        const count = (number, noun) => `${number} ${noun}${number === 1 ? '' : 's'}`;
+        
+        return `
+            <section class="teaching-load-group">
+                <h3 class="teaching-load-department">${Html.escape(group.department)}
+                    <span>${count(rows.length, 'instructor')} · ${count(courses, 'course')} · ${count(credits, 'credit')}</span>
+                </h3>
+                ${group.specializations.map(item => `
+                    <h4 class="teaching-load-specialization">${Html.escape(item.specialization)}</h4>
+                    <table class="info-table">
+                        <thead><tr><th>Instructor</th><th>Courses</th><th>Credits</th><th>Load</th></tr></thead>
+                        <tbody>
+                            ${item.rows.map(row => `
+                                <tr>
+                                    <td><button type="button" class="link-btn" data-instructor="${row.instructor.id}">${Html.escape(row.instructor.name)}</button></td>
+                                    <td>${row.courses.length > 0 ? `${row.courses.length} (${Html.escape(row.courses.map(course => course.code).join(', '))})` : '0'}</td>
+                                    <td>${row.credits}</td>
+                                    <td><span class="badge ${STATUS_BADGES[row.status]}">${row.status}</span></td>
+                                </tr>
+                            `).join('')}
+                        </tbody>
+                    </table>
+                `).join('')}
+            </section>
+        `;
+    }
+    
+    /**
+     * Threshold changes, the status filter and clicks on instructors
+     */
+    attachEventListeners() {
+        const form = document.getElementById('teachingLoadThresholds');
+        form.addEventListener('submit', event => {
+            event.preventDefault();
+            
+            const read = id => {
+                const value = document.getElementById(id).value.trim();
+                return value === '' ? NaN : Number(value);
+            };
+            this.thresholdError = TeachingLoad.setThresholds({
+                minCredits: read('teachingLoadMin'),
+                maxCredits: read('teachingLoadMax')
+            }) || '';
+            this.render();
+        });
+        
+        document.getElementById('resetTeachingLoadBtn').addEventListener('click', () => {
+            TeachingLoad.resetThresholds();
+            this.thresholdError = '';
+            this.render();
+        });
+        
+        document.getElementById('teachingLoad-status').addEventListener('change', event => {
+            this.filters = event.target.value ? { status: event.target.value } : {};
+            this.render();
+            this.notifyStateChange();
+        });
+        
+        // An instructor opens their details
+        this.view.querySelectorAll('[data-instructor]').forEach(button => {
+            button.addEventListener('click', () => this.onNavigate('instructors', { viewId: button.dataset.instructor }));
+        });
+    }
+    
+    /**
+     * Get the state that is stored in the URL
+     */
+    getState() {
+        return { filters: { ...this.filters } };
+    }
+    
+    /**
+     * Tell app.js the filters changed, so they are kept in the URL
+     */
+    notifyStateChange() {
+        if (this.onStateChange) this.onStateChange(this.getState());
+    }
+}
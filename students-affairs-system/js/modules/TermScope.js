@@ -0,0 +1,120 @@
+/**
+ * TermScope Class - The academic term picked in the header's term selector
+ *
+ * Tables with term-bound records (offerings, enrollments, courses on offer)
+ * and the dashboard only show the selected term. The choice is kept in the
+ * page address (`term=` in the route, see Router) and remembered in this
+ * browser for addresses without one; without either, the term marked as
+ * current is used. A null term id means "All terms".
+ */
+
+import { DataSource } from './DataSource.js';
+import { Auth } from './Auth.js';
+
+const SELECTED_TERM_KEY = 'selectedTerm';
+
+// Live terms, newest first
+let terms = [];
+let selectedTermId = null;
+
+// Called with the new term id whenever the selection changes
+const listeners = [];
+
+// Called with the terms whenever they were (re)loaded
+const loadListeners = [];
+
+export class TermScope {
+    /**
+     * Load the terms (again, e.g. after one was edited) and select the term of
+     * the page address (an id or 'all'), else the remembered one
+     */
+    static async load(param = null) {
+        terms = [];
+        
+        if (Auth.canRead('terms')) {
+            try {
+                terms = await DataSource.repository('terms').findAll({ deleted: false }, { sort: 'startDate', order: 'desc' });
+            } catch (error) {
+                console.error('Error loading academic terms:', error);
+            }
+        }
+        
+        if (!TermScope.restore(param) && !TermScope.restore(localStorage.getItem(SELECTED_TERM_KEY))) {
+            const current = TermScope.getCurrentTerm();
+            selectedTermId = current ? String(current.id) : null;
+        }
+        
+        loadListeners.forEach(listener => listener(terms));
+        return terms;
+    }
+    
+    /**
+     * Select the term named in a page address ('all' or the id of a live term)
+     * without telling the listeners. Returns false when it names no such term.
+     */
+    static restore(param) {
+        if (param !== 'all' && !terms.some(term => String(term.id) === String(param))) return false;
+        
+        selectedTermId = param === 'all' ? null : String(param);
+        localStorage.setItem(SELECTED_TERM_KEY, TermScope.getParam());
+        return true;
+    }
+    
+    /**
+     * The selected term as written in page addresses: its id, or 'all'
+     */
+    static getParam() {
+        return selectedTermId || 'all';
+    }
+    
+    /**
+     * Live terms, newest first
+     */
+    static getTerms() {
+        return terms;
+    }
+    
+    /**
+     * Id of the selected term (as a string), or null for all terms
+     */
+    static getTermId() {
+        return selectedTermId;
+    }
+    
+    /**
+     * The selected term record, or null for all terms
+     */
+    static getTerm() {
+        return terms.find(term => String(term.id) === selectedTermId) || null;
+    }
+    
+    /**
+     * The term marked as current, or null
+     */
+    static getCurrentTerm() {
+        return terms.find(term => term.isCurrent) || null;
+    }
+    
+    /**
+     * Select a term (null for all terms), remember it and tell the listeners
+     */
+    static select(termId) {
+        selectedTermId = termId ? String(termId) : null;
+        localStorage.setItem(SELECTED_TERM_KEY, TermScope.getParam());
+        listeners.forEach(listener => listener(selectedTermId));
+    }
+    
+    /**
+     * Listen for selection changes: listener(termId)
+     */
+    static onChange(listener) {
+        listeners.push(listener);
+    }
+    
+    /**
+     * Listen for (re)loaded terms: listener(terms)
+     */
+    static onLoad(listener) {
+        loadListeners.push(listener);
+    }
+}
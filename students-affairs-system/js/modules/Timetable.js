@@ -0,0 +1,343 @@
+/**
+ * Timetable Class - Weekly calendar of the classes given in a term
+ *
+ * Shows the offerings of the term picked in the header (the current term when
+ * "All terms" is picked) at their meeting times, one column per day. The
+ * calendar can be narrowed down to an instructor, a room, a department or a
+ * student; like a table's column filters, the choice is kept in the URL.
+ */
+
+import { Html } from './Html.js';
+import { Auth } from './Auth.js';
+import { TermScope } from './TermScope.js';
+import { Schedule } from './Schedule.js';
+import { Offering } from './Offering.js';
+import { Enrollment } from './Enrollment.js';
+import { Student } from './Student.js';
+
+// Filters the calendar understands (URL parameters f.<name>)
+const FILTERS = ['instructorId', 'roomId', 'department', 'studentId'];
+
+// Hours shown when nothing is scheduled earlier or later
+const DEFAULT_FIRST_HOUR = 8;
+const DEFAULT_LAST_HOUR = 17;
+
+export class Timetable {
+    constructor(onNavigate) {
+        // Called with (page, state) to open a record in its table
+        this.onNavigate = onNavigate;
+        
+        // Called with { filters } whenever the filters change (set by app.js)
+        this.onStateChange = null;
+        
+        // The term shown, its offerings, and the students enrolled in each course
+        this.term = null;
+        this.offerings = [];
+        this.students = [];
+        this.studentCourses = new Map();
+        
+        this.filters = {};
+        this.isDestroyed = false;
+        
+        // DOM Elements
+        this.view = document.getElementById('timetableView');
+        this.tableView = document.getElementById('tableView');
+    }
+    
+    /**
+     * Initialize timetable
+     */
+    async init(state = null) {
+        this.tableView.style.display = 'none';
+        this.view.style.display = 'block';
+        this.filters = this.pickFilters(state);
+        
+        await this.loadData();
+    }
+    
+    /**
+     * Remove the timetable and show the table view again (called when switching pages)
+     */
+    destroy() {
+        this.isDestroyed = true;
+        this.view.innerHTML = '';
+        this.view.style.display = 'none';
+        this.tableView.style.display = '';
+    }
+    
+    /**
+     * Apply the filters of a URL (back/forward, edited links)
+     */
+    restoreState(state) {
+        this.filters = this.pickFilters(state);
+        this.render();
+    }
+    
+    /**
+     * Keep the known, non-empty filters of a page state
+     */
+    pickFilters(state) {
+        const filters = {};
+        
+        FILTERS.forEach(name => {
+            const value = state && state.filters ? state.filters[name] : '';
+            if (value) filters[name] = String(value);
+        });
+        
+        return filters;
+    }
+    
+    /**
+     * Load the offerings of the term shown and who takes them, then render
+     */
+    async loadData() {
+        this.view.innerHTML = '<div class="loading-spinner"><div class="spinner"></div><p>Loading timetable...</p></div>';
+        
+        this.term = TermScope.getTerm() || TermScope.getCurrentTerm();
+        this.offerings = [];
+        this.students = [];
+        this.studentCourses = new Map();
+        
+        if (this.term) {
+            const canSeeStudents = Auth.canRead('enrollments') && Auth.canRead('students');
+            const [offerings, enrollments, students] = await Promise.all([
+                new Offering().getOfferingsByTerm(this.term.id),
+                canSeeStudents ? new Enrollment().getEnrollmentsByTerm(this.term.id) : [],
+                canSeeStudents ? new Student().getAllStudents() : []
+            ]);
+            
+            enrollments
+                .filter(enrollment => enrollment.status !== 'Dropped')
+                .forEach(enrollment => {
+                    const studentId = String(enrollment.studentId);
+                    if (!this.studentCourses.has(studentId)) this.studentCourses.set(studentId, new Set());
+                    this.studentCourses.get(studentId).add(String(enrollment.courseId));
+                });
+            
+            this.offerings = offerings;
+            this.students = students.filter(student => this.studentCourses.has(String(student.id)));
+        }
+        
+        // The user may have left the page while the data was loading
+        if (this.isDestroyed) return;
+        this.render();
+    }
+    
+    /**
+     * Offerings matching the selected filters
+     */
+    getFilteredOfferings() {
+        const { instructorId, roomId, department, studentId } = this.filters;
+        const studentCourses = studentId ? (this.studentCourses.get(studentId) || new Set()) : null;
+        
+        return this.offerings.filter(offering =>
+            (!instructorId || String(offering.instructorId) === instructorId) &&
+            (!roomId || String(offering.roomId) === roomId) &&
+            (!department || (offering.course && offering.course.department === department)) &&
+            (!studentCourses || studentCourses.has(String(offering.courseId))));
+    }
+    
+    /**
+     * Options of each filter, taken from the term's offerings and students
+     */
+    getFilterOptions() {
+        // First record of each key (e.g. one entry per room)
+        const unique = (items, key) => items.filter((item, index) => items.findIndex(other => key(other) === key(item)) === index);
+        const byLabel = (a, b) => a.label.localeCompare(b.label);
+        
+        const instructors = unique(this.offerings.filter(offering => offering.instructor), offering => String(offering.instructorId))
+            .map(offering => ({ value: String(offering.instructorId), label: offering.instructor.name }));
+        const rooms = unique(this.offerings.filter(offering => offering.room), offering => String(offering.roomId))
+            .map(offering => ({ value: String(offering.roomId), label: offering.room.name }));
+        const departments = unique(this.offerings.filter(offering => offering.course), offering => offering.course.department)
+            .map(offering => ({ value: offering.course.department, label: offering.course.department }));
+        const students = this.students.map(student => ({ value: String(student.id), label: student.name }));
+        
+        return [
+            { name: 'instructorId', label: 'Instructor', options: instructors.sort(byLabel) },
+            { name: 'roomId', label: 'Room', options: rooms.sort(byLabel) },
+            { name: 'department', label: 'Department', options: departments.sort(byLabel) },
+            { name: 'studentId', label: 'Student', options: students.sort(byLabel) }
+        ].filter(filter => filter.name !== 'studentId' || Auth.canRead('enrollments'));
+    }
+    
+    /**
+     * Render the filters and the weekly calendar
+     */
+    render() {
+        if (!this.term) {
+            this.view.innerHTML = `
+                <div class="page-header">
+                    <div class="page-title-wrapper">
+                        <h2 class="page-title">Weekly Timetable</h2>
+                        <p class="page-subtitle">Add an academic term to plan its classes.</p>
+                    </div>
+                </div>`;
+            return;
+        }
+        
+        const offerings = this.getFilteredOfferings();
+        const scheduled = offerings.filter(offering => Schedule.hasMeeting(offering));
+        const unscheduled = offerings.filter(offering => !Schedule.hasMeeting(offering));
+        
+        this.view.innerHTML = `
+            <div class="page-header">
+                <div class="page-title-wrapper">
+                    <h2 class="page-title">Weekly Timetable</h2>
+                    <p class="page-subtitle">Classes of ${Html.escape(this.term.name)}${TermScope.getTerm() ? '' : ' (current term)'} · ${scheduled.length} scheduled</p>
+                </div>
+            </div>
+            
+            <div class="filter-bar">
+                ${this.getFilterOptions().map(filter => `
+                    <div class="filter-group">
+                        <label class="filter-label" for="timetable-${filter.name}">${filter.label}</label>
+                        <select class="filter-input" id="timetable-${filter.name}" data-filter="${filter.name}">
+                            <option value="">All</option>
+                            ${filter.options.map(option => `
+                                <option value="${Html.escape(option.value)}" ${this.filters[filter.name] === option.value ? 'selected' : ''}>${Html.escape(option.label)}</option>
+                            `).join('')}
+                        </select>
+                    </div>
+                `).join('')}
+                <button type="button" class="btn btn-secondary btn-sm" id="clearTimetableFiltersBtn">Clear Filters</button>
+            </div>
+            
+            ${this.renderCalendar(scheduled)}
+            
+            ${unscheduled.length > 0 ? `
+                <p class="timetable-unscheduled">Not scheduled yet: ${unscheduled.map(offering =>
+                    `<button type="button" class="link-btn" data-offering="${offering.id}">${Html.escape(offering.course ? offering.course.code : `#${offering.id}`)}</button>`
+                ).join(', ')}</p>
+            ` : ''}
+        `;
+        
+        this.attachEventListeners();
+    }
+    
+    /**
+     * Render the calendar grid: one column per day, classes placed by their times.
+     * Classes overlapping on a day (only possible across rooms and instructors)
+     * share the column side by side.
+     */
+    renderCalendar(offerings) {
+        if (offerings.length === 0) {
+            return '<p class="chart-empty">No scheduled classes match these filters.</p>';
+        }
+        
+        const starts = offerings.map(offering => Schedule.toMinutes(offering.startTime));
+        const ends = offerings.map(offering => Schedule.toMinutes(offering.endTime));
+        const firstHour = Math.min(DEFAULT_FIRST_HOUR, Math.floor(Math.min(...starts) / 60));
+        const lastHour = Math.max(DEFAULT_LAST_HOUR, Math.ceil(Math.max(...ends) / 60));
+        const span = (lastHour - firstHour) * 60;
+        const position = minutes => ((minutes - firstHour * 60) / span * 100).toFixed(3);
+        
+        const hours = [];
+        for (let hour = firstHour; hour < lastHour; hour++) hours.push(hour);
+        
+        const days = Schedule.getCalendarDays(offerings).map(day => {
+            const classes = offerings
+                .filter(offering => Schedule.getMeetingDays(offering).includes(day))
+                .sort((a, b) => a.startTime.localeCompare(b.startTime));
+            const lanes = this.assignLanes(classes);
+            const laneCount = Math.max(1, ...lanes.values());
+            
+            return `
+                <div class="timetable-day">
+                    <div class="timetable-day-name">${day}</div>
+                    <div class="timetable-day-body" style="--hours: ${hours.length}">
+                        ${classes.map(offering => `
+                            <button type="button" class="timetable-event" data-offering="${offering.id}"
+                                style="top: ${position(Schedule.toMinutes(offering.startTime))}%; height: ${(Schedule.toMinutes(offering.endTime) - Schedule.toMinutes(offering.startTime)) / span * 100}%; left: ${(lanes.get(offering.id) - 1) / laneCount * 100}%; width: ${100 / laneCount}%"
+                                title="${Html.escape(`${offering.course ? `${offering.course.code} - ${offering.course.name}` : ''} · ${Schedule.format(offering)}`)}">
+                                <strong>${Html.escape(offering.course ? offering.course.code : `#${offering.id}`)}</strong>
+                                <span>${offering.startTime}–${offering.endTime}</span>
+                                <span>${Html.escape([offering.room && offering.room.name, offering.instructor && offering.instructor.name].filter(Boolean).join(' · '))}</span>
+                            </button>
+                        `).join('')}
+                    </div>
+                </div>
+            `;
+        }).join('');
+        
+        return `
+            <div class="timetable">
+                <div class="timetable-times">
+                    <div class="timetable-day-name"></div>
+                    <div class="timetable-day-body" style="--hours: ${hours.length}">
+                        ${hours.map(hour => `<span class="timetable-hour" style="top: ${position(hour * 60)}%">${String(hour).padStart(2, '0')}:00</span>`).join('')}
+                    </div>
+                </div>
+                ${days}
+            </div>
+        `;
+    }
+    
+    /**
+     * Number each class of a day with the first lane (1, 2, ...) not taken by an earlier overlapping class
+     */
+    assignLanes(classes) {
+        const lanes = new Map();
+        const laneEnds = [];
+        
+        classes.forEach(offering => {
+            const start = Schedule.toMinutes(offering.startTime);
+            let lane = laneEnds.findIndex(end => end <= start);
+            if (lane === -1) lane = laneEnds.length;
+            
+            laneEnds[lane] = Schedule.toMinutes(offering.endTime);
+            lanes.set(offering.id, lane + 1);
+        });
+        
+        return lanes;
+    }
+    
+    /**
+     * Filter changes and clicks on classes
+     */
+    attachEventListeners() {
+        this.view.querySelectorAll('[data-filter]').forEach(select => {
+            select.addEventListener('change', () => this.setFilter(select.dataset.filter, select.value));
+        });
+        
+        const clearButton = document.getElementById('clearTimetableFiltersBtn');
+        clearButton.addEventListener('click', () => {
+            this.filters = {};
+            this.render();
+            this.notifyStateChange();
+        });
+        
+        // A class opens its offering's details
+        this.view.querySelectorAll('[data-offering]').forEach(button => {
+            button.addEventListener('click', () => this.onNavigate('offerings', { viewId: button.dataset.offering }));
+        });
+    }
+    
+    /**
+     * Set (or clear, with '') one filter and re-render
+     */
+    setFilter(name, value) {
+        if (value) {
+            this.filters[name] = value;
+        } else {
+            delete this.filters[name];
+        }
+        
+        this.render();
+        this.notifyStateChange();
+    }
+    
+    /**
+     * Get the state that is stored in the URL
+     */
+    getState() {
+        return { filters: { ...this.filters } };
+    }
+    
+    /**
+     * Tell app.js the filters changed, so they are kept in the URL
+     */
+    notifyStateChange() {
+        if (this.onStateChange) this.onStateChange(this.getState());
+    }
+}
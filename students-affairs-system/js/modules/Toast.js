@@ -0,0 +1,41 @@
+/**
+ * Toast Class - Short-lived notifications in the corner of the screen,
+ * optionally with an action button (e.g. "Undo")
+ */
+
+import { Html } from './Html.js';
+
+export class Toast {
+    /**
+     * Show a message and remove it after `duration` milliseconds
+     * @param {string} message
+     * @param {Object} [options]
+     * @param {{label: string, handler: Function}} [options.action] - Button that runs `handler` and closes the toast
+     * @param {number} [options.duration]
+     */
+    static show(message, { action = null, duration = 6000 } = {}) {
+        const container = document.getElementById('toastContainer');
+        const toast = document.createElement('div');
+        toast.className = 'toast';
+        toast.innerHTML = `<span class="toast-message">${Html.escape(message)}</span>`;
+        
+        if (action) {
+            toast.innerHTML += `<button type="button" class="toast-action">${Html.escape(action.label)}</button>`;
+            toast.querySelector('.toast-action').addEventListener('click', () => {
+                Toast.dismiss(toast);
+                action.handler();
+            });
+        }
+        
+        container.appendChild(toast);
+        setTimeout(() => Toast.dismiss(toast), duration);
+        return toast;
+    }
+    
+    /**
+     * Remove a toast (safe to call more than once)
+     */
+    static dismiss(toast) {
+        toast.remove();
+    }
+}
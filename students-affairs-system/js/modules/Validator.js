@@ -0,0 +1,137 @@
+/**
+ * Validator Class - Checks form values against the rules declared on formFields
+ *
+ * Supported field options:
+ *   required: true
+ *   rules: {
+ *       minLength, maxLength   - text length
+ *       pattern                - RegExp the value must match
+ *       min, max, integer      - numeric range (number fields)
+ *       minDate, maxDate       - 'YYYY-MM-DD' or 'today' (date fields)
+ *       unique: true           - no other record may have the same value (checked on the server)
+ *       messages: { required, minLength, maxLength, pattern, email, range, integer, minDate, maxDate, unique }
+ *   }
+ * Email fields are always checked for a valid address.
+ */
+
+const EMAIL_PATTERN = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+
+export class Validator {
+    /**
+     * Validate one field and return its first error message, or null.
+     * context: { table, id } - the DataTable (for unique checks) and the record being edited.
+     * Set skipAsync to leave out server checks (used while the user is typing).
+     */
+    static async validateField(field, rawValue, context = {}, skipAsync = false) {
+        const rules = field.rules || {};
+        const value = rawValue === undefined || rawValue === null ? '' : String(rawValue).trim();
+        const message = (rule, fallback) => (rules.messages && rules.messages[rule]) || fallback;
+        
+        if (value === '') {
+            if (!field.required) return null;
+            return message('required', field.type === 'select'
+                ? `Please select ${/^[aeiou]/i.test(field.label) ? 'an' : 'a'} ${field.label.toLowerCase()}`
+                : `${field.label} is required`);
+        }
+        
+        if (rules.minLength && value.length < rules.minLength) {
+            return message('minLength', `${field.label} must be at least ${rules.minLength} characters long`);
+        }
+        
+        if (rules.maxLength && value.length > rules.maxLength) {
+            return message('maxLength', `${field.label} must be at most ${rules.maxLength} characters long`);
+        }
+        
+        if (field.type === 'email' && !EMAIL_PATTERN.test(value)) {
+            return message('email', 'Please enter a valid email address');
+        }
+        
+        if (rules.pattern && !rules.pattern.test(value)) {
+            return message('pattern', `${field.label} has an invalid format`);
+        }
+        
+        if (field.type === 'number') {
+            const number = Number(value);
+            
+            if (isNaN(number) ||
+                (rules.min !== undefined && number < rules.min) ||
+                (rules.max !== undefined && number > rules.max)) {
+                return message('range', Validator.rangeMessage(field.label, rules));
+            }
+            
+            if (rules.integer && !Number.isInteger(number)) {
+                return message('integer', `${field.label} must be a whole number`);
+            }
+        }
+        
+        if (field.type === 'date') {
+            const minDate = Validator.resolveDate(rules.minDate);
+            const maxDate = Validator.resolveDate(rules.maxDate);
+            
+            if (minDate && value < minDate) {
+                return message('minDate', `${field.label} cannot be before ${minDate}`);
+            }
+            if (maxDate && value > maxDate) {
+                return message('maxDate', rules.maxDate === 'today'
+                    ? `${field.label} cannot be in the future`
+                    : `${field.label} cannot be after ${maxDate}`);
+            }
+        }
+        
+        if (rules.unique && !skipAsync && context.table &&
+            await context.table.isValueTaken(field.name, value, context.id)) {
+            return message('unique', `${field.label} ${value} already exists`);
+        }
+        
+        return null;
+    }
+    
+    /**
+     * Validate every field of a record.
+     * Returns { isValid, errors, fieldErrors } where fieldErrors maps field names to messages.
+     */
+    static async validateRecord(fields, data, context = {}) {
+        const fieldErrors = {};
+        
+        for (const field of fields) {
+            const error = await Validator.validateField(field, data[field.name], context);
+            if (error) fieldErrors[field.name] = error;
+        }
+        
+        return Validator.result(fieldErrors);
+    }
+    
+    /**
+     * Build a validation result from a map of field errors
+     */
+    static result(fieldErrors) {
+        const errors = Object.values(fieldErrors);
+        return {
+            isValid: errors.length === 0,
+            errors: errors,
+            fieldErrors: fieldErrors
+        };
+    }
+    
+    /**
+     * Default message for a numeric range
+     */
+    static rangeMessage(label, rules) {
+        if (rules.min !== undefined && rules.max !== undefined) return `${label} must be between ${rules.min} and ${rules.max}`;
+        if (rules.min !== undefined) return `${label} must be at least ${rules.min}`;
+        if (rules.max !== undefined) return `${label} must be at most ${rules.max}`;
+        return `${label} must be a number`;
+    }
+    
+    /**
+     * Turn a date bound into 'YYYY-MM-DD' ('today' is the local date)
+     */
+    static resolveDate(bound) {
+        if (bound !== 'today') return bound || null;
+        
+        const today = new Date();
+        const month = String(today.getMonth() + 1).padStart(2, '0');
+        const day = String(today.getDate()).padStart(2, '0');
+        return `${today.getFullYear()}-${month}-${day}`;
+    }
+}
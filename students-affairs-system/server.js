@@ -0,0 +1,606 @@
+/**
+ * API Server - json-server behind a login and role-based permissions
+ *
+ * Serves the app (index.html, css/, js/) and the json-server API from the same
+ * origin so the session cookie is sent with every request. Users and their
+ * roles live in data/users.json; the data itself stays in data/db.json.
+ *
+ * Usage:
+ *   node server.js                                            start on http://localhost:3000
+ *   node server.js add-user <username> <password> <role> "<Full Name>"
+ *   node server.js migrate                                    bring an older db.json up to date (server stopped)
+ *
+ * Environment: PORT, DB_FILE, USERS_FILE
+ */
+
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const express = require('express');
+const jsonServer = require('json-server');
+
+const PORT = process.env.PORT || 3000;
+const DB_FILE = process.env.DB_FILE || path.join(__dirname, 'data', 'db.json');
+const USERS_FILE = process.env.USERS_FILE || path.join(__dirname, 'data', 'users.json');
+const SESSION_COOKIE = 'sid';
+const SESSION_TTL = 8 * 60 * 60 * 1000;
+
+// Paths anyone may load: the app itself and the login endpoints
+const PUBLIC_SEGMENTS = ['', 'index.html', 'css', 'js', 'favicon.ico', 'auth'];
+
+// Folders of the app served as static files (with index.html). Nothing else in the
+// project folder is served: data/ holds the database and the password hashes.
+const STATIC_DIRS = ['css', 'js'];
+
+// What each role may read and write ('*' = every resource)
+const ROLES = {
+    admin: {
+        label: 'Administrator',
+        read: '*',
+        write: '*'
+    },
+    registrar: {
+        label: 'Registrar',
+        read: ['students', 'courses', 'instructors', 'enrollments', 'terms', 'offerings', 'rooms', 'bookings', 'sessions', 'documents'],
+        write: ['students', 'courses', 'enrollments', 'terms', 'offerings', 'bookings', 'sessions', 'documents']
+    },
+    hr: {
+        label: 'HR',
+        read: ['courses', 'instructors', 'employees', 'terms', 'offerings', 'rooms', 'bookings'],
+        write: ['instructors', 'employees', 'rooms', 'bookings']
+    },
+    readonly: {
+        label: 'Read-only',
+        read: ['students', 'courses', 'instructors', 'enrollments', 'terms', 'offerings', 'rooms', 'bookings', 'sessions', 'documents'],
+        write: []
+    }
+};
+
+// Fields only some roles may change, on top of write access to the resource.
+// Administrators are not limited by these.
+const FIELD_RULES = {
+    students: { gpa: ['registrar'] }
+};
+
+// Audit log entries name the entity, not the resource
+const ENTITY_RESOURCES = {
+    Student: 'students',
+    Course: 'courses',
+    Instructor: 'instructors',
+    Employee: 'employees',
+    Enrollment: 'enrollments',
+    'Academic Term': 'terms',
+    Offering: 'offerings',
+    Room: 'rooms',
+    'Room Booking': 'bookings',
+    'Class Session': 'sessions'
+};
+
+// Issued documents: the prefix of each type's reference numbers (e.g. TR-2026-0007)
+const DOCUMENT_PREFIXES = {
+    Transcript: 'TR',
+    'Enrollment Certificate': 'EC'
+};
+
+/**
+ * Hash a password with a random (or the given) salt
+ */
+function hashPassword(password, salt = crypto.randomBytes(16).toString('hex')) {
+    const hash = crypto.pbkdf2Sync(String(password), salt, 100000, 32, 'sha256').toString('hex');
+    return { salt, passwordHash: hash };
+}
+
+/**
+ * Compare a password with a stored hash in constant time
+ */
+function checkPassword(user, password) {
+    const { passwordHash } = hashPassword(password, user.salt);
+    return crypto.timingSafeEqual(Buffer.from(passwordHash, 'hex'), Buffer.from(user.passwordHash, 'hex'));
+}
+
+/**
+ * Read the users file ({ users: [...] })
+ */
+function loadUsers() {
+    return JSON.parse(fs.readFileSync(USERS_FILE, 'utf8')).users;
+}
+
+/**
+ * `node server.js add-user ...`: add or replace a user in the users file
+ */
+function addUser([username, password, role, name]) {
+    if (!username || !password || !ROLES[role]) {
+        console.error(`Usage: node server.js add-user <username> <password> <${Object.keys(ROLES).join('|')}> "<Full Name>"`);
+        process.exit(1);
+    }
+    
+    const users = fs.existsSync(USERS_FILE) ? loadUsers() : [];
+    const existing = users.find(user => user.username === username);
+    const user = {
+        id: existing ? existing.id : Math.max(0, ...users.map(u => u.id)) + 1,
+        username,
+        name: name || username,
+        role,
+        ...hashPassword(password)
+    };
+    
+    const others = users.filter(u => u.username !== username);
+    fs.writeFileSync(USERS_FILE, JSON.stringify({ users: [...others, user].sort((a, b) => a.id - b.id) }, null, 2));
+    console.log(`${existing ? 'Updated' : 'Added'} ${role} user "${username}"`);
+}
+
+/**
+ * Give records that predate soft delete and versioning (or were added to
+ * db.json by hand) `deleted: false` and `version: 1`, so the `deleted=false`
+ * filter keeps them and edits can be checked for conflicts
+ */
+function migrateRecordDefaults(db) {
+    const defaults = { deleted: false, version: 1 };
+    let changed = 0;
+    
+    Object.values(ENTITY_RESOURCES).forEach(resource => {
+        (db[resource] || []).forEach(record => {
+            const missing = Object.keys(defaults).filter(key => record[key] === undefined);
+            missing.forEach(key => { record[key] = defaults[key]; });
+            if (missing.length > 0) changed++;
+        });
+    });
+    return changed;
+}
+
+/**
+ * Normalize an instructor name for matching ("Dr. Sara Ahmed" -> "sara ahmed")
+ */
+function normalizeInstructorName(name) {
+    return name
+        .trim()
+        .replace(/^(dr|prof|mr|mrs|ms|eng)\.?\s+/i, '')
+        .replace(/\s+/g, ' ')
+        .toLowerCase();
+}
+
+/**
+ * Convert courses that still store the instructor as free text into an
+ * instructorId reference, matching on the instructor's name
+ */
+function migrateInstructorNames(db) {
+    const instructors = (db.instructors || []).filter(instructor => !instructor.deleted);
+    let changed = 0;
+    
+    (db.courses || []).forEach(course => {
+        if (course.instructorId !== undefined || typeof course.instructor !== 'string') return;
+        
+        const match = instructors.find(instructor => normalizeInstructorName(instructor.name) === normalizeInstructorName(course.instructor));
+        if (!match) {
+            console.warn(`No instructor matches "${course.instructor}" (course ${course.code})`);
+            return;
+        }
+        
+        delete course.instructor;
+        Object.assign(course, { instructorId: match.id, version: (Number(course.version) || 0) + 1, updatedAt: new Date().toISOString() });
+        changed++;
+    });
+    return changed;
+}
+
+// One-off fixes of the data, run by `node server.js migrate`: each updates the
+// database in place and returns how many records it changed
+const MIGRATIONS = {
+    'Record defaults (deleted, version)': migrateRecordDefaults,
+    'Course instructors (name -> instructorId)': migrateInstructorNames
+};
+
+/**
+ * `node server.js migrate`: run every migration on the database file. The
+ * running server keeps its own copy of the data, so stop it first.
+ */
+function migrate() {
+    const db = JSON.parse(fs.readFileSync(DB_FILE, 'utf8'));
+    let total = 0;
+    
+    Object.entries(MIGRATIONS).forEach(([name, run]) => {
+        const changed = run(db);
+        total += changed;
+        console.log(`${name}: ${changed} record(s) updated`);
+    });
+    
+    if (total > 0) fs.writeFileSync(DB_FILE, JSON.stringify(db, null, 2));
+}
+
+if (process.argv[2] === 'add-user') {
+    addUser(process.argv.slice(3));
+    process.exit(0);
+}
+
+if (process.argv[2] === 'migrate') {
+    migrate();
+    process.exit(0);
+}
+
+const server = jsonServer.create();
+const router = jsonServer.router(DB_FILE);
+
+// _expand looks up each record's reference by id and fails on an empty one
+// (e.g. an offering without a room): leave the expanded field undefined instead
+const getById = router.db._.getById;
+router.db._.mixin({
+    getById(collection, id) {
+        return id === null || id === undefined ? undefined : getById.call(this, collection, id);
+    }
+});
+// json-server always adds a static folder: give it one that does not exist,
+// the app's files are served from STATIC_DIRS only
+const middlewares = jsonServer.defaults({ static: path.join(__dirname, 'public') });
+
+// Open sessions: token -> { userId, expires }
+const sessions = new Map();
+
+// Records with an edit on its way to the database ('resource/id', see stampVersion)
+const versionWrites = new Set();
+
+// Seats taken by enrollment writes on their way to the database ('courseId/termId' -> count, see claimSeat)
+const seatClaims = new Map();
+
+/**
+ * Resources stored in db.json
+ */
+function getResources() {
+    return Object.keys(router.db.getState());
+}
+
+/**
+ * Check a role's access to a resource ('read' or 'write')
+ */
+function can(role, action, resource) {
+    const allowed = ROLES[role] ? ROLES[role][action] : [];
+    return allowed === '*' || allowed.includes(resource);
+}
+
+/**
+ * Check whether a role may change one field of a resource
+ */
+function canChangeField(role, resource, field) {
+    const roles = (FIELD_RULES[resource] || {})[field];
+    return role === 'admin' || !roles || roles.includes(role);
+}
+
+/**
+ * The user as sent to the browser: no password hash, plus what the role may do
+ */
+function publicUser(user) {
+    const resources = getResources().filter(resource => resource !== 'auditLog');
+    const readOnlyFields = {};
+    
+    Object.entries(FIELD_RULES).forEach(([resource, fields]) => {
+        const locked = Object.keys(fields).filter(field => !canChangeField(user.role, resource, field));
+        if (locked.length > 0) readOnlyFields[resource] = locked;
+    });
+    
+    return {
+        id: user.id,
+        username: user.username,
+        name: user.name,
+        role: user.role,
+        roleLabel: ROLES[user.role] ? ROLES[user.role].label : user.role,
+        permissions: {
+            read: resources.filter(resource => can(user.role, 'read', resource)),
+            write: resources.filter(resource => can(user.role, 'write', resource)),
+            readOnlyFields
+        }
+    };
+}
+
+/**
+ * Read the session token from the Cookie header
+ */
+function getSessionToken(req) {
+    const cookies = (req.headers.cookie || '').split(';').map(part => part.trim().split('='));
+    const match = cookies.find(([name]) => name === SESSION_COOKIE);
+    return match ? decodeURIComponent(match[1] || '') : null;
+}
+
+/**
+ * The logged-in user for a request, or null
+ */
+function getSessionUser(req) {
+    const token = getSessionToken(req);
+    const session = token ? sessions.get(token) : null;
+    
+    if (!session || session.expires < Date.now()) {
+        if (session) sessions.delete(token);
+        return null;
+    }
+    
+    return loadUsers().find(user => user.id === session.userId) || null;
+}
+
+/**
+ * Send an error in the same shape for every refusal
+ */
+function deny(res, status, message) {
+    res.status(status).jsonp({ error: message });
+}
+
+// Refuse paths that climb out of a folder, encoded or not (e.g. /js/%2e%2e/data/db.json)
+server.use((req, res, next) => {
+    let decoded;
+    try {
+        decoded = decodeURIComponent(req.path);
+    } catch (error) {
+        return deny(res, 400, 'Bad request');
+    }
+    
+    if (decoded.split(/[\\/]/).includes('..')) return deny(res, 400, 'Bad request');
+    next();
+});
+
+// The app: index.html, css/ and js/
+server.get(['/', '/index.html'], (req, res) => res.sendFile(path.join(__dirname, 'index.html')));
+STATIC_DIRS.forEach(dir => server.use(`/${dir}`, express.static(path.join(__dirname, dir))));
+
+server.use(jsonServer.bodyParser);
+
+server.post('/auth/login', (req, res) => {
+    const { username, password } = req.body || {};
+    const user = loadUsers().find(u => u.username === String(username || '').trim());
+    
+    if (!user || !password || !checkPassword(user, password)) {
+        return deny(res, 401, 'Wrong username or password');
+    }
+    
+    const token = crypto.randomBytes(32).toString('hex');
+    sessions.set(token, { userId: user.id, expires: Date.now() + SESSION_TTL });
+    res.cookie(SESSION_COOKIE, token, { httpOnly: true, sameSite: 'strict', maxAge: SESSION_TTL, path: '/' });
+    res.jsonp(publicUser(user));
+});
+
+server.post('/auth/logout', (req, res) => {
+    sessions.delete(getSessionToken(req));
+    res.clearCookie(SESSION_COOKIE, { path: '/' });
+    res.status(204).end();
+});
+
+server.get('/auth/me', (req, res) => {
+    const user = getSessionUser(req);
+    if (!user) return deny(res, 401, 'Not logged in');
+    res.jsonp(publicUser(user));
+});
+
+// Everything except the app files and /auth needs a session
+server.use((req, res, next) => {
+    const [segment = ''] = req.path.split('/').filter(Boolean);
+    if (PUBLIC_SEGMENTS.includes(segment)) return next();
+    
+    req.user = getSessionUser(req);
+    if (!req.user) return deny(res, 401, 'Please log in');
+    next();
+});
+
+// Role checks for the API: the same rules the UI uses to hide buttons and pages
+server.use((req, res, next) => {
+    if (!req.user) return next();
+    
+    const segments = req.path.split('/').filter(Boolean);
+    const [resource, id] = segments;
+    const role = req.user.role;
+    const isWrite = !['GET', 'HEAD', 'OPTIONS'].includes(req.method);
+    
+    // The whole database (GET /db) and anything outside the resources
+    if (resource === 'db') {
+        return role === 'admin' && !isWrite ? next() : deny(res, 403, 'Only administrators can read the whole database');
+    }
+    if (!getResources().includes(resource)) return deny(res, 404, 'Not found');
+    
+    // Only /:resource and /:resource/:id: json-server's nested routes
+    // (e.g. /courses/1/enrollments) would reach another resource unchecked
+    if (segments.length > 2) return deny(res, 404, 'Not found');
+    
+    if (resource === 'auditLog') return checkAuditLog(req, res, next, id, isWrite);
+    
+    // Issued documents are a register: entries are added, never changed
+    if (resource === 'documents' && isWrite && (req.method !== 'POST' || id)) {
+        return deny(res, 403, 'Issued documents cannot be changed');
+    }
+    
+    if (!can(role, isWrite ? 'write' : 'read', resource)) {
+        return deny(res, 403, `The ${ROLES[role] ? ROLES[role].label : role} role cannot ${isWrite ? 'change' : 'view'} ${resource}`);
+    }
+    
+    // _expand / _embed must not reach into resources the role cannot read
+    const related = [
+        ...[].concat(req.query._expand || []).map(name => `${name}s`),
+        ...[].concat(req.query._embed || [])
+    ];
+    const hidden = related.find(name => !can(role, 'read', name));
+    if (hidden) return deny(res, 403, `The ${ROLES[role].label} role cannot view ${hidden}`);
+    
+    if (resource === 'documents' && isWrite) return issueDocument(req, res);
+    
+    if (isWrite && req.method !== 'DELETE') {
+        const locked = getLockedFieldChange(req, resource, id);
+        if (locked) return deny(res, 403, `Only ${FIELD_RULES[resource][locked].join(', ')} users can change ${locked}`);
+    }
+    
+    if (isWrite && Object.values(ENTITY_RESOURCES).includes(resource)) {
+        const refusal = stampVersion(req, res, resource, id);
+        if (refusal) return deny(res, refusal.status, refusal.message);
+    }
+    
+    if (resource === 'enrollments' && ['POST', 'PUT', 'PATCH'].includes(req.method)) {
+        const refusal = claimSeat(req, res, id);
+        if (refusal) return deny(res, refusal.status, refusal.message);
+    }
+    
+    next();
+});
+
+/**
+ * Give a write of a versioned record its `version` and `updatedAt`: a new
+ * record starts at version 1, and an edit must send the version after the
+ * stored one (see DataTable.nextVersion), i.e. be based on the stored copy.
+ * Returns a refusal ({ status, message }) or null.
+ * json-server stores a write a moment later, so the record is held until
+ * then and a second edit of it meanwhile is refused as well.
+ */
+function stampVersion(req, res, resource, id) {
+    const body = req.body || {};
+    const updatedAt = new Date().toISOString();
+    
+    if (req.method === 'POST') {
+        Object.assign(body, { version: 1, updatedAt });
+        return null;
+    }
+    if (!['PUT', 'PATCH'].includes(req.method) || !id) return null;
+    
+    const current = router.db.get(resource).find(record => String(record.id) === String(id)).value();
+    if (!current) return null;
+    
+    const next = (Number(current.version) || 0) + 1;
+    const key = `${resource}/${id}`;
+    if (!('version' in body)) return { status: 428, message: 'Send the version of the record the change is based on' };
+    if (versionWrites.has(key) || Number(body.version) !== next) {
+        return { status: 409, message: 'The record was changed by someone else. Reload it and try again.' };
+    }
+    
+    versionWrites.add(key);
+    res.on('close', () => versionWrites.delete(key));
+    Object.assign(body, { version: next, updatedAt });
+    return null;
+}
+
+/**
+ * Whether an enrollment takes one of its course's seats (see Enrollment.holdsSeat)
+ */
+function holdsSeat(enrollment) {
+    return Boolean(enrollment) && !enrollment.deleted && enrollment.status === 'Enrolled';
+}
+
+/**
+ * Keep enrollments within their course's capacity per term, as the app does:
+ * a new enrollment in a full course goes on the waitlist instead, and an edit
+ * that would take a seat of a full course, or one a student on the waitlist is
+ * due first, is refused. Returns a refusal ({ status, message }) or null.
+ * Seats taken by writes json-server has not stored yet count as taken.
+ */
+function claimSeat(req, res, id) {
+    const body = req.body || {};
+    const current = id ? router.db.get('enrollments').find(record => String(record.id) === String(id)).value() : null;
+    if (id && !current) return null;
+    
+    const after = req.method === 'PATCH' ? { ...current, ...body } : body;
+    const sameCourse = enrollment => String(enrollment.courseId) === String(after.courseId) && String(enrollment.termId) === String(after.termId);
+    if (!holdsSeat(after) || (holdsSeat(current) && sameCourse(current))) return null;
+    
+    const course = router.db.get('courses').find(record => String(record.id) === String(after.courseId)).value();
+    const capacity = course ? parseInt(course.capacity) : NaN;
+    if (isNaN(capacity)) return null;
+    
+    const key = `${after.courseId}/${after.termId}`;
+    const others = router.db.get('enrollments')
+        .filter(enrollment => !enrollment.deleted && sameCourse(enrollment) && String(enrollment.id) !== String(id))
+        .value();
+    // Waitlist order as in Enrollment.getSeats; a student off the waitlist waits behind all of it
+    const waiting = enrollment => enrollment && enrollment.status === 'Waitlisted' && !enrollment.deleted && sameCourse(enrollment);
+    const byWaitingTime = (a, b) => String(a.waitlistedAt || a.updatedAt || '').localeCompare(String(b.waitlistedAt || b.updatedAt || '')) || a.id - b.id;
+    const ahead = others.filter(enrollment => waiting(enrollment) && (!waiting(current) || byWaitingTime(enrollment, current) < 0));
+    const taken = others.filter(enrollment => enrollment.status === 'Enrolled').length + (seatClaims.get(key) || 0);
+    
+    if (taken + ahead.length >= capacity) {
+        if (req.method !== 'POST') {
+            return taken >= capacity
+                ? { status: 409, message: 'The course is full in this term. Keep the student on the waitlist until a seat frees up.' }
+                : { status: 409, message: 'Students on the waitlist of this course get the free seats first.' };
+        }
+        Object.assign(body, { status: 'Waitlisted', waitlistedAt: body.waitlistedAt || new Date().toISOString() });
+        return null;
+    }
+    
+    seatClaims.set(key, (seatClaims.get(key) || 0) + 1);
+    res.on('close', () => {
+        const count = seatClaims.get(key) - 1;
+        if (count > 0) seatClaims.set(key, count); else seatClaims.delete(key);
+    });
+    return null;
+}
+
+/**
+ * Name of a protected field the request would change without permission
+ */
+function getLockedFieldChange(req, resource, id) {
+    const body = req.body || {};
+    const current = id ? router.db.get(resource).find(record => String(record.id) === String(id)).value() : null;
+    const normalize = value => value === undefined || value === null ? '' : String(value);
+    
+    return Object.keys(FIELD_RULES[resource] || {}).find(field => {
+        if (canChangeField(req.user.role, resource, field)) return false;
+        // PATCH only touches the fields it sends; PUT replaces the record
+        if (req.method === 'PATCH' && !(field in body)) return false;
+        if (req.method === 'POST') return normalize(body[field]) !== '';
+        return !current || normalize(body[field]) !== normalize(current[field]);
+    });
+}
+
+/**
+ * Add a document to the register with the next reference number of its type
+ * this year, the time of issue and the logged-in user as its issuer. The
+ * reference is worked out and the record stored in one step, without going
+ * through json-server's router, so two documents issued at the same time
+ * still get different numbers.
+ */
+function issueDocument(req, res) {
+    const body = req.body || {};
+    const prefix = DOCUMENT_PREFIXES[body.type];
+    if (!prefix) return deny(res, 400, 'Unknown document type');
+    
+    const now = new Date();
+    const start = `${prefix}-${now.getFullYear()}-`;
+    const documents = router.db.get('documents');
+    const references = documents.map('reference').value();
+    const last = references
+        .filter(reference => String(reference).startsWith(start))
+        .reduce((max, reference) => Math.max(max, parseInt(reference.slice(start.length)) || 0), 0);
+    const reference = `${start}${String(last + 1).padStart(4, '0')}`;
+    
+    if (references.includes(reference)) return deny(res, 409, `Document ${reference} was already issued`);
+    
+    delete body.id;
+    const entry = documents.insert({ ...body, reference, issuedAt: now.toISOString(), issuedBy: req.user.name }).write();
+    res.status(201).jsonp(entry);
+}
+
+/**
+ * The change history: read only the entities the role can read, append
+ * entries only for entities it can write, and never edit or delete entries
+ */
+function checkAuditLog(req, res, next, id, isWrite) {
+    const role = req.user.role;
+    const readable = Object.keys(ENTITY_RESOURCES).filter(entity => can(role, 'read', ENTITY_RESOURCES[entity]));
+    
+    if (isWrite) {
+        const resource = ENTITY_RESOURCES[(req.body || {}).entity];
+        if (req.method !== 'POST' || id) return deny(res, 403, 'History entries cannot be changed');
+        if (!resource || !can(role, 'write', resource)) return deny(res, 403, 'You cannot record changes to this entity');
+        
+        // The author is always the logged-in user
+        req.body.actor = req.user.name;
+        return next();
+    }
+    
+    if (role === 'admin') return next();
+    
+    if (id) {
+        const entry = router.db.get('auditLog').find(record => String(record.id) === String(id)).value();
+        return entry && !readable.includes(entry.entity) ? deny(res, 403, 'You cannot view this entry') : next();
+    }
+    
+    const requested = req.query.entity ? [].concat(req.query.entity).filter(entity => readable.includes(entity)) : readable;
+    req.query.entity = requested.length > 0 ? requested : ['-'];
+    next();
+}
+
+server.use(middlewares);
+server.use(router);
+
+server.listen(PORT, () => {
+    console.log(`Students Affairs System running on http://localhost:${PORT}`);
+});